@@ -1,4 +1,4 @@
-import { Attribute } from '../database/models';
+import { Attribute, AttributeValue, Product } from '../database/models';
 
 /**
  * The controller defined below is the attribute controller, highlighted below are the functions of each static method
@@ -8,7 +8,8 @@ import { Attribute } from '../database/models';
  * - getAllAttributes - This method should return an array of all attributes
  * - getSingleAttribute - This method should return a single attribute using the attribute_id in the request parameter
  * - getAttributeValues - This method should return an array of all attribute values of a single attribute using the attribute id
- * - getProductAttributes - This method should return an array of all the product attributes
+ * - getProductAttributes - This method should return an array of all the product attributes, grouped by attribute
+ *   name with grouped=true
  * NB: Check the BACKEND CHALLENGE TEMPLATE DOCUMENTATION in the readme of this repository to see our recommended
  *  endpoints, request body/param, and response object for each of these method
  */
@@ -62,25 +63,107 @@ class AttributeController {
 
   /**
    * This method gets a list attribute values in an attribute using the attribute id
-   * @param {*} req
-   * @param {*} res
-   * @param {*} next
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the attribute values list
+   * @memberof AttributeController
    */
   static async getAttributeValues(req, res, next) {
-    // Write code to get all attribute values for an attribute using the attribute id provided in the request param
-    // This function takes the param: attribute_id
-    return res.status(200).json({ message: 'this works' });
+    const { attribute_id: attributeId } = req.params;
+    try {
+      const attribute = await Attribute.findByPk(attributeId, {
+        include: [{ model: AttributeValue, attributes: ['attribute_value_id', 'value'] }],
+        order: [[AttributeValue, 'attribute_value_id', 'ASC']],
+      });
+      if (!attribute) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            message: `Attribute with id ${attributeId} does not exist`,
+          },
+        });
+      }
+
+      return res.status(200).json(
+        attribute.AttributeValues.map(value => ({
+          attribute_value_id: value.attribute_value_id,
+          value: value.value,
+        }))
+      );
+    } catch (error) {
+      return next(error);
+    }
   }
 
   /**
-   * This method gets a list attribute values in a product using the product id
-   * @param {*} req
-   * @param {*} res
-   * @param {*} next
+   * This method gets a list attribute values in a product using the product id. With
+   * grouped=true the values are grouped by attribute name e.g. { Color: [...], Size: [...] }
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the product attribute values
+   * @memberof AttributeController
    */
   static async getProductAttributes(req, res, next) {
-    // Write code to get all attribute values for a product using the product id provided in the request param
-    return res.status(200).json({ message: 'this works' });
+    const { product_id: productId } = req.params;
+    const { grouped } = req.query;
+    try {
+      const product = await Product.findByPk(productId, {
+        attributes: ['product_id'],
+        include: [
+          {
+            model: AttributeValue,
+            as: 'attributes',
+            attributes: ['attribute_value_id', 'value'],
+            through: { attributes: [] },
+            include: [{ model: Attribute, as: 'attribute_type', attributes: ['name'] }],
+          },
+        ],
+        order: [
+          [
+            { model: AttributeValue, as: 'attributes' },
+            { model: Attribute, as: 'attribute_type' },
+            'name',
+            'ASC',
+          ],
+          [{ model: AttributeValue, as: 'attributes' }, 'attribute_value_id', 'ASC'],
+        ],
+      });
+      if (!product) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            message: `Product with id ${productId} does not exist`,
+          },
+        });
+      }
+
+      const values = product.attributes.map(value => ({
+        attribute_name: value.attribute_type.name,
+        attribute_value_id: value.attribute_value_id,
+        attribute_value: value.value,
+      }));
+      if (grouped !== 'true') {
+        return res.status(200).json(values);
+      }
+
+      return res.status(200).json(
+        values.reduce(
+          (groups, { attribute_name: name, ...value }) => ({
+            ...groups,
+            [name]: [...(groups[name] || []), value],
+          }),
+          {}
+        )
+      );
+    } catch (error) {
+      return next(error);
+    }
   }
 }
 
@@ -0,0 +1,1326 @@
+/**
+ * The Catalog Admin controller contains the static methods admins use to edit the catalog
+ *
+ * - createProduct - create a product
+ * - updateProduct - update a product
+ * - deleteProduct - delete a product with its category and attribute assignments
+ * - assignProductCategories - add a product to categories
+ * - removeProductCategory - remove a product from a category
+ * - assignProductAttributes - add attribute values to a product
+ * - removeProductAttribute - remove an attribute value that no variant uses from a product
+ * - setProductStock - set the stock of a product or of one of its attribute value combinations
+ * - createProductVariant - create a variant (SKU) of a product from a combination of its
+ *   attribute values
+ * - updateProductVariant - update a variant of a product
+ * - deleteProductVariant - delete a variant of a product and the cart lines holding it
+ * - createDepartment - create a department
+ * - updateDepartment - update a department
+ * - deleteDepartment - delete a department that has no categories
+ * - createCategory - create a category in a department
+ * - updateCategory - update a category
+ * - deleteCategory - delete a category that has no products
+ * - createAttribute - create an attribute
+ * - updateAttribute - update an attribute
+ * - deleteAttribute - delete an attribute that has no values
+ * - createAttributeValue - create a value of an attribute
+ * - updateAttributeValue - update an attribute value
+ * - deleteAttributeValue - delete an attribute value that no product or variant uses
+ * - importCatalog - create or update products with their categories, attribute values, stock
+ *   and variants from a csv or json file
+ * - exportCatalog - export the products with their categories, attribute values, stock and
+ *   variants as csv or json
+ */
+import {
+  Attribute,
+  AttributeValue,
+  Category,
+  Department,
+  Product,
+  ProductAttribute,
+  ProductCategory,
+  ProductStock,
+  ProductVariant,
+  Review,
+  ShoppingCart,
+  Sequelize,
+  sequelize,
+} from '../database/models';
+import {
+  CATALOG_FORMATS,
+  exportCatalog,
+  importCatalog,
+  parseCatalog,
+  serializeCatalog,
+} from '../helpers/catalogTransfer.helper';
+import { formatVariants, toAttributeKey } from '../helpers/variant.helper';
+
+const { Op } = Sequelize;
+
+const productFields = [
+  'product_code',
+  'name',
+  'description',
+  'price',
+  'discounted_price',
+  'image',
+  'image_2',
+  'thumbnail',
+  'display',
+];
+
+const variantFields = ['sku', 'price', 'discounted_price', 'image'];
+
+/**
+ * pick the fields of a model that are present in a request body
+ *
+ * @param {object} body express request body
+ * @param {array} fields names of the fields that can be set
+ * @returns {object} fields present in the body
+ */
+const pickFields = (body, fields) =>
+  fields.reduce(
+    (picked, field) => (body[field] === undefined ? picked : { ...picked, [field]: body[field] }),
+    {}
+  );
+
+/**
+ * send a 400 response for the first validation error of a request
+ *
+ * @param {object} res express response object
+ * @param {array} errors express-validator errors
+ * @returns {json} json object with the error
+ */
+const invalidRequest = (res, errors) =>
+  res.status(400).json({
+    error: {
+      status: 400,
+      code: 'CAT_01',
+      message: errors[0].msg,
+      field: errors[0].param,
+    },
+  });
+
+/**
+ * send a 404 response for a catalog record that does not exist
+ *
+ * @param {object} res express response object
+ * @param {string} entity name of the record type
+ * @param {string} id id from the request
+ * @param {string} field request field holding the id
+ * @returns {json} json object with the error
+ */
+const recordNotFound = (res, entity, id, field) =>
+  res.status(404).json({
+    error: {
+      status: 404,
+      code: 'CAT_02',
+      message: `${entity} with id ${id} does not exist`,
+      field,
+    },
+  });
+
+/**
+ * send a 409 response for a record that is still referenced by other records
+ *
+ * @param {object} res express response object
+ * @param {string} message what still references the record
+ * @param {string} field request field holding the record id
+ * @returns {json} json object with the error
+ */
+const stillReferenced = (res, message, field) =>
+  res.status(409).json({
+    error: {
+      status: 409,
+      code: 'CAT_03',
+      message,
+      field,
+    },
+  });
+
+/**
+ * send a 400 response for a sequelize validation error, other errors are passed on
+ *
+ * @param {object} res express response object
+ * @param {function} next next middleware
+ * @param {Error} error error thrown while saving a record
+ * @returns {json} json object with the error
+ */
+const handleSaveError = (res, next, error) => {
+  if (error instanceof Sequelize.ValidationError) {
+    const [{ message, path }] = error.errors;
+    return res.status(400).json({
+      error: {
+        status: 400,
+        code: 'CAT_01',
+        message,
+        field: path,
+      },
+    });
+  }
+  return next(error);
+};
+
+/**
+ * validate the product fields of a request
+ *
+ * @param {object} req express request object
+ * @param {boolean} isUpdate true when the fields are optional
+ * @returns {array|boolean} express-validator errors, false when the request is valid
+ */
+const validateProduct = (req, isUpdate) => {
+  const check = (field, message) =>
+    isUpdate ? req.checkBody(field, message).optional() : req.checkBody(field, message);
+
+  check('name', 'The field name is required.').notEmpty();
+  check('description', 'The field description is required.').notEmpty();
+  check('price', 'The field price should be a valid amount.')
+    .isDecimal()
+    .isFloat({ min: 0 });
+  req
+    .checkBody('discounted_price', 'The field discounted_price should be a valid amount.')
+    .optional()
+    .isDecimal()
+    .isFloat({ min: 0 });
+  req
+    .checkBody('display', 'The field display should be an integer between 0 and 3.')
+    .optional()
+    .isInt({ min: 0, max: 3 });
+
+  return req.validationErrors();
+};
+
+/**
+ * check that the discounted price of a product is below its price
+ *
+ * @param {object} product product model instance with the new values set
+ * @returns {boolean} true when the prices are consistent
+ */
+const hasValidDiscount = product =>
+  Number(product.discounted_price) === 0 ||
+  Number(product.discounted_price) < Number(product.price);
+
+/**
+ * validate a list of ids sent in a request body
+ *
+ * @param {*} ids value of the body field
+ * @returns {boolean} true when ids is a non empty list of integers
+ */
+const isIdList = ids =>
+  Array.isArray(ids) && ids.length > 0 && ids.every(id => Number.isInteger(Number(id)));
+
+/**
+ * build the condition matching the attribute_value_ids keys of variants and stock rows that
+ * hold an attribute value
+ *
+ * @param {string} attributeValueId id of the attribute value
+ * @returns {object} sequelize where condition on attribute_value_ids
+ */
+const holdsAttributeValue = attributeValueId => {
+  const id = Number(attributeValueId);
+  return {
+    [Op.or]: [
+      String(id),
+      { [Op.like]: `${id},%` },
+      { [Op.like]: `%,${id}` },
+      { [Op.like]: `%,${id},%` },
+    ],
+  };
+};
+
+/**
+ * validate the variant fields of a request, the prices and image can be set to null to use
+ * the ones of the product
+ *
+ * @param {object} req express request object
+ * @param {boolean} isUpdate true when the fields are optional
+ * @returns {array|boolean} express-validator errors, false when the request is valid
+ */
+const validateVariant = (req, isUpdate) => {
+  const check = (field, message) =>
+    isUpdate ? req.checkBody(field, message).optional() : req.checkBody(field, message);
+
+  check('sku', 'The field sku is required.').notEmpty();
+  ['price', 'discounted_price'].forEach(field =>
+    req
+      .checkBody(field, `The field ${field} should be a valid amount.`)
+      .optional({ nullable: true })
+      .isDecimal()
+      .isFloat({ min: 0 })
+  );
+  req
+    .checkBody('quantity', 'The field quantity should be a positive integer.')
+    .optional()
+    .isInt({ min: 0 });
+  const errors = req.validationErrors();
+  if (errors) {
+    return errors;
+  }
+
+  const { attribute_value_ids: attributeValueIds } = req.body;
+  if ((!isUpdate || attributeValueIds !== undefined) && !isIdList(attributeValueIds)) {
+    return [
+      {
+        msg: 'The field attribute_value_ids should be a list of ids.',
+        param: 'attribute_value_ids',
+      },
+    ];
+  }
+  return false;
+};
+
+/**
+ * check that the discounted price of a variant is below its price, a variant without a price
+ * uses the prices of the product
+ *
+ * @param {object} variant product variant model instance with the new values set
+ * @returns {boolean} true when the prices are consistent
+ */
+const hasValidVariantDiscount = variant =>
+  variant.price === null || variant.price === undefined
+    ? !Number(variant.discounted_price)
+    : hasValidDiscount({ ...variant.get(), discounted_price: variant.discounted_price || 0 });
+
+/**
+ * check that attribute values are a combination of the product's attribute values with at most
+ * one value of each attribute
+ *
+ * @param {object} product product model instance with its attributes included
+ * @param {array} attributeValueIds attribute value ids from the request
+ * @returns {object} the key of the combination, or the status and error of the response
+ */
+const getCombinationKey = (product, attributeValueIds) => {
+  const values = attributeValueIds.map(id =>
+    product.attributes.find(value => value.attribute_value_id === Number(id))
+  );
+  const missingIndex = values.findIndex(value => !value);
+  if (missingIndex !== -1) {
+    return {
+      error: {
+        status: 404,
+        code: 'CAT_02',
+        message: `Product attribute with id ${attributeValueIds[missingIndex]} does not exist`,
+        field: 'attribute_value_ids',
+      },
+    };
+  }
+
+  const attributeIds = values.map(value => value.attribute_id);
+  if (new Set(attributeIds).size !== attributeIds.length) {
+    return {
+      error: {
+        status: 400,
+        code: 'CAT_01',
+        message: 'A variant can have only one value of each attribute.',
+        field: 'attribute_value_ids',
+      },
+    };
+  }
+  return { key: toAttributeKey(attributeValueIds) };
+};
+
+/**
+ * check the prices of a variant and that no other variant of the product has the same
+ * combination
+ *
+ * @param {object} variant product variant model instance with the new values set
+ * @returns {Promise} resolves with errors in the express-validator shape, null when the variant
+ * can be saved
+ */
+const findVariantConflicts = async variant => {
+  if (!hasValidVariantDiscount(variant)) {
+    return [
+      {
+        msg: 'The discounted_price of a variant needs a price and should be lower than it.',
+        param: 'discounted_price',
+      },
+    ];
+  }
+
+  const duplicate = await ProductVariant.findOne({
+    where: {
+      product_id: variant.product_id,
+      attribute_value_ids: variant.attribute_value_ids,
+      product_variant_id: { [Op.ne]: variant.product_variant_id || 0 },
+    },
+  });
+  return duplicate
+    ? [
+        {
+          msg: `The variant with id ${duplicate.product_variant_id} has the same attribute values.`,
+          param: 'attribute_value_ids',
+        },
+      ]
+    : null;
+};
+
+/**
+ * shape a variant for the admin response, with the quantity of its stock row
+ *
+ * @param {object} variant product variant model instance
+ * @returns {Promise} resolves with the formatted variant, quantity is null when the combination
+ * has no stock row of its own
+ */
+const formatAdminVariant = async variant => {
+  const [[formatted], stock] = await Promise.all([
+    formatVariants([variant]),
+    ProductStock.findOne({
+      where: { product_id: variant.product_id, attribute_value_ids: variant.attribute_value_ids },
+    }),
+  ]);
+  return { ...formatted, quantity: stock ? stock.quantity : null };
+};
+
+/**
+ * save a variant and, when a quantity is given, the stock row of its combination. The stock row
+ * of a variant whose combination changes moves to the new combination, unless that combination
+ * already has a row of its own.
+ *
+ * @param {object} variant product variant model instance with the new values set
+ * @param {string} quantity quantity from the request
+ * @returns {Promise} resolves when the variant and its stock are saved
+ */
+const saveVariant = (variant, quantity) =>
+  sequelize.transaction(async transaction => {
+    const previousKey =
+      !variant.isNewRecord && variant.changed('attribute_value_ids')
+        ? variant.previous('attribute_value_ids')
+        : null;
+    await variant.save({ transaction });
+
+    if (previousKey) {
+      const { product_id: productId, attribute_value_ids: key } = variant;
+      const hasStock = await ProductStock.count({
+        where: { product_id: productId, attribute_value_ids: key },
+        transaction,
+      });
+      if (!hasStock) {
+        await ProductStock.update(
+          { attribute_value_ids: key },
+          { where: { product_id: productId, attribute_value_ids: previousKey }, transaction }
+        );
+      }
+    }
+    if (quantity === undefined) {
+      return;
+    }
+
+    const [stock] = await ProductStock.findOrCreate({
+      where: { product_id: variant.product_id, attribute_value_ids: variant.attribute_value_ids },
+      transaction,
+    });
+    await stock.update({ quantity: parseInt(quantity, 10) }, { transaction });
+  });
+
+/**
+ *
+ *
+ * @class CatalogAdminController
+ */
+class CatalogAdminController {
+  /**
+   * create a product
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the created product
+   * @memberof CatalogAdminController
+   */
+  static async createProduct(req, res, next) {
+    const errors = validateProduct(req, false);
+    if (errors) {
+      return invalidRequest(res, errors);
+    }
+
+    try {
+      const product = Product.build(pickFields(req.body, productFields));
+      if (!hasValidDiscount(product)) {
+        return invalidRequest(res, [
+          {
+            msg: 'The discounted_price should be lower than the price.',
+            param: 'discounted_price',
+          },
+        ]);
+      }
+      await product.save();
+      return res.status(201).json(product);
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * update a product
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the updated product
+   * @memberof CatalogAdminController
+   */
+  static async updateProduct(req, res, next) {
+    const { product_id: productId } = req.params;
+    const errors = validateProduct(req, true);
+    if (errors) {
+      return invalidRequest(res, errors);
+    }
+
+    try {
+      const product = await Product.findByPk(productId);
+      if (!product) {
+        return recordNotFound(res, 'Product', productId, 'product_id');
+      }
+
+      product.set(pickFields(req.body, productFields));
+      if (!hasValidDiscount(product)) {
+        return invalidRequest(res, [
+          {
+            msg: 'The discounted_price should be lower than the price.',
+            param: 'discounted_price',
+          },
+        ]);
+      }
+      await product.save();
+      return res.status(200).json(product);
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * delete a product with its category and attribute assignments, its stock, its variants, its
+   * reviews and the cart lines holding it. Orders keep their snapshot of the product.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CatalogAdminController
+   */
+  static async deleteProduct(req, res, next) {
+    const { product_id: productId } = req.params;
+    try {
+      const deleted = await sequelize.transaction(async transaction => {
+        const product = await Product.findByPk(productId, { transaction });
+        if (!product) {
+          return false;
+        }
+
+        const where = { product_id: productId };
+        await Promise.all([
+          ProductCategory.destroy({ where, transaction }),
+          ProductAttribute.destroy({ where, transaction }),
+          ProductStock.destroy({ where, transaction }),
+          ShoppingCart.destroy({ where, transaction }),
+          Review.destroy({ where, transaction }),
+        ]);
+        await ProductVariant.destroy({ where, transaction });
+        await product.destroy({ transaction });
+        return true;
+      });
+
+      if (!deleted) {
+        return recordNotFound(res, 'Product', productId, 'product_id');
+      }
+      return res.status(200).json({ message: `Product with id ${productId} has been deleted` });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * add a product to the categories in category_ids
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the categories of the product
+   * @memberof CatalogAdminController
+   */
+  static async assignProductCategories(req, res, next) {
+    const { product_id: productId } = req.params;
+    const { category_ids: categoryIds } = req.body;
+    if (!isIdList(categoryIds)) {
+      return invalidRequest(res, [
+        { msg: 'The field category_ids should be a list of ids.', param: 'category_ids' },
+      ]);
+    }
+
+    try {
+      const product = await Product.findByPk(productId);
+      if (!product) {
+        return recordNotFound(res, 'Product', productId, 'product_id');
+      }
+
+      const categories = await Category.findAll({
+        where: { category_id: { [Op.in]: categoryIds } },
+      });
+      const missingId = categoryIds.find(
+        id => !categories.some(category => category.category_id === Number(id))
+      );
+      if (missingId !== undefined) {
+        return recordNotFound(res, 'Category', missingId, 'category_ids');
+      }
+
+      await product.addCategories(categories);
+      return res.status(200).json(await product.getCategories({ joinTableAttributes: [] }));
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * remove a product from a category
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CatalogAdminController
+   */
+  static async removeProductCategory(req, res, next) {
+    const { product_id: productId, category_id: categoryId } = req.params;
+    try {
+      const removed = await ProductCategory.destroy({
+        where: { product_id: productId, category_id: categoryId },
+      });
+      if (!removed) {
+        return recordNotFound(res, 'Product category', categoryId, 'category_id');
+      }
+      return res.status(200).json({
+        message: `Product with id ${productId} has been removed from category ${categoryId}`,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * add the attribute values in attribute_value_ids to a product
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the attribute values of the product
+   * @memberof CatalogAdminController
+   */
+  static async assignProductAttributes(req, res, next) {
+    const { product_id: productId } = req.params;
+    const { attribute_value_ids: attributeValueIds } = req.body;
+    if (!isIdList(attributeValueIds)) {
+      return invalidRequest(res, [
+        {
+          msg: 'The field attribute_value_ids should be a list of ids.',
+          param: 'attribute_value_ids',
+        },
+      ]);
+    }
+
+    try {
+      const product = await Product.findByPk(productId);
+      if (!product) {
+        return recordNotFound(res, 'Product', productId, 'product_id');
+      }
+
+      const values = await AttributeValue.findAll({
+        where: { attribute_value_id: { [Op.in]: attributeValueIds } },
+      });
+      const missingId = attributeValueIds.find(
+        id => !values.some(value => value.attribute_value_id === Number(id))
+      );
+      if (missingId !== undefined) {
+        return recordNotFound(res, 'Attribute value', missingId, 'attribute_value_ids');
+      }
+
+      await product.addAttributes(values);
+      return res.status(200).json(await product.getAttributes({ joinTableAttributes: [] }));
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * remove an attribute value from a product with the stock of the combinations holding it,
+   * values used by variants of the product are not removed
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CatalogAdminController
+   */
+  static async removeProductAttribute(req, res, next) {
+    const { product_id: productId, attribute_value_id: attributeValueId } = req.params;
+    try {
+      const where = {
+        product_id: productId,
+        attribute_value_ids: holdsAttributeValue(attributeValueId),
+      };
+      const variantCount = await ProductVariant.count({ where });
+      if (variantCount) {
+        return stillReferenced(
+          res,
+          `Attribute value with id ${attributeValueId} is still used by ${variantCount} variants of product with id ${productId}`,
+          'attribute_value_id'
+        );
+      }
+
+      const removed = await sequelize.transaction(async transaction => {
+        const count = await ProductAttribute.destroy({
+          where: { product_id: productId, attribute_value_id: attributeValueId },
+          transaction,
+        });
+        if (count) {
+          // the stock of combinations holding the value can no longer be sold
+          await ProductStock.destroy({ where, transaction });
+        }
+        return count;
+      });
+      if (!removed) {
+        return recordNotFound(res, 'Product attribute', attributeValueId, 'attribute_value_id');
+      }
+      return res.status(200).json({
+        message: `Attribute value ${attributeValueId} has been removed from product with id ${productId}`,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * set the stock of a product, or of the combination of attribute_value_ids when given
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the stock levels of the product
+   * @memberof CatalogAdminController
+   */
+  static async setProductStock(req, res, next) {
+    const { product_id: productId } = req.params;
+    const { attribute_value_ids: attributeValueIds = [] } = req.body;
+    req.checkBody('quantity', 'The field quantity should be a positive integer.').isInt({ min: 0 });
+    const errors = req.validationErrors();
+    if (errors) {
+      return invalidRequest(res, errors);
+    }
+    if (
+      !Array.isArray(attributeValueIds) ||
+      (attributeValueIds.length && !isIdList(attributeValueIds))
+    ) {
+      return invalidRequest(res, [
+        {
+          msg: 'The field attribute_value_ids should be a list of ids.',
+          param: 'attribute_value_ids',
+        },
+      ]);
+    }
+
+    try {
+      const product = await Product.findByPk(productId, {
+        include: [{ model: AttributeValue, as: 'attributes' }],
+      });
+      if (!product) {
+        return recordNotFound(res, 'Product', productId, 'product_id');
+      }
+
+      const missingId = attributeValueIds.find(
+        id => !product.attributes.some(value => value.attribute_value_id === Number(id))
+      );
+      if (missingId !== undefined) {
+        return recordNotFound(res, 'Product attribute', missingId, 'attribute_value_ids');
+      }
+
+      const key = toAttributeKey(attributeValueIds);
+      const [stock] = await ProductStock.findOrCreate({
+        where: { product_id: productId, attribute_value_ids: key },
+      });
+      await stock.update({ quantity: parseInt(req.body.quantity, 10) });
+
+      return res.status(200).json(await ProductStock.findAll({ where: { product_id: productId } }));
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * create a variant of a product from a combination of the attribute values in
+   * attribute_value_ids, with an optional price, discounted_price, image and stock quantity
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the created variant
+   * @memberof CatalogAdminController
+   */
+  static async createProductVariant(req, res, next) {
+    const { product_id: productId } = req.params;
+    const errors = validateVariant(req, false);
+    if (errors) {
+      return invalidRequest(res, errors);
+    }
+
+    try {
+      const product = await Product.findByPk(productId, {
+        include: [{ model: AttributeValue, as: 'attributes' }],
+      });
+      if (!product) {
+        return recordNotFound(res, 'Product', productId, 'product_id');
+      }
+
+      const { key, error } = getCombinationKey(product, req.body.attribute_value_ids);
+      if (error) {
+        return res.status(error.status).json({ error });
+      }
+
+      const variant = ProductVariant.build({
+        ...pickFields(req.body, variantFields),
+        product_id: product.product_id,
+        attribute_value_ids: key,
+      });
+      const conflicts = await findVariantConflicts(variant);
+      if (conflicts) {
+        return invalidRequest(res, conflicts);
+      }
+
+      await saveVariant(variant, req.body.quantity);
+      return res.status(201).json(await formatAdminVariant(variant));
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * update a variant of a product, a quantity sets the stock of its combination and a new
+   * combination takes the stock of the old one
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the updated variant
+   * @memberof CatalogAdminController
+   */
+  static async updateProductVariant(req, res, next) {
+    const { product_id: productId, product_variant_id: variantId } = req.params;
+    const errors = validateVariant(req, true);
+    if (errors) {
+      return invalidRequest(res, errors);
+    }
+
+    try {
+      const variant = await ProductVariant.findOne({
+        where: { product_variant_id: variantId, product_id: productId },
+      });
+      if (!variant) {
+        return recordNotFound(res, 'Product variant', variantId, 'product_variant_id');
+      }
+
+      variant.set(pickFields(req.body, variantFields));
+      if (req.body.attribute_value_ids !== undefined) {
+        const product = await Product.findByPk(productId, {
+          include: [{ model: AttributeValue, as: 'attributes' }],
+        });
+        const { key, error } = getCombinationKey(product, req.body.attribute_value_ids);
+        if (error) {
+          return res.status(error.status).json({ error });
+        }
+        variant.set({ attribute_value_ids: key });
+      }
+      const conflicts = await findVariantConflicts(variant);
+      if (conflicts) {
+        return invalidRequest(res, conflicts);
+      }
+
+      await saveVariant(variant, req.body.quantity);
+      return res.status(200).json(await formatAdminVariant(variant));
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * delete a variant of a product and the cart lines holding it, orders keep its sku
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CatalogAdminController
+   */
+  static async deleteProductVariant(req, res, next) {
+    const { product_id: productId, product_variant_id: variantId } = req.params;
+    try {
+      const deleted = await sequelize.transaction(async transaction => {
+        const variant = await ProductVariant.findOne({
+          where: { product_variant_id: variantId, product_id: productId },
+          transaction,
+        });
+        if (!variant) {
+          return false;
+        }
+
+        await ShoppingCart.destroy({ where: { product_variant_id: variantId }, transaction });
+        await variant.destroy({ transaction });
+        return true;
+      });
+
+      if (!deleted) {
+        return recordNotFound(res, 'Product variant', variantId, 'product_variant_id');
+      }
+      return res.status(200).json({
+        message: `Product variant with id ${variantId} has been deleted`,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * create a department
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the created department
+   * @memberof CatalogAdminController
+   */
+  static async createDepartment(req, res, next) {
+    req.checkBody('name', 'The field name is required.').notEmpty();
+    const errors = req.validationErrors();
+    if (errors) {
+      return invalidRequest(res, errors);
+    }
+
+    try {
+      const department = await Department.create(pickFields(req.body, ['name', 'description']));
+      return res.status(201).json(department);
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * update a department
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the updated department
+   * @memberof CatalogAdminController
+   */
+  static async updateDepartment(req, res, next) {
+    const { department_id: departmentId } = req.params;
+    try {
+      const department = await Department.findByPk(departmentId);
+      if (!department) {
+        return recordNotFound(res, 'Department', departmentId, 'department_id');
+      }
+
+      await department.update(pickFields(req.body, ['name', 'description']));
+      return res.status(200).json(department);
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * delete a department, departments that still have categories are not deleted
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CatalogAdminController
+   */
+  static async deleteDepartment(req, res, next) {
+    const { department_id: departmentId } = req.params;
+    try {
+      const department = await Department.findByPk(departmentId);
+      if (!department) {
+        return recordNotFound(res, 'Department', departmentId, 'department_id');
+      }
+
+      const categoryCount = await Category.count({ where: { department_id: departmentId } });
+      if (categoryCount) {
+        return stillReferenced(
+          res,
+          `Department with id ${departmentId} still has ${categoryCount} categories`,
+          'department_id'
+        );
+      }
+
+      await department.destroy();
+      return res
+        .status(200)
+        .json({ message: `Department with id ${departmentId} has been deleted` });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * create a category in a department
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the created category
+   * @memberof CatalogAdminController
+   */
+  static async createCategory(req, res, next) {
+    req.checkBody('name', 'The field name is required.').notEmpty();
+    req.checkBody('department_id', 'The field department_id should be a valid integer.').isInt();
+    const errors = req.validationErrors();
+    if (errors) {
+      return invalidRequest(res, errors);
+    }
+
+    const { department_id: departmentId } = req.body;
+    try {
+      if (!(await Department.findByPk(departmentId))) {
+        return recordNotFound(res, 'Department', departmentId, 'department_id');
+      }
+
+      const category = await Category.create(
+        pickFields(req.body, ['name', 'description', 'department_id'])
+      );
+      return res.status(201).json(category);
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * update a category, it can be moved to another department
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the updated category
+   * @memberof CatalogAdminController
+   */
+  static async updateCategory(req, res, next) {
+    const { category_id: categoryId } = req.params;
+    const { department_id: departmentId } = req.body;
+    try {
+      const category = await Category.findByPk(categoryId);
+      if (!category) {
+        return recordNotFound(res, 'Category', categoryId, 'category_id');
+      }
+      if (departmentId !== undefined && !(await Department.findByPk(departmentId))) {
+        return recordNotFound(res, 'Department', departmentId, 'department_id');
+      }
+
+      await category.update(pickFields(req.body, ['name', 'description', 'department_id']));
+      return res.status(200).json(category);
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * delete a category, categories that still have products are not deleted
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CatalogAdminController
+   */
+  static async deleteCategory(req, res, next) {
+    const { category_id: categoryId } = req.params;
+    try {
+      const category = await Category.findByPk(categoryId);
+      if (!category) {
+        return recordNotFound(res, 'Category', categoryId, 'category_id');
+      }
+
+      const productCount = await ProductCategory.count({ where: { category_id: categoryId } });
+      if (productCount) {
+        return stillReferenced(
+          res,
+          `Category with id ${categoryId} still has ${productCount} products`,
+          'category_id'
+        );
+      }
+
+      await category.destroy();
+      return res.status(200).json({ message: `Category with id ${categoryId} has been deleted` });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * create an attribute
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the created attribute
+   * @memberof CatalogAdminController
+   */
+  static async createAttribute(req, res, next) {
+    req.checkBody('name', 'The field name is required.').notEmpty();
+    const errors = req.validationErrors();
+    if (errors) {
+      return invalidRequest(res, errors);
+    }
+
+    try {
+      const attribute = await Attribute.create(pickFields(req.body, ['name']));
+      return res.status(201).json(attribute);
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * update an attribute
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the updated attribute
+   * @memberof CatalogAdminController
+   */
+  static async updateAttribute(req, res, next) {
+    const { attribute_id: attributeId } = req.params;
+    try {
+      const attribute = await Attribute.findByPk(attributeId);
+      if (!attribute) {
+        return recordNotFound(res, 'Attribute', attributeId, 'attribute_id');
+      }
+
+      await attribute.update(pickFields(req.body, ['name']));
+      return res.status(200).json(attribute);
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * delete an attribute, attributes that still have values are not deleted
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CatalogAdminController
+   */
+  static async deleteAttribute(req, res, next) {
+    const { attribute_id: attributeId } = req.params;
+    try {
+      const attribute = await Attribute.findByPk(attributeId);
+      if (!attribute) {
+        return recordNotFound(res, 'Attribute', attributeId, 'attribute_id');
+      }
+
+      const valueCount = await AttributeValue.count({ where: { attribute_id: attributeId } });
+      if (valueCount) {
+        return stillReferenced(
+          res,
+          `Attribute with id ${attributeId} still has ${valueCount} values`,
+          'attribute_id'
+        );
+      }
+
+      await attribute.destroy();
+      return res.status(200).json({ message: `Attribute with id ${attributeId} has been deleted` });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * create a value of an attribute
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the created attribute value
+   * @memberof CatalogAdminController
+   */
+  static async createAttributeValue(req, res, next) {
+    const { attribute_id: attributeId } = req.params;
+    req.checkBody('value', 'The field value is required.').notEmpty();
+    const errors = req.validationErrors();
+    if (errors) {
+      return invalidRequest(res, errors);
+    }
+
+    try {
+      if (!(await Attribute.findByPk(attributeId))) {
+        return recordNotFound(res, 'Attribute', attributeId, 'attribute_id');
+      }
+
+      const attributeValue = await AttributeValue.create({
+        attribute_id: attributeId,
+        value: req.body.value,
+      });
+      return res.status(201).json(attributeValue);
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * update an attribute value
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the updated attribute value
+   * @memberof CatalogAdminController
+   */
+  static async updateAttributeValue(req, res, next) {
+    const { attribute_value_id: attributeValueId } = req.params;
+    try {
+      const attributeValue = await AttributeValue.findByPk(attributeValueId);
+      if (!attributeValue) {
+        return recordNotFound(res, 'Attribute value', attributeValueId, 'attribute_value_id');
+      }
+
+      await attributeValue.update(pickFields(req.body, ['value']));
+      return res.status(200).json(attributeValue);
+    } catch (error) {
+      return handleSaveError(res, next, error);
+    }
+  }
+
+  /**
+   * delete an attribute value with the stock rows of combinations holding it, values still
+   * assigned to products or used by variants are not deleted
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CatalogAdminController
+   */
+  static async deleteAttributeValue(req, res, next) {
+    const { attribute_value_id: attributeValueId } = req.params;
+    try {
+      const attributeValue = await AttributeValue.findByPk(attributeValueId);
+      if (!attributeValue) {
+        return recordNotFound(res, 'Attribute value', attributeValueId, 'attribute_value_id');
+      }
+
+      const productCount = await ProductAttribute.count({
+        where: { attribute_value_id: attributeValueId },
+      });
+      if (productCount) {
+        return stillReferenced(
+          res,
+          `Attribute value with id ${attributeValueId} is still used by ${productCount} products`,
+          'attribute_value_id'
+        );
+      }
+
+      const where = { attribute_value_ids: holdsAttributeValue(attributeValueId) };
+      const variantCount = await ProductVariant.count({ where });
+      if (variantCount) {
+        return stillReferenced(
+          res,
+          `Attribute value with id ${attributeValueId} is still used by ${variantCount} variants`,
+          'attribute_value_id'
+        );
+      }
+
+      await sequelize.transaction(async transaction => {
+        await ProductStock.destroy({ where, transaction });
+        await attributeValue.destroy({ transaction });
+      });
+      return res.status(200).json({
+        message: `Attribute value with id ${attributeValueId} has been deleted`,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * create or update products from a csv body (text/csv) or a json body, products are matched
+   * on their product_code. Each record is validated on its own and the report lists the errors
+   * of the records that were not imported. With dry_run=true nothing is saved.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the import report
+   * @memberof CatalogAdminController
+   */
+  static async importCatalog(req, res, next) {
+    const format = req.is('text/csv') ? 'csv' : 'json';
+    let records;
+    try {
+      records = parseCatalog(req.body, format);
+    } catch (error) {
+      return invalidRequest(res, [
+        { msg: `The ${format} could not be read: ${error.message}`, param: 'body' },
+      ]);
+    }
+
+    try {
+      const report = await importCatalog(records, { dryRun: req.query.dry_run === 'true' });
+      return res.status(200).json(report);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * export the products with their categories, attribute values, stock and variants in the
+   * format accepted by importCatalog, json unless format=csv
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json|string} the exported catalog
+   * @memberof CatalogAdminController
+   */
+  static async exportCatalog(req, res, next) {
+    const format = req.query.format || 'json';
+    if (!CATALOG_FORMATS.includes(format)) {
+      return invalidRequest(res, [
+        { msg: `The format should be one of ${CATALOG_FORMATS.join(', ')}.`, param: 'format' },
+      ]);
+    }
+
+    try {
+      const records = await exportCatalog();
+      res.attachment(`catalog.${format}`);
+      res.type(format);
+      return res.status(200).send(serializeCatalog(records, format));
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+export default CatalogAdminController;
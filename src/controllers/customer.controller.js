@@ -4,15 +4,195 @@
  *
  * - create - allow customers to create a new account
  * - login - allow customers to login to their account
+ * - refreshToken - exchange a refresh token for a new access token and a rotated refresh token
+ * - logout - revoke the refresh token family of the current session
+ * - facebookLogin - allow customers to login or sign up with a facebook access token
+ * - socialLogin - allow customers to login or sign up with any supported social provider
+ * - linkSocialIdentity - link a social provider identity to the logged in customer
+ * - forgotPassword - email a one-time password reset token to a customer
+ * - resetPassword - set a new password using a password reset token
  * - getCustomerProfile - allow customers to view their profile info
  * - updateCustomerProfile - allow customers to update their profile info like name, email, password, day_phone, eve_phone and mob_phone
  * - updateCustomerAddress - allow customers to update their address info
  * - updateCreditCard - allow customers to update their credit card number
+ * - updateCustomerRole - allow administrators to change the role of a customer account
  *
  *  NB: Check the BACKEND CHALLENGE TEMPLATE DOCUMENTATION in the readme of this repository to see our recommended
  *  endpoints, request body/param, and response object for each of these method
  */
-import { Customer } from '../database/models';
+import log from 'fancy-log';
+import {
+  Customer,
+  CustomerIdentity,
+  PasswordReset,
+  RefreshToken,
+  Sequelize,
+  sequelize,
+} from '../database/models';
+import {
+  buildAuthPayload,
+  formatAuthPayload,
+  generateOpaqueToken,
+  hashToken,
+  issueRefreshToken,
+} from '../helpers/token.helper';
+import { isValidRole, ROLES } from '../helpers/permissions.helper';
+import { escapeHtml, sendMail } from '../services/mail';
+import { isSupportedProvider, verifyProviderToken } from '../services/social';
+
+const { Op } = Sequelize;
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+const invalidRefreshToken = {
+  error: {
+    status: 401,
+    code: 'AUT_04',
+    message: 'Refresh token is invalid.',
+    field: 'refresh_token',
+  },
+};
+
+/**
+ * revoke every active refresh token issued in the same login session
+ *
+ * @param {string} familyId family shared by a refresh token and all its rotations
+ * @param {object} transaction optional sequelize transaction
+ * @returns {Promise} resolves when the tokens are revoked
+ */
+const revokeTokenFamily = (familyId, transaction) =>
+  RefreshToken.update(
+    { revoked_on: new Date() },
+    { where: { family_id: familyId, revoked_on: { [Op.is]: null } }, transaction }
+  );
+
+/**
+ * validate a social login request and verify its access token with the provider
+ *
+ * @param {object} req express request object
+ * @param {object} res express response object
+ * @returns {object|null} provider name and profile, null when an error response has been sent
+ */
+const verifySocialRequest = async (req, res) => {
+  const { provider } = req.params;
+  const { access_token: accessToken } = req.body;
+
+  if (!isSupportedProvider(provider)) {
+    res.status(400).json({
+      error: {
+        status: 400,
+        code: 'USR_12',
+        message: `Social login with ${provider} is not supported.`,
+        field: 'provider',
+      },
+    });
+    return null;
+  }
+
+  if (!accessToken) {
+    res.status(400).json({
+      error: {
+        status: 400,
+        code: 'USR_02',
+        message: 'The field access_token is required.',
+        field: 'access_token',
+      },
+    });
+    return null;
+  }
+
+  try {
+    const profile = await verifyProviderToken(provider, accessToken);
+    return { provider, profile };
+  } catch (error) {
+    res.status(401).json({
+      error: {
+        status: 401,
+        code: 'AUT_06',
+        message: 'The provider access token is invalid.',
+        field: 'access_token',
+      },
+    });
+    return null;
+  }
+};
+
+/**
+ * get the customer a social provider identity is linked to
+ *
+ * @param {string} provider provider name
+ * @param {string} providerUserId id of the user at the provider
+ * @returns {Promise} resolves with the customer model instance or null
+ */
+const findIdentityCustomer = async (provider, providerUserId) => {
+  const identity = await CustomerIdentity.findOne({
+    where: { provider, provider_user_id: providerUserId },
+    include: [Customer],
+  });
+  return identity ? identity.Customer : null;
+};
+
+/**
+ * create a customer and link the social provider identity it signed up with
+ *
+ * @param {string} provider provider name
+ * @param {object} profile verified provider profile
+ * @returns {Promise} resolves with the created customer model instance
+ */
+const createSocialCustomer = (provider, profile) =>
+  sequelize.transaction(async transaction => {
+    // social customers get an unusable random password until they reset it
+    const customer = await Customer.create(
+      {
+        name: profile.name || profile.email,
+        email: profile.email,
+        password: generateOpaqueToken(32),
+      },
+      { transaction }
+    );
+    await CustomerIdentity.create(
+      {
+        customer_id: customer.customer_id,
+        provider,
+        provider_user_id: profile.id,
+        email: profile.email,
+      },
+      { transaction }
+    );
+    return customer;
+  });
+
+/**
+ * error of a social sign up with the email of an existing customer
+ *
+ * @param {string} provider provider name
+ * @returns {object} error response body
+ */
+const emailTaken = provider => ({
+  error: {
+    status: 409,
+    code: 'USR_17',
+    message: `An account with this email already exists, log in with your password and link ${provider} to it.`,
+    field: 'email',
+  },
+});
+
+/**
+ * respond to a social sign up whose email is already taken. A concurrent request may have signed
+ * up the same provider account in the meantime, its customer is logged in.
+ *
+ * @param {object} res express response object
+ * @param {string} provider provider name
+ * @param {object} profile verified provider profile
+ * @returns {json} json object with the auth payload or the USR_17 error
+ */
+const respondToTakenEmail = async (res, provider, profile) => {
+  const racedCustomer = await findIdentityCustomer(provider, profile.id);
+  if (!racedCustomer) {
+    return res.status(409).json(emailTaken(provider));
+  }
+  return res.status(200).json(await buildAuthPayload(racedCustomer));
+};
 
 /**
  *
@@ -31,8 +211,41 @@ class CustomerController {
    * @memberof CustomerController
    */
   static async create(req, res, next) {
-    // Implement the function to create the customer account
-    return res.status(201).json({ message: 'this works' });
+    req.checkBody('name', 'The field name is required.').notEmpty();
+    req.checkBody('email', 'The email is invalid.').isEmail();
+    req.checkBody('password', 'The field password is required.').notEmpty();
+
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_02',
+          message: errors[0].msg,
+          field: errors[0].param,
+        },
+      });
+    }
+
+    const { name, email, password } = req.body;
+    try {
+      const existingCustomer = await Customer.findOne({ where: { email } });
+      if (existingCustomer) {
+        return res.status(400).json({
+          error: {
+            status: 400,
+            code: 'USR_04',
+            message: 'The email already exists.',
+            field: 'email',
+          },
+        });
+      }
+
+      const customer = await Customer.create({ name, email, password });
+      return res.status(201).json(await buildAuthPayload(customer));
+    } catch (error) {
+      return next(error);
+    }
   }
 
   /**
@@ -46,8 +259,431 @@ class CustomerController {
    * @memberof CustomerController
    */
   static async login(req, res, next) {
-    // implement function to login to user account
-    return res.status(200).json({ message: 'this works' });
+    const { email, password } = req.body;
+    const invalidCredentials = {
+      error: {
+        status: 400,
+        code: 'USR_01',
+        message: 'Email or Password is invalid.',
+        field: 'email',
+      },
+    };
+
+    if (!email || !password) {
+      return res.status(400).json(invalidCredentials);
+    }
+
+    try {
+      const customer = await Customer.findOne({ where: { email } });
+      if (!customer || !(await customer.validatePassword(password))) {
+        return res.status(400).json(invalidCredentials);
+      }
+
+      return res.status(200).json(await buildAuthPayload(customer));
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * rotate a refresh token: the presented token is revoked and replaced by a new one in the
+   * same family. Presenting a token that was already rotated or revoked revokes the whole family.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with customer data, access token and refresh token
+   * @memberof CustomerController
+   */
+  static async refreshToken(req, res, next) {
+    const { refresh_token: token } = req.body;
+    if (!token) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_02',
+          message: 'The field refresh_token is required.',
+          field: 'refresh_token',
+        },
+      });
+    }
+
+    try {
+      const current = await RefreshToken.findOne({ where: { token_hash: hashToken(token) } });
+      if (!current) {
+        return res.status(401).json(invalidRefreshToken);
+      }
+
+      if (current.revoked_on) {
+        await revokeTokenFamily(current.family_id);
+        return res.status(401).json(invalidRefreshToken);
+      }
+
+      if (current.isExpired()) {
+        return res.status(401).json({
+          error: {
+            ...invalidRefreshToken.error,
+            code: 'AUT_05',
+            message: 'Refresh token has expired.',
+          },
+        });
+      }
+
+      const payload = await sequelize.transaction(async transaction => {
+        // only one request may rotate a token, a concurrent rotation is treated as reuse
+        const [rotated] = await RefreshToken.update(
+          { revoked_on: new Date() },
+          {
+            where: { refresh_token_id: current.refresh_token_id, revoked_on: { [Op.is]: null } },
+            transaction,
+          }
+        );
+        if (!rotated) {
+          await revokeTokenFamily(current.family_id, transaction);
+          return null;
+        }
+
+        const customer = await Customer.findByPk(current.customer_id, { transaction });
+        if (!customer) {
+          return null;
+        }
+
+        const { token: refreshToken, record } = await issueRefreshToken(customer.customer_id, {
+          familyId: current.family_id,
+          transaction,
+        });
+        await current.update({ replaced_by: record.refresh_token_id }, { transaction });
+
+        return formatAuthPayload(customer, refreshToken);
+      });
+
+      if (!payload) {
+        return res.status(401).json(invalidRefreshToken);
+      }
+      return res.status(200).json(payload);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * log out a customer by revoking the refresh token family of the current session
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with a success message
+   * @memberof CustomerController
+   */
+  static async logout(req, res, next) {
+    const { refresh_token: token } = req.body;
+    if (!token) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_02',
+          message: 'The field refresh_token is required.',
+          field: 'refresh_token',
+        },
+      });
+    }
+
+    try {
+      const current = await RefreshToken.findOne({ where: { token_hash: hashToken(token) } });
+      if (current) {
+        await revokeTokenFamily(current.family_id);
+      }
+      return res.status(200).json({ message: 'Logged out successfully.' });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * log in or sign up a customer with a facebook access token
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with customer data, access token and refresh token
+   * @memberof CustomerController
+   */
+  static async facebookLogin(req, res, next) {
+    req.params.provider = 'facebook';
+    return CustomerController.socialLogin(req, res, next);
+  }
+
+  /**
+   * log in or sign up a customer with a social provider access token.
+   * An identity already linked logs its customer in, otherwise a new customer is created with the
+   * verified provider email. An email that belongs to an existing customer is not linked
+   * automatically, the customer has to log in and link the provider with linkSocialIdentity.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with customer data, access token and refresh token
+   * @memberof CustomerController
+   */
+  static async socialLogin(req, res, next) {
+    try {
+      const verified = await verifySocialRequest(req, res);
+      if (!verified) {
+        return null;
+      }
+      const { provider, profile } = verified;
+
+      const linkedCustomer = await findIdentityCustomer(provider, profile.id);
+      if (linkedCustomer) {
+        return res.status(200).json(await buildAuthPayload(linkedCustomer));
+      }
+
+      if (!profile.email || !profile.emailVerified) {
+        return res.status(400).json({
+          error: {
+            status: 400,
+            code: 'USR_13',
+            message: `Your ${provider} account has no verified email, sign up with a password first and link ${provider} to it.`,
+            field: 'email',
+          },
+        });
+      }
+
+      const existing = await Customer.findOne({
+        where: { email: profile.email },
+        attributes: ['customer_id'],
+      });
+      if (existing) {
+        return respondToTakenEmail(res, provider, profile);
+      }
+
+      let customer;
+      try {
+        customer = await createSocialCustomer(provider, profile);
+      } catch (error) {
+        if (!(error instanceof Sequelize.UniqueConstraintError)) {
+          throw error;
+        }
+        // a concurrent request signed up the same provider account or email first
+        return respondToTakenEmail(res, provider, profile);
+      }
+
+      return res.status(201).json(await buildAuthPayload(customer));
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * link a social provider identity to the logged in customer
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the linked identity
+   * @memberof CustomerController
+   */
+  static async linkSocialIdentity(req, res, next) {
+    const { customer_id: customerId } = req;
+    try {
+      const verified = await verifySocialRequest(req, res);
+      if (!verified) {
+        return null;
+      }
+      const { provider, profile } = verified;
+
+      const [identity, created] = await CustomerIdentity.findOrCreate({
+        where: { provider, provider_user_id: profile.id },
+        defaults: { customer_id: customerId, email: profile.email },
+      });
+      if (!created && identity.customer_id !== customerId) {
+        return res.status(409).json({
+          error: {
+            status: 409,
+            code: 'USR_14',
+            message: `This ${provider} account is already linked to another customer.`,
+            field: 'access_token',
+          },
+        });
+      }
+
+      return res.status(created ? 201 : 200).json({
+        identity: {
+          provider: identity.provider,
+          provider_user_id: identity.provider_user_id,
+          email: identity.email,
+        },
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * email a password reset token to a customer. The response is the same whether or not the
+   * email belongs to a customer so that it can not be used to find registered emails.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CustomerController
+   */
+  static async forgotPassword(req, res, next) {
+    req.checkBody('email', 'The email is invalid.').isEmail();
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_03',
+          message: errors[0].msg,
+          field: 'email',
+        },
+      });
+    }
+
+    const { email } = req.body;
+    try {
+      const customer = await Customer.findOne({ where: { email } });
+      if (customer) {
+        const token = generateOpaqueToken(32);
+
+        await sequelize.transaction(async transaction => {
+          // a new request invalidates any reset token issued before it
+          await PasswordReset.update(
+            { used_on: new Date() },
+            {
+              where: { customer_id: customer.customer_id, used_on: { [Op.is]: null } },
+              transaction,
+            }
+          );
+          await PasswordReset.create(
+            {
+              customer_id: customer.customer_id,
+              token_hash: hashToken(token),
+              expires_on: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+            },
+            { transaction }
+          );
+        });
+
+        const resetUrl = `${process.env.PASSWORD_RESET_URL || ''}?token=${token}`;
+        try {
+          await sendMail({
+            to: customer.email,
+            subject: 'Reset your password',
+            text: `Hi ${customer.name}, use this link to reset your password: ${resetUrl}. The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+            html: `<p>Hi ${escapeHtml(customer.name)},</p><p>Use <a href="${escapeHtml(
+              resetUrl
+            )}">this link</a> to reset your password. The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.</p>`,
+          });
+        } catch (error) {
+          // a failure must not tell the email apart from unregistered ones
+          log(
+            `Password reset email to customer ${customer.customer_id} could not be sent: ${error.message}`
+          );
+        }
+      }
+
+      return res.status(200).json({
+        message: 'If the email is registered, a password reset link has been sent to it.',
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * set a new password for a customer using a password reset token, the token can only be used
+   * once and all refresh tokens of the customer are revoked
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CustomerController
+   */
+  static async resetPassword(req, res, next) {
+    req.checkBody('token', 'The field token is required.').notEmpty();
+    req.checkBody('password', 'The field password is required.').notEmpty();
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_02',
+          message: errors[0].msg,
+          field: errors[0].param,
+        },
+      });
+    }
+
+    const { token, password } = req.body;
+    const invalidResetToken = {
+      error: {
+        status: 400,
+        code: 'USR_11',
+        message: 'Password reset token is invalid or has expired.',
+        field: 'token',
+      },
+    };
+
+    try {
+      const passwordReset = await PasswordReset.findOne({
+        where: { token_hash: hashToken(token) },
+      });
+      if (!passwordReset || passwordReset.used_on || passwordReset.isExpired()) {
+        return res.status(400).json(invalidResetToken);
+      }
+
+      const reset = await sequelize.transaction(async transaction => {
+        const [claimed] = await PasswordReset.update(
+          { used_on: new Date() },
+          {
+            where: {
+              password_reset_id: passwordReset.password_reset_id,
+              used_on: { [Op.is]: null },
+            },
+            transaction,
+          }
+        );
+        if (!claimed) {
+          return false;
+        }
+
+        const customer = await Customer.findByPk(passwordReset.customer_id, { transaction });
+        if (!customer) {
+          return false;
+        }
+        customer.password = password;
+        customer.password = await customer.generatePasswordHash();
+        await customer.save({ transaction });
+
+        await RefreshToken.update(
+          { revoked_on: new Date() },
+          {
+            where: { customer_id: customer.customer_id, revoked_on: { [Op.is]: null } },
+            transaction,
+          }
+        );
+        return true;
+      });
+
+      if (!reset) {
+        return res.status(400).json(invalidResetToken);
+      }
+      return res.status(200).json({ message: 'Password has been reset successfully.' });
+    } catch (error) {
+      return next(error);
+    }
   }
 
   /**
@@ -61,12 +697,20 @@ class CustomerController {
    * @memberof CustomerController
    */
   static async getCustomerProfile(req, res, next) {
-    // fix the bugs in this code
     const { customer_id } = req;  // eslint-disable-line
     try {
       const customer = await Customer.findByPk(customer_id);
-      return res.status(400).json({
-        customer,
+      if (!customer) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'USR_05',
+            message: "The email doesn't exist.",
+          },
+        });
+      }
+      return res.status(200).json({
+        customer: customer.getSafeDataValues(),
       });
     } catch (error) {
       return next(error);
@@ -118,6 +762,65 @@ class CustomerController {
     // write code to update customer credit card number
     return res.status(200).json({ message: 'this works' });
   }
+
+  /**
+   * update the role of a customer account, administrators cannot remove their own admin role
+   * so that there is always someone left to manage roles
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated customer
+   * @memberof CustomerController
+   */
+  static async updateCustomerRole(req, res, next) {
+    const { customer_id: customerId } = req.params;
+    const { role } = req.body;
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_15',
+          message: `The role should be one of ${Object.values(ROLES).join(', ')}.`,
+          field: 'role',
+        },
+      });
+    }
+
+    if (String(customerId) === String(req.customer_id) && role !== ROLES.ADMIN) {
+      return res.status(409).json({
+        error: {
+          status: 409,
+          code: 'USR_16',
+          message: 'You cannot remove your own admin role.',
+          field: 'role',
+        },
+      });
+    }
+
+    try {
+      const customer = await Customer.findByPk(customerId);
+      if (!customer) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'USR_05',
+            message: `Customer with id ${customerId} does not exist`,
+            field: 'customer_id',
+          },
+        });
+      }
+
+      await customer.update({ role });
+      return res.status(200).json({
+        customer: customer.getSafeDataValues(),
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
 }
 
 export default CustomerController;
@@ -0,0 +1,508 @@
+/**
+ * The Order Admin controller contains the static methods support staff use to follow up on orders
+ *
+ * - getOrders - list the orders of every customer with filters, sorting and pagination
+ * - getOrder - get an order with its items, customer address, timeline and internal comments
+ * - addOrderComment - add an internal comment to an order, customers never see these comments
+ * - updateOrderStatus - advance an order to the processing or delivered status
+ * - shipOrder - mark an order as shipped with its carrier and tracking reference
+ */
+import {
+  Customer,
+  Order,
+  OrderComment,
+  OrderDetail,
+  OrderHistory,
+  Shipping,
+  Sequelize,
+  sequelize,
+} from '../database/models';
+import {
+  ORDER_STATUS,
+  formatOrder,
+  formatOrderItem,
+  formatTimeline,
+  getStatusValue,
+  transitionOrder,
+} from '../helpers/orderStatus.helper';
+
+const { Op } = Sequelize;
+
+const SORTABLE_FIELDS = ['order_id', 'created_on', 'shipped_on', 'total_amount', 'status'];
+
+const MAX_PAGE_SIZE = 100;
+
+// shipped is reached through shipOrder so that a carrier and tracking reference are recorded,
+// cancellations and refunds go through the customer cancellation flow which refunds payments
+const ADVANCEABLE_STATUSES = [ORDER_STATUS.PROCESSING, ORDER_STATUS.DELIVERED];
+
+const customerAttributes = [
+  'customer_id',
+  'name',
+  'email',
+  'address_1',
+  'address_2',
+  'city',
+  'region',
+  'postal_code',
+  'country',
+  'shipping_region_id',
+  'day_phone',
+  'eve_phone',
+  'mob_phone',
+];
+
+/**
+ * send a 400 response for an invalid request
+ *
+ * @param {object} res express response object
+ * @param {string} message error message
+ * @param {string} field request field that is invalid
+ * @returns {json} json object with the error
+ */
+const invalidRequest = (res, message, field) =>
+  res.status(400).json({
+    error: {
+      status: 400,
+      code: 'ORD_07',
+      message,
+      field,
+    },
+  });
+
+/**
+ * send a 404 response for an order that does not exist
+ *
+ * @param {object} res express response object
+ * @param {string} orderId order id from the request
+ * @returns {json} json object with the error
+ */
+const orderNotFound = (res, orderId) =>
+  res.status(404).json({
+    error: {
+      status: 404,
+      code: 'ORD_03',
+      message: `Order with id ${orderId} does not exist`,
+      field: 'order_id',
+    },
+  });
+
+/**
+ * send a 409 response for a status transition that the order lifecycle does not allow,
+ * other errors are passed on
+ *
+ * @param {object} res express response object
+ * @param {function} next next middleware
+ * @param {Error} error error thrown while updating the order
+ * @returns {json} json object with the error
+ */
+const handleTransitionError = (res, next, error) => {
+  if (error.status === 409) {
+    return res.status(409).json({
+      error: {
+        status: 409,
+        code: 'ORD_08',
+        message: error.message,
+        field: 'status',
+      },
+    });
+  }
+  return next(error);
+};
+
+/**
+ * parse a comma separated list of status labels
+ *
+ * @param {string} value status query parameter e.g. paid,processing
+ * @returns {array|null} stored status values, null when a label is unknown
+ */
+const parseStatuses = value => {
+  const statuses = String(value)
+    .split(',')
+    .map(label => getStatusValue(label.trim()));
+  return statuses.includes(undefined) ? null : statuses;
+};
+
+/**
+ * get the condition on the creation date for the `to` query parameter, a date without a time
+ * includes the whole of that day
+ *
+ * @param {string} to ISO 8601 date or date and time
+ * @returns {object} sequelize condition
+ */
+const createdBefore = to =>
+  /^\d{4}-\d{2}-\d{2}$/.test(to)
+    ? { [Op.lt]: new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000) }
+    : { [Op.lte]: new Date(to) };
+
+/**
+ * build the where clause of the order listing from the validated query parameters
+ *
+ * @param {object} query express request query
+ * @param {array} statuses stored status values to filter on
+ * @returns {object} sequelize where clause
+ */
+const buildOrderFilters = (query, statuses) => {
+  const where = {};
+  if (statuses) {
+    where.status = { [Op.in]: statuses };
+  }
+  if (query.customer_id) {
+    where.customer_id = query.customer_id;
+  }
+  if (query.shipping_id) {
+    where.shipping_id = query.shipping_id;
+  }
+  if (query.from || query.to) {
+    where.created_on = {
+      ...(query.from && { [Op.gte]: new Date(query.from) }),
+      ...(query.to && createdBefore(query.to)),
+    };
+  }
+  if (query.min_total || query.max_total) {
+    where.total_amount = {
+      ...(query.min_total && { [Op.gte]: query.min_total }),
+      ...(query.max_total && { [Op.lte]: query.max_total }),
+    };
+  }
+  return where;
+};
+
+/**
+ * format an internal comment for the response
+ *
+ * @param {object} comment order comment model instance
+ * @returns {object} comment with the name of its author
+ */
+const formatComment = comment => ({
+  order_comment_id: comment.order_comment_id,
+  comment: comment.comment,
+  author_id: comment.author_id,
+  author_name: comment.author ? comment.author.name : null,
+  created_on: comment.created_on,
+});
+
+/**
+ * get an order with everything support staff need to follow it up
+ *
+ * @param {string} orderId order id from the request
+ * @returns {Promise} resolves with the order detail or null
+ */
+const getOrderDetailPayload = async orderId => {
+  const order = await Order.findByPk(orderId, {
+    include: [
+      { model: OrderDetail, as: 'orderItems' },
+      { model: OrderHistory, as: 'history' },
+      {
+        model: OrderComment,
+        as: 'internalComments',
+        include: [{ model: Customer, as: 'author', attributes: ['name'] }],
+      },
+      { model: Customer, attributes: customerAttributes },
+      { model: Shipping, attributes: ['shipping_id', 'shipping_type', 'shipping_cost'] },
+    ],
+    order: [
+      [{ model: OrderDetail, as: 'orderItems' }, 'item_id', 'ASC'],
+      [{ model: OrderComment, as: 'internalComments' }, 'order_comment_id', 'ASC'],
+    ],
+  });
+  if (!order) {
+    return null;
+  }
+
+  const { orderItems, history, internalComments, ...detail } = formatOrder(order);
+  return {
+    ...detail,
+    orderItems: order.orderItems.map(formatOrderItem),
+    timeline: formatTimeline(order.history),
+    comments: order.internalComments.map(formatComment),
+  };
+};
+
+class OrderAdminController {
+  /**
+   * list the orders of every customer. Orders can be filtered by status (comma separated
+   * labels), from and to creation dates, customer_id, min_total and max_total amounts and
+   * shipping_id, and sorted with sort_by and order.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the paginated orders
+   * @memberof OrderAdminController
+   */
+  static async getOrders(req, res, next) {
+    const { query } = req;
+    req
+      .checkQuery('page', 'The page should be a positive integer.')
+      .optional()
+      .isInt({ min: 1 });
+    req
+      .checkQuery('limit', `The limit should be an integer between 1 and ${MAX_PAGE_SIZE}.`)
+      .optional()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE });
+    req
+      .checkQuery('customer_id', 'The customer_id should be an integer.')
+      .optional()
+      .isInt();
+    req
+      .checkQuery('shipping_id', 'The shipping_id should be an integer.')
+      .optional()
+      .isInt();
+    req
+      .checkQuery('from', 'The from date should be a valid date.')
+      .optional()
+      .isISO8601();
+    req
+      .checkQuery('to', 'The to date should be a valid date.')
+      .optional()
+      .isISO8601();
+    req
+      .checkQuery('min_total', 'The min_total should be an amount.')
+      .optional()
+      .isDecimal();
+    req
+      .checkQuery('max_total', 'The max_total should be an amount.')
+      .optional()
+      .isDecimal();
+    req
+      .checkQuery('sort_by', `The sort_by should be one of ${SORTABLE_FIELDS.join(', ')}.`)
+      .optional()
+      .isIn(SORTABLE_FIELDS);
+    req
+      .checkQuery('order', 'The order should be asc or desc.')
+      .optional()
+      .isIn(['asc', 'desc', 'ASC', 'DESC']);
+    const errors = req.validationErrors();
+    if (errors) {
+      return invalidRequest(res, errors[0].msg, errors[0].param);
+    }
+
+    const statuses = query.status ? parseStatuses(query.status) : undefined;
+    if (statuses === null) {
+      return invalidRequest(
+        res,
+        `The status ${query.status} is not a valid order status.`,
+        'status'
+      );
+    }
+
+    const page = parseInt(query.page || 1, 10);
+    const limit = parseInt(query.limit || 20, 10);
+    const sortBy = query.sort_by || 'created_on';
+    const direction = (query.order || 'desc').toUpperCase();
+
+    try {
+      const { rows, count } = await Order.findAndCountAll({
+        where: buildOrderFilters(query, statuses),
+        include: [
+          { model: Customer, attributes: ['customer_id', 'name', 'email'] },
+          { model: Shipping, attributes: ['shipping_id', 'shipping_type'] },
+        ],
+        order: [[sortBy, direction], ['order_id', direction]],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const paginationMeta = {
+        currentPage: page,
+        currentPageSize: limit,
+        totalPages: Math.ceil(count / limit),
+        totalRecords: count,
+      };
+
+      return res.status(200).json({
+        paginationMeta,
+        rows: rows.map(formatOrder),
+        status: true,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * get an order with its items, the customer address, the status timeline and the
+   * internal comments
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the order detail
+   * @memberof OrderAdminController
+   */
+  static async getOrder(req, res, next) {
+    const { order_id: orderId } = req.params;
+    try {
+      const detail = await getOrderDetailPayload(orderId);
+      if (!detail) {
+        return orderNotFound(res, orderId);
+      }
+
+      return res.status(200).json(detail);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * add an internal comment to an order
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the created comment
+   * @memberof OrderAdminController
+   */
+  static async addOrderComment(req, res, next) {
+    const { order_id: orderId } = req.params;
+    const { comment } = req.body;
+
+    if (typeof comment !== 'string' || !comment.trim()) {
+      return invalidRequest(res, 'The field comment is required.', 'comment');
+    }
+
+    try {
+      const order = await Order.findByPk(orderId, { attributes: ['order_id'] });
+      if (!order) {
+        return orderNotFound(res, orderId);
+      }
+
+      const created = await OrderComment.create({
+        order_id: order.order_id,
+        author_id: req.customer_id,
+        comment: comment.trim(),
+      });
+      const author = await Customer.findByPk(req.customer_id, { attributes: ['name'] });
+
+      return res.status(201).json(formatComment({ ...created.get({ plain: true }), author }));
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * advance an order to the processing or delivered status
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the order detail
+   * @memberof OrderAdminController
+   */
+  static async updateOrderStatus(req, res, next) {
+    const { order_id: orderId } = req.params;
+    const { status, reason } = req.body;
+    const nextStatus = getStatusValue(status);
+
+    if (nextStatus === ORDER_STATUS.SHIPPED) {
+      return invalidRequest(
+        res,
+        'Orders are shipped with their carrier and tracking reference through the shipment endpoint.',
+        'status'
+      );
+    }
+    if (!ADVANCEABLE_STATUSES.includes(nextStatus)) {
+      return invalidRequest(res, 'The status should be one of processing, delivered.', 'status');
+    }
+
+    try {
+      const found = await sequelize.transaction(async transaction => {
+        const order = await Order.findByPk(orderId, {
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (!order) {
+          return false;
+        }
+
+        await transitionOrder(order, nextStatus, {
+          actor: `staff:${req.customer_id}`,
+          reason: reason || `Marked as ${status} by staff`,
+          transaction,
+        });
+        return true;
+      });
+
+      if (!found) {
+        return orderNotFound(res, orderId);
+      }
+      return res.status(200).json(await getOrderDetailPayload(orderId));
+    } catch (error) {
+      return handleTransitionError(res, next, error);
+    }
+  }
+
+  /**
+   * mark an order as shipped with its carrier and tracking reference, the shipment of an order
+   * that is already shipped is corrected without changing its status
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the order detail
+   * @memberof OrderAdminController
+   */
+  static async shipOrder(req, res, next) {
+    const { order_id: orderId } = req.params;
+    req.checkBody('carrier', 'The field carrier is required.').notEmpty();
+    req
+      .checkBody('carrier', 'The field carrier should not be longer than 50 characters.')
+      .isLength({ max: 50 });
+    req.checkBody('tracking_reference', 'The field tracking_reference is required.').notEmpty();
+    req
+      .checkBody(
+        'tracking_reference',
+        'The field tracking_reference should not be longer than 100 characters.'
+      )
+      .isLength({ max: 100 });
+    const errors = req.validationErrors();
+    if (errors) {
+      return invalidRequest(res, errors[0].msg, errors[0].param);
+    }
+
+    const shipment = {
+      carrier: req.body.carrier,
+      tracking_reference: req.body.tracking_reference,
+    };
+
+    try {
+      const found = await sequelize.transaction(async transaction => {
+        const order = await Order.findByPk(orderId, {
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (!order) {
+          return false;
+        }
+
+        if (order.status === ORDER_STATUS.SHIPPED) {
+          await order.update(shipment, { transaction });
+          return true;
+        }
+
+        await transitionOrder(order, ORDER_STATUS.SHIPPED, {
+          actor: `staff:${req.customer_id}`,
+          reason: `Shipped with ${shipment.carrier}, tracking reference ${shipment.tracking_reference}`,
+          changes: shipment,
+          transaction,
+        });
+        return true;
+      });
+
+      if (!found) {
+        return orderNotFound(res, orderId);
+      }
+      return res.status(200).json(await getOrderDetailPayload(orderId));
+    } catch (error) {
+      return handleTransitionError(res, next, error);
+    }
+  }
+}
+
+export default OrderAdminController;
@@ -8,100 +8,296 @@
  * - getProductsByCategory - Returns all products in a product category
  * - getProductsByDepartment - Returns a list of products in a particular department
  * - getProduct - Returns a single product with a matched id in the request params
+ * - getProductVariants - Returns the variants (SKUs) of a product with their attribute values
  * - getAllDepartments - Returns a list of all product departments
  * - getDepartment - Returns a single department
  * - getAllCategories - Returns all categories
  * - getSingleCategory - Returns a single category
- * - getDepartmentCategories - Returns all categories in a department
+ * - getDepartmentCategories - Returns a paginated list of the categories in a department
+ * - getProductCategories - Returns the categories of a product
+ * - getDepartmentTree - Returns the departments with their categories and product counts
  *
  *  NB: Check the BACKEND CHALLENGE TEMPLATE DOCUMENTATION in the readme of this repository to see our recommended
  *  endpoints, request body/param, and response object for each of these method
  */
 import {
   Product,
+  ProductVariant,
   Department,
-  AttributeValue,
   Attribute,
   Category,
   Sequelize,
   sequelize,
 } from '../database/models';
+import {
+  buildFilterConditions,
+  buildProductOrder,
+  buildRelevance,
+  buildSearchCondition,
+  getAttributeFilterKeys,
+  getProductFacets,
+  parseProductFilters,
+  parseSearchTerms,
+  reviewSummaryAttributes,
+} from '../helpers/productQuery.helper';
+import {
+  decodeCursor,
+  getCursorPage,
+  getCursorQuery,
+  isCursorRequest,
+} from '../helpers/cursor.helper';
+import { formatVariants } from '../helpers/variant.helper';
 
 const { Op } = Sequelize;
 
 const productsQueryMap = {
-  attributes: ['product_id', 'name', 'price', 'thumbnail', 'discounted_price', 'description'],
+  attributes: [
+    'product_id',
+    'name',
+    'price',
+    'thumbnail',
+    'discounted_price',
+    'description',
+    ...reviewSummaryAttributes('Product'),
+  ],
 };
 
+// query parameters of the listings that are not product filters
+const LISTING_QUERY_KEYS = ['page', 'limit', 'description_length', 'pagination', 'cursor'];
+const SEARCH_QUERY_KEYS = ['page', 'limit', 'description_length', 'query_string', 'all_words'];
+
 /**
+ * validate the filter query parameters of a product listing, attributes are only loaded
+ * when the query has attribute filters
  *
+ * @param {object} query express request query
+ * @param {array} reservedKeys other query parameters of the endpoint
+ * @returns {Promise} resolves with the filters or the error of the first invalid parameter
+ */
+const getProductFilters = async (query, reservedKeys) => {
+  const attributes = getAttributeFilterKeys(query, reservedKeys).length
+    ? await Attribute.findAll({ attributes: ['attribute_id', 'name'] })
+    : [];
+  return parseProductFilters(query, { attributes, reservedKeys });
+};
+
+/**
+ * send a 400 response for an invalid filter
  *
- * @class ProductController
+ * @param {object} res express response object
+ * @param {object} error message and field of the invalid filter
+ * @returns {json} json object with the error
  */
-class ProductController {
-  /**
-   * get all products
-   *
-   * @static
-   * @param {object} req express request object
-   * @param {object} res express response object
-   * @param {function} next next middleware
-   * @returns {json} json object with status, paginationMeta and product data
-   * @memberof ProductController
-   */
-  static async getAllProducts(req, res, next) {
-    const { query } = req;
-    const { description_length: descriptionLength } = query;
-    let { page, limit } = query;
-    limit = limit || 20;
-    page = page || 1;
+const invalidFilter = (res, { message, field }) =>
+  res.status(400).json({
+    error: {
+      status: 400,
+      code: 'PRO_03',
+      message,
+      field,
+    },
+  });
 
-    // eslint-disable-next-line no-restricted-globals
-    if (isNaN(page) || isNaN(limit) || isNaN(descriptionLength)) {
-      return res.status(400).json({
-        err: 'Query parameters should be valid integer values',
-        status: false,
+/**
+ * combine sql conditions into a where clause
+ *
+ * @param {array} conditions sql conditions
+ * @returns {object} sequelize literal, undefined when there are no conditions
+ */
+const toWhere = conditions =>
+  conditions.length ? sequelize.literal(conditions.join(' AND ')) : undefined;
+
+/**
+ * send a paginated list of products, filtered by the query and by the filters of the route
+ * e.g. the category of /products/inCategory/:category_id. Pages are fetched with an offset or,
+ * in cursor mode, after the product_id held by the cursor.
+ *
+ * @param {object} req express request object
+ * @param {object} res express response object
+ * @param {function} next next middleware
+ * @param {object} routeFilters filters taken from the route params
+ * @returns {json} json object with status, paginationMeta, cursors in cursor mode and products
+ */
+const listProducts = async (req, res, next, routeFilters = {}) => {
+  const { query } = req;
+  const { description_length: descriptionLength = 200 } = query;
+  let { page, limit } = query;
+  limit = limit || 20;
+  page = page || 1;
+
+  if ([page, limit, descriptionLength].some(value => Number.isNaN(Number(value)))) {
+    return res.status(400).json({
+      err: 'Query parameters should be valid integer values',
+      status: false,
+    });
+  }
+
+  const cursor = isCursorRequest(query) ? decodeCursor(query.cursor) : undefined;
+  if (cursor === null) {
+    return invalidFilter(res, { message: 'The cursor is not valid.', field: 'cursor' });
+  }
+
+  try {
+    const { filters, error } = await getProductFilters(query, LISTING_QUERY_KEYS);
+    if (error) {
+      return invalidFilter(res, error);
+    }
+    if (cursor && filters.sortBy) {
+      return invalidFilter(res, {
+        message: 'Cursor pagination is ordered on product_id and can not be combined with sort_by.',
+        field: 'sort_by',
       });
     }
 
     const sqlQueryMap = Object.assign({}, productsQueryMap);
+    const { attributes } = sqlQueryMap;
 
-    sqlQueryMap.limit = parseInt(limit, 10);
-    sqlQueryMap.offset = (page - 1) * limit;
-    sqlQueryMap.attributes.push(
-      // substring description at number of characters defined by `descriptionLength`
-      sequelize.literal(`SUBSTRING(description, 1, ${descriptionLength}) as description`)
-    );
-
-    try {
-      const products = await Product.findAndCountAll(sqlQueryMap);
-      const { rows, count } = products;
-
-      const paginationMeta = {
-        currentPage: parseInt(page, 10),
-        currentPageSize: parseInt(limit, 10),
-        totalPages: Math.ceil(count / limit),
-        totalRecords: count,
-      };
+    sqlQueryMap.attributes = attributes
+      .filter(attribute => attribute !== 'description')
+      .concat([
+        // substring description at number of characters defined by `descriptionLength`
+        sequelize.literal(
+          `SUBSTRING(description, 1, ${parseInt(descriptionLength, 10) || 200}) as description`
+        ),
+      ]);
+    sqlQueryMap.where = toWhere(buildFilterConditions({ ...filters, ...routeFilters }));
+    limit = parseInt(limit, 10);
+
+    if (cursor) {
+      const cursorQuery = getCursorQuery(cursor, { idField: 'product_id', order: 'ASC', limit });
+      const [records, count] = await Promise.all([
+        Product.findAll({
+          ...sqlQueryMap,
+          ...cursorQuery,
+          where: { [Op.and]: [sqlQueryMap.where, cursorQuery.where].filter(Boolean) },
+        }),
+        Product.count({ where: sqlQueryMap.where }),
+      ]);
+      const { rows, currentPage, cursors } = getCursorPage(records, cursor, {
+        idField: 'product_id',
+        limit,
+      });
 
       return res.status(200).json({
-        paginationMeta,
+        paginationMeta: {
+          currentPage,
+          currentPageSize: limit,
+          totalPages: Math.ceil(count / limit),
+          totalRecords: count,
+        },
+        cursors,
         rows,
         status: true,
       });
-    } catch (error) {
-      return next(error);
     }
+
+    sqlQueryMap.order = buildProductOrder(filters);
+    sqlQueryMap.limit = limit;
+    sqlQueryMap.offset = (page - 1) * limit;
+
+    const products = await Product.findAndCountAll(sqlQueryMap);
+    const { rows, count } = products;
+
+    const paginationMeta = {
+      currentPage: parseInt(page, 10),
+      currentPageSize: limit,
+      totalPages: Math.ceil(count / limit),
+      totalRecords: count,
+    };
+
+    return res.status(200).json({
+      paginationMeta,
+      rows,
+      status: true,
+    });
+  } catch (error) {
+    return next(error);
   }
+};
 
+/**
+ * send a 404 response for a catalog record that does not exist
+ *
+ * @param {object} res express response object
+ * @param {string} entity name of the record type
+ * @param {string} id id from the request
+ * @returns {json} json object with the error
+ */
+const recordNotFound = (res, entity, id) =>
+  res.status(404).json({
+    error: {
+      status: 404,
+      message: `${entity} with id ${id} does not exist`,
+    },
+  });
+
+/**
+ * get the departments with their categories, each with the number of products it holds. A
+ * product in several categories of a department is counted once for the department.
+ *
+ * @returns {Promise} resolves with the departments ordered by id
+ */
+const getCatalogTree = async () => {
+  const select = sql => sequelize.query(sql, { type: sequelize.QueryTypes.SELECT });
+  const [departments, categories] = await Promise.all([
+    select(`SELECT d.department_id, d.name, d.description,
+        COUNT(DISTINCT pc.product_id) AS product_count
+      FROM department d
+      LEFT JOIN category c ON c.department_id = d.department_id
+      LEFT JOIN product_category pc ON pc.category_id = c.category_id
+      GROUP BY d.department_id, d.name, d.description
+      ORDER BY d.department_id`),
+    select(`SELECT c.category_id, c.department_id, c.name, c.description,
+        COUNT(pc.product_id) AS product_count
+      FROM category c
+      LEFT JOIN product_category pc ON pc.category_id = c.category_id
+      GROUP BY c.category_id, c.department_id, c.name, c.description
+      ORDER BY c.category_id`),
+  ]);
+
+  return departments.map(department => ({
+    ...department,
+    product_count: Number(department.product_count),
+    categories: categories
+      .filter(category => category.department_id === department.department_id)
+      .map(category => ({ ...category, product_count: Number(category.product_count) })),
+  }));
+};
+
+/**
+ *
+ *
+ * @class ProductController
+ */
+class ProductController {
   /**
-   * search all products
+   * get all products. Products can be filtered by department_id, category_id, min_price and
+   * max_price (on the discounted price when there is one), on_sale, display flags and attribute
+   * values e.g. color=Red,Blue&size=XL, and sorted with sort_by price, name or newest and order.
+   * Send pagination=cursor, then the returned cursors, to paginate with cursors.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with status, paginationMeta and product data
+   * @memberof ProductController
+   */
+  static async getAllProducts(req, res, next) {
+    return listProducts(req, res, next);
+  }
+
+  /**
+   * search products by name and description, most relevant first. Any of the words of
+   * query_string match unless all_words is on, then every word must appear. The filters and
+   * sorting of getAllProducts apply to the results. The response includes the number of
+   * matching products per department, category, price band and attribute value.
    *
    * @static
    * @param {object} req express request object
    * @param {object} res express response object
    * @param {object} next next middleware
-   * @returns {json} json object with status and product data
+   * @returns {json} json object with status, paginationMeta, facets and product data
    * @memberof ProductController
    */
   static async searchProduct(req, res, next) {
@@ -124,74 +320,136 @@ class ProductController {
         status: false,
       });
     }
+
+    const terms = parseSearchTerms(queryString);
+    if (!terms.length) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'PRO_02',
+          message: 'The query_string should contain at least one word.',
+          field: 'query_string',
+        },
+      });
+    }
+
+    const isAllWords = allWords === 'on' || allWords === 'true';
+    let filters;
+    try {
+      const parsed = await getProductFilters(query, SEARCH_QUERY_KEYS);
+      if (parsed.error) {
+        return invalidFilter(res, parsed.error);
+      }
+      ({ filters } = parsed);
+    } catch (error) {
+      return next(error);
+    }
+
+    const conditions = alias => [
+      buildSearchCondition(terms, { allWords: isAllWords, alias }),
+      ...buildFilterConditions(filters, alias),
+    ];
+
     const sqlQueryMap = Object.assign({}, productsQueryMap);
     const { attributes } = sqlQueryMap;
 
     // substring description at number of characters defined by `descriptionLength`
-    sqlQueryMap.attributes = attributes.concat([
-      sequelize.literal(`SUBSTRING(description, 1, ${descriptionLength || 200}) as description`),
-    ]);
-
-    const searchParam =
-      allWords === 'on' ? { [Op.eq]: `${queryString}` } : { [Op.substring]: `${queryString}` };
-
-    sqlQueryMap.where = { name: searchParam };
+    sqlQueryMap.attributes = attributes
+      .filter(attribute => attribute !== 'description')
+      .concat([
+        sequelize.literal(
+          `SUBSTRING(description, 1, ${parseInt(descriptionLength, 10) || 200}) as description`
+        ),
+        [sequelize.literal(buildRelevance(terms)), 'relevance'],
+      ]);
+
+    sqlQueryMap.where = toWhere(conditions('Product'));
+    sqlQueryMap.order = filters.sortBy
+      ? buildProductOrder(filters)
+      : [[sequelize.literal('relevance'), 'DESC'], ['product_id', 'ASC']];
     sqlQueryMap.limit = parseInt(limit, 10);
     sqlQueryMap.offset = (page - 1) * limit;
 
     try {
-      const product = await Product.findAll(sqlQueryMap);
+      const [{ rows, count }, facets] = await Promise.all([
+        Product.findAndCountAll(sqlQueryMap),
+        getProductFacets(conditions('p').join(' AND ')),
+      ]);
 
-      return res.status(200).json(product);
+      const paginationMeta = {
+        currentPage: parseInt(page, 10),
+        currentPageSize: parseInt(limit, 10),
+        totalPages: Math.ceil(count / limit),
+        totalRecords: count,
+      };
+
+      return res.status(200).json({
+        paginationMeta,
+        rows,
+        facets,
+        status: true,
+      });
     } catch (error) {
       return next(error);
     }
   }
 
   /**
-   * get all products by caetgory
+   * get all products by category, with the filters and pagination of getAllProducts
    *
    * @static
    * @param {object} req express request object
    * @param {object} res express response object
    * @param {object} next next middleware
-   * @returns {json} json object with status and product data
+   * @returns {json} json object with status, paginationMeta and product data
    * @memberof ProductController
    */
   static async getProductsByCategory(req, res, next) {
-    try {
-      const { category_id } = req.params; // eslint-disable-line
-      const products = await Product.findAndCountAll({
-        include: [
-          {
-            model: Department,
-            where: {
-              category_id,
-            },
-            attributes: [],
-          },
-        ],
-        limit,
-        offset,
+    const { category_id: categoryId } = req.params;
+    if (!/^\d+$/.test(categoryId)) {
+      return invalidFilter(res, {
+        message: 'The category_id should be an integer.',
+        field: 'category_id',
       });
-      return next(products);
+    }
+
+    try {
+      if (!(await Category.findByPk(categoryId, { attributes: ['category_id'] }))) {
+        return recordNotFound(res, 'Category', categoryId);
+      }
     } catch (error) {
       return next(error);
     }
+    return listProducts(req, res, next, { categoryId: Number(categoryId) });
   }
 
   /**
-   * get all products by department
+   * get all products by department, with the filters and pagination of getAllProducts
    *
    * @static
    * @param {object} req express request object
    * @param {object} res express response object
    * @param {object} next next middleware
-   * @returns {json} json object with status and product data
+   * @returns {json} json object with status, paginationMeta and product data
    * @memberof ProductController
    */
   static async getProductsByDepartment(req, res, next) {
-    // implement the method to get products by department
+    const { department_id: departmentId } = req.params;
+    if (!/^\d+$/.test(departmentId)) {
+      return invalidFilter(res, {
+        message: 'The department_id should be an integer.',
+        field: 'department_id',
+      });
+    }
+
+    try {
+      if (!(await Department.findByPk(departmentId, { attributes: ['department_id'] }))) {
+        return recordNotFound(res, 'Department', departmentId);
+      }
+    } catch (error) {
+      return next(error);
+    }
+    return listProducts(req, res, next, { departmentId: Number(departmentId) });
   }
 
   /**
@@ -247,6 +505,39 @@ class ProductController {
     }
   }
 
+  /**
+   * get the variants of a product, a variant without a price uses the prices of the product
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the variants of the product
+   * @memberof ProductController
+   */
+  static async getProductVariants(req, res, next) {
+    const { product_id: productId } = req.params;
+    try {
+      const product = await Product.findByPk(productId, {
+        attributes: ['product_id'],
+        include: [{ model: ProductVariant, as: 'variants' }],
+        order: [[{ model: ProductVariant, as: 'variants' }, 'product_variant_id', 'ASC']],
+      });
+      if (!product) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            message: `Product with id ${productId} does not exist`,
+          },
+        });
+      }
+
+      return res.status(200).json(await formatVariants(product.variants));
+    } catch (error) {
+      return next(error);
+    }
+  }
+
   /**
    * get all departments
    *
@@ -338,15 +629,115 @@ class ProductController {
   }
 
   /**
-   * This method should get list of categories in a department
-   * @param {*} req
-   * @param {*} res
-   * @param {*} next
+   * get a paginated list of the categories in a department
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with status, paginationMeta and category list
+   * @memberof ProductController
    */
   static async getDepartmentCategories(req, res, next) {
-    const { department_id } = req.params;  // eslint-disable-line
-    // implement code to get categories in a department here
-    return res.status(200).json({ message: 'this works' });
+    const { department_id: departmentId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    if (!/^\d+$/.test(departmentId)) {
+      return invalidFilter(res, {
+        message: 'The department_id should be an integer.',
+        field: 'department_id',
+      });
+    }
+
+    if ([page, limit].some(value => Number.isNaN(Number(value)))) {
+      return res.status(400).json({
+        err: 'Query parameters should be valid integer values',
+        status: false,
+      });
+    }
+
+    try {
+      const department = await Department.findByPk(departmentId, {
+        attributes: ['department_id'],
+      });
+      if (!department) {
+        return recordNotFound(res, 'Department', departmentId);
+      }
+
+      const pageSize = parseInt(limit, 10);
+      const currentPage = parseInt(page, 10);
+      const { rows, count } = await Category.findAndCountAll({
+        where: { department_id: departmentId },
+        order: [['category_id', 'ASC']],
+        limit: pageSize,
+        offset: (currentPage - 1) * pageSize,
+      });
+
+      return res.status(200).json({
+        paginationMeta: {
+          currentPage,
+          currentPageSize: pageSize,
+          totalPages: Math.ceil(count / pageSize),
+          totalRecords: count,
+        },
+        rows,
+        status: true,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * get the categories of a product
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the category list
+   * @memberof ProductController
+   */
+  static async getProductCategories(req, res, next) {
+    const { product_id: productId } = req.params;
+    try {
+      const product = await Product.findByPk(productId, {
+        attributes: ['product_id'],
+        include: [
+          {
+            model: Category,
+            attributes: ['category_id', 'department_id', 'name'],
+            through: { attributes: [] },
+          },
+        ],
+        order: [[Category, 'category_id', 'ASC']],
+      });
+      if (!product) {
+        return recordNotFound(res, 'Product', productId);
+      }
+
+      return res.status(200).json(product.Categories);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * get the departments with their categories and the number of products in each, so that
+   * the navigation of the storefront can be built with a single request
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the department tree
+   * @memberof ProductController
+   */
+  static async getDepartmentTree(req, res, next) {
+    try {
+      return res.status(200).json(await getCatalogTree());
+    } catch (error) {
+      return next(error);
+    }
   }
 }
 
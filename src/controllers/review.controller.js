@@ -0,0 +1,407 @@
+/**
+ * The Review controller contains the static methods of product reviews and their moderation
+ *
+ * - createReview - add a review and rating to a product, when REVIEWS_REQUIRE_PURCHASE is true
+ *   only customers with a delivered order of the product can review it
+ * - getProductReviews - get a paginated list of the visible reviews of a product
+ * - getReviews - list the reviews of every product with their moderation flags
+ * - moderateReview - hide, show, flag or unflag a review
+ */
+import { Customer, Order, OrderDetail, Product, Review, Sequelize } from '../database/models';
+import { ORDER_STATUS } from '../helpers/orderStatus.helper';
+
+const { Op } = Sequelize;
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * check if only customers who received a product can review it
+ *
+ * @returns {boolean} true when REVIEWS_REQUIRE_PURCHASE is true
+ */
+const isPurchaseRequired = () => process.env.REVIEWS_REQUIRE_PURCHASE === 'true';
+
+/**
+ * read a boolean sent as true, false, 1 or 0
+ *
+ * @param {*} value request value
+ * @returns {boolean} true for true and 1
+ */
+const toBoolean = value => ['true', '1'].includes(String(value));
+
+/**
+ * send a 400 response for the first validation error of a request
+ *
+ * @param {object} res express response object
+ * @param {string} message error message
+ * @param {string} field request field that is invalid
+ * @returns {json} json object with the error
+ */
+const invalidRequest = (res, message, field) =>
+  res.status(400).json({
+    error: {
+      status: 400,
+      code: 'REV_01',
+      message,
+      field,
+    },
+  });
+
+/**
+ * add the validation of the page and limit of a paginated request
+ *
+ * @param {object} req express request object
+ */
+const checkPagination = req => {
+  req
+    .checkQuery('page', 'The page should be a positive integer.')
+    .optional()
+    .isInt({ min: 1 });
+  req
+    .checkQuery('limit', `The limit should be an integer between 1 and ${MAX_PAGE_SIZE}.`)
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE });
+};
+
+/**
+ * get the page and limit of a paginated request validated with checkPagination
+ *
+ * @param {object} query express request query
+ * @returns {object} page and limit as integers
+ */
+const getPagination = ({ page = 1, limit = 20 }) => ({
+  page: parseInt(page, 10),
+  limit: parseInt(limit, 10),
+});
+
+/**
+ * send a 409 response for a second review of a product by the same customer
+ *
+ * @param {object} res express response object
+ * @param {string} productId id of the product
+ * @returns {json} json object with the error
+ */
+const alreadyReviewed = (res, productId) =>
+  res.status(409).json({
+    error: {
+      status: 409,
+      code: 'REV_04',
+      message: `You have already reviewed product with id ${productId}`,
+      field: 'product_id',
+    },
+  });
+
+/**
+ * shape a paginated list of reviews for the response
+ *
+ * @param {object} result rows and count of findAndCountAll
+ * @param {object} pagination page and limit of the request
+ * @param {function} format shape of a review
+ * @returns {object} paginationMeta, rows and status
+ */
+const toPage = ({ rows, count }, { page, limit }, format) => ({
+  paginationMeta: {
+    currentPage: page,
+    currentPageSize: limit,
+    totalPages: Math.ceil(count / limit),
+    totalRecords: count,
+  },
+  rows: rows.map(format),
+  status: true,
+});
+
+/**
+ * shape a review for the storefront
+ *
+ * @param {object} review review model instance with its Customer included
+ * @returns {object} review with the name of its author
+ */
+const formatReview = review => ({
+  review_id: review.review_id,
+  product_id: review.product_id,
+  name: review.Customer ? review.Customer.name : null,
+  review: review.review,
+  rating: review.rating,
+  created_on: review.created_on,
+});
+
+/**
+ * shape a review for moderators
+ *
+ * @param {object} review review model instance with its Customer included
+ * @returns {object} review with its author and moderation flags
+ */
+const formatModeratedReview = review => ({
+  ...formatReview(review),
+  customer_id: review.customer_id,
+  email: review.Customer ? review.Customer.email : null,
+  hidden: review.hidden,
+  flagged: review.flagged,
+});
+
+/**
+ * check if a customer received a product, items that were all cancelled do not count
+ *
+ * @param {number} customerId id of the customer
+ * @param {string} productId id of the product
+ * @returns {Promise} resolves with true when a delivered order holds the product
+ */
+const hasReceivedProduct = async (customerId, productId) =>
+  (await OrderDetail.count({
+    where: {
+      product_id: productId,
+      quantity: { [Op.gt]: Sequelize.col('cancelled_quantity') },
+    },
+    include: [
+      {
+        model: Order,
+        attributes: [],
+        where: { customer_id: customerId, status: ORDER_STATUS.DELIVERED },
+      },
+    ],
+  })) > 0;
+
+/**
+ *
+ *
+ * @class ReviewController
+ */
+class ReviewController {
+  /**
+   * add a review with a rating from 1 to 5 to a product, a customer can review a product once
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the created review
+   * @memberof ReviewController
+   */
+  static async createReview(req, res, next) {
+    const { customer_id: customerId } = req;
+    const { product_id: productId } = req.params;
+    req.checkBody('review', 'The field review is required.').notEmpty();
+    req
+      .checkBody('rating', 'The field rating should be an integer between 1 and 5.')
+      .isInt({ min: 1, max: 5 });
+    const errors = req.validationErrors();
+    if (errors) {
+      return invalidRequest(res, errors[0].msg, errors[0].param);
+    }
+
+    try {
+      const product = await Product.findByPk(productId, { attributes: ['product_id'] });
+      if (!product) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'PRO_01',
+            message: `Product with id ${productId} does not exist`,
+            field: 'product_id',
+          },
+        });
+      }
+
+      if (isPurchaseRequired() && !(await hasReceivedProduct(customerId, productId))) {
+        return res.status(403).json({
+          error: {
+            status: 403,
+            code: 'REV_03',
+            message: 'Only customers who received this product can review it.',
+            field: 'product_id',
+          },
+        });
+      }
+
+      const existingReview = await Review.findOne({
+        where: { customer_id: customerId, product_id: productId },
+        attributes: ['review_id'],
+      });
+      if (existingReview) {
+        return alreadyReviewed(res, productId);
+      }
+
+      let created;
+      try {
+        created = await Review.create({
+          customer_id: customerId,
+          product_id: productId,
+          review: req.body.review,
+          rating: parseInt(req.body.rating, 10),
+        });
+      } catch (error) {
+        // a concurrent request of the same customer created the review first
+        if (error instanceof Sequelize.UniqueConstraintError) {
+          return alreadyReviewed(res, productId);
+        }
+        throw error;
+      }
+      const review = await Review.findByPk(created.review_id, {
+        include: [{ model: Customer, attributes: ['name'] }],
+      });
+      return res.status(201).json(formatReview(review));
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * get the reviews of a product, newest first, hidden reviews are left out
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with status, paginationMeta and the reviews
+   * @memberof ReviewController
+   */
+  static async getProductReviews(req, res, next) {
+    const { product_id: productId } = req.params;
+    checkPagination(req);
+    const errors = req.validationErrors();
+    if (errors) {
+      return invalidRequest(res, errors[0].msg, errors[0].param);
+    }
+    const pagination = getPagination(req.query);
+
+    try {
+      const product = await Product.findByPk(productId, { attributes: ['product_id'] });
+      if (!product) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'PRO_01',
+            message: `Product with id ${productId} does not exist`,
+            field: 'product_id',
+          },
+        });
+      }
+
+      const reviews = await Review.findAndCountAll({
+        where: { product_id: productId, hidden: false },
+        include: [{ model: Customer, attributes: ['name'] }],
+        order: [['created_on', 'DESC'], ['review_id', 'DESC']],
+        limit: pagination.limit,
+        offset: (pagination.page - 1) * pagination.limit,
+      });
+      return res.status(200).json(toPage(reviews, pagination, formatReview));
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * list the reviews of every product, newest first, with their moderation flags. Reviews can
+   * be filtered by product_id, customer_id, hidden and flagged
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with status, paginationMeta and the reviews
+   * @memberof ReviewController
+   */
+  static async getReviews(req, res, next) {
+    const { query } = req;
+    checkPagination(req);
+    ['product_id', 'customer_id'].forEach(field =>
+      req
+        .checkQuery(field, `The ${field} should be an integer.`)
+        .optional()
+        .isInt()
+    );
+    ['hidden', 'flagged'].forEach(field =>
+      req
+        .checkQuery(field, `The ${field} filter should be true or false.`)
+        .optional()
+        .isIn(['true', 'false', '1', '0'])
+    );
+    const errors = req.validationErrors();
+    if (errors) {
+      return invalidRequest(res, errors[0].msg, errors[0].param);
+    }
+
+    const pagination = getPagination(query);
+    const where = {};
+    ['product_id', 'customer_id'].forEach(field => {
+      if (query[field] !== undefined) {
+        where[field] = Number(query[field]);
+      }
+    });
+    ['hidden', 'flagged'].forEach(field => {
+      if (query[field] !== undefined) {
+        where[field] = toBoolean(query[field]);
+      }
+    });
+
+    try {
+      const reviews = await Review.findAndCountAll({
+        where,
+        include: [{ model: Customer, attributes: ['name', 'email'] }],
+        order: [['created_on', 'DESC'], ['review_id', 'DESC']],
+        limit: pagination.limit,
+        offset: (pagination.page - 1) * pagination.limit,
+      });
+      return res.status(200).json(toPage(reviews, pagination, formatModeratedReview));
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * set the hidden and flagged moderation flags of a review, hidden reviews are not shown on
+   * the storefront nor counted in the rating of their product
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the moderated review
+   * @memberof ReviewController
+   */
+  static async moderateReview(req, res, next) {
+    const { review_id: reviewId } = req.params;
+    ['hidden', 'flagged'].forEach(field =>
+      req
+        .checkBody(field, `The field ${field} should be a boolean.`)
+        .optional()
+        .isBoolean()
+    );
+    const errors = req.validationErrors();
+    if (errors) {
+      return invalidRequest(res, errors[0].msg, errors[0].param);
+    }
+
+    const changes = ['hidden', 'flagged'].reduce(
+      (fields, field) =>
+        req.body[field] === undefined ? fields : { ...fields, [field]: toBoolean(req.body[field]) },
+      {}
+    );
+    if (!Object.keys(changes).length) {
+      return invalidRequest(res, 'The field hidden or flagged is required.', 'hidden');
+    }
+
+    try {
+      const review = await Review.findByPk(reviewId, {
+        include: [{ model: Customer, attributes: ['name', 'email'] }],
+      });
+      if (!review) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'REV_02',
+            message: `Review with id ${reviewId} does not exist`,
+            field: 'review_id',
+          },
+        });
+      }
+
+      await review.update(changes);
+      return res.status(200).json(formatModeratedReview(review));
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+export default ReviewController;
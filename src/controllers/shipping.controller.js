@@ -4,9 +4,12 @@
  *
  * - getShippingRegions - Returns a list of all shipping region
  * - getShippingType - Returns a list of shipping type in a specific shipping region
+ * - createShipping - Create a shipping type in a shipping region
+ * - updateShipping - Update a shipping type
+ * - deleteShipping - Delete a shipping type that no order uses
  *
  */
-import { ShippingRegion, Shipping } from '../database/models';
+import { ShippingRegion, Shipping, Order } from '../database/models';
 
 class ShippingController {
   /**
@@ -41,11 +44,11 @@ class ShippingController {
    * @memberof ShippingController
    */
   static async getShippingType(req, res, next) {
-    const { shipping_region_id } = req.params; // eslint-disable-line
+    const { shipping_region_id: shippingRegionId } = req.params;
     try {
       const shippingTypes = await Shipping.findAll({
         where: {
-          shipping_region_id,
+          shipping_region_id: shippingRegionId,
         },
       });
 
@@ -56,6 +59,167 @@ class ShippingController {
       return next(error);
     }
   }
+
+  /**
+   * create a shipping type in a shipping region
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the created shipping type
+   * @memberof ShippingController
+   */
+  static async createShipping(req, res, next) {
+    req.checkBody('shipping_type', 'The field shipping_type is required.').notEmpty();
+    req
+      .checkBody('shipping_cost', 'The field shipping_cost should be a valid amount.')
+      .isDecimal()
+      .isFloat({ min: 0 });
+    req
+      .checkBody('shipping_region_id', 'The field shipping_region_id should be a valid integer.')
+      .isInt();
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'SHP_01',
+          message: errors[0].msg,
+          field: errors[0].param,
+        },
+      });
+    }
+
+    const {
+      shipping_type: shippingType,
+      shipping_cost: shippingCost,
+      shipping_region_id: shippingRegionId,
+    } = req.body;
+    try {
+      const shippingRegion = await ShippingRegion.findByPk(shippingRegionId);
+      if (!shippingRegion) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'SHP_02',
+            message: `Shipping region with id ${shippingRegionId} does not exist`,
+            field: 'shipping_region_id',
+          },
+        });
+      }
+
+      const shipping = await Shipping.create({
+        shipping_type: shippingType,
+        shipping_cost: shippingCost,
+        shipping_region_id: shippingRegionId,
+      });
+      return res.status(201).json(shipping);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * update a shipping type
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated shipping type
+   * @memberof ShippingController
+   */
+  static async updateShipping(req, res, next) {
+    const { shipping_id: shippingId } = req.params;
+    req
+      .checkBody('shipping_type', 'The field shipping_type should not be empty.')
+      .optional()
+      .notEmpty();
+    req
+      .checkBody('shipping_cost', 'The field shipping_cost should be a valid amount.')
+      .optional()
+      .isDecimal()
+      .isFloat({ min: 0 });
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'SHP_01',
+          message: errors[0].msg,
+          field: errors[0].param,
+        },
+      });
+    }
+
+    const { shipping_type: shippingType, shipping_cost: shippingCost } = req.body;
+    try {
+      const shipping = await Shipping.findByPk(shippingId);
+      if (!shipping) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'SHP_02',
+            message: `Shipping with id ${shippingId} does not exist`,
+            field: 'shipping_id',
+          },
+        });
+      }
+
+      await shipping.update({
+        shipping_type: shippingType === undefined ? shipping.shipping_type : shippingType,
+        shipping_cost: shippingCost === undefined ? shipping.shipping_cost : shippingCost,
+      });
+      return res.status(200).json(shipping);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * delete a shipping type, shipping types used by orders are not deleted
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with a message
+   * @memberof ShippingController
+   */
+  static async deleteShipping(req, res, next) {
+    const { shipping_id: shippingId } = req.params;
+    try {
+      const shipping = await Shipping.findByPk(shippingId);
+      if (!shipping) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'SHP_02',
+            message: `Shipping with id ${shippingId} does not exist`,
+            field: 'shipping_id',
+          },
+        });
+      }
+
+      const orderCount = await Order.count({ where: { shipping_id: shippingId } });
+      if (orderCount) {
+        return res.status(409).json({
+          error: {
+            status: 409,
+            code: 'SHP_03',
+            message: `Shipping with id ${shippingId} is used by ${orderCount} orders`,
+            field: 'shipping_id',
+          },
+        });
+      }
+
+      await shipping.destroy();
+      return res.status(200).json({ message: `Shipping with id ${shippingId} has been deleted` });
+    } catch (error) {
+      return next(error);
+    }
+  }
 }
 
 export default ShippingController;
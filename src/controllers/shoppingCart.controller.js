@@ -9,14 +9,800 @@
  * - updateCartItem - Update the quantity of a product in the shopping cart
  * - emptyCart - should be able to clear shopping cart
  * - removeItemFromCart - should delete a product from the shopping cart
+ * - moveToCart - move a saved item back to the cart
+ * - saveForLater - move a cart item to the saved for later list
+ * - getSavedItems - get the saved for later list of a cart
+ * - getTotalAmount - get the total amount of the items in a cart
+ * - getQuote - get the cost breakdown of a cart for a shipping type and a tax
  * - createOrder - Create an order
  * - getCustomerOrders - get all orders of a customer
  * - getOrderSummary - get the details of an order
+ * - getOrderShortDetail - get the details of an order without its items
+ * - cancelOrder - cancel an order or some of its items before it ships and refund what was paid
  * - processStripePayment - process stripe payment
+ * - handleStripeWebhook - reconcile orders with asynchronous stripe events
  *
  *  NB: Check the BACKEND CHALLENGE TEMPLATE DOCUMENTATION in the readme of this repository to see our recommended
  *  endpoints, request body/param, and response object for each of these method
  */
+import log from 'fancy-log';
+import uniqid from 'uniqid';
+import {
+  Order,
+  OrderDetail,
+  OrderHistory,
+  Product,
+  ProductVariant,
+  Shipping,
+  ShoppingCart,
+  Tax,
+  sequelize,
+} from '../database/models';
+import {
+  decodeCursor,
+  getCursorPage,
+  getCursorQuery,
+  isCursorRequest,
+} from '../helpers/cursor.helper';
+import { assertAvailable, releaseStock, reserveStock } from '../helpers/inventory.helper';
+import { fromCents, percentageOf, toCents } from '../helpers/money.helper';
+import {
+  ORDER_STATUS,
+  canTransition,
+  formatOrder,
+  formatOrderItem,
+  formatTimeline,
+  getStatusLabel,
+  recordOrderCreated,
+  transitionOrder,
+} from '../helpers/orderStatus.helper';
+import {
+  describeVariant,
+  findVariantByAttributes,
+  formatVariants,
+  getVariantPrices,
+} from '../helpers/variant.helper';
+import { sendMail } from '../services/mail';
+import { chargeOrder, constructWebhookEvent, refundCharge, refundOrder } from '../services/payment';
+
+const cartItemsQueryMap = {
+  include: [
+    {
+      model: Product,
+      attributes: ['product_id', 'name', 'image', 'thumbnail', 'price', 'discounted_price'],
+    },
+    {
+      model: ProductVariant,
+      as: 'variant',
+      attributes: ['product_variant_id', 'sku', 'price', 'discounted_price', 'image'],
+    },
+  ],
+  order: [['added_on', 'ASC'], ['item_id', 'ASC']],
+};
+
+/**
+ * get the price a product or variant is sold at, the discounted price applies when it is set
+ *
+ * @param {object} prices price and discounted_price of a product or variant
+ * @returns {number} price in cents
+ */
+const effectivePriceInCents = prices => {
+  const discountedPrice = toCents(prices.discounted_price);
+  return discountedPrice > 0 ? discountedPrice : toCents(prices.price);
+};
+
+/**
+ * shape a cart line for the response
+ *
+ * @param {object} item shopping cart model instance with its Product and variant included
+ * @returns {object} cart line with product details, effective price and subtotal
+ */
+const formatCartItem = item => {
+  const { Product: product, variant } = item;
+  const price = effectivePriceInCents(getVariantPrices(product, variant));
+
+  return {
+    item_id: item.item_id,
+    cart_id: item.cart_id,
+    product_id: item.product_id,
+    product_variant_id: item.product_variant_id,
+    sku: variant ? variant.sku : null,
+    name: product.name,
+    attributes: item.attributes,
+    image: (variant && variant.image) || product.image,
+    thumbnail: product.thumbnail,
+    price: fromCents(price),
+    quantity: item.quantity,
+    subtotal: fromCents(price * item.quantity),
+    added_on: item.added_on,
+  };
+};
+
+/**
+ * find the lines of a cart, lines saved for later (buy_now false) are kept apart from the
+ * lines that will be bought
+ *
+ * @param {string} cartId cart identifier
+ * @param {boolean} buyNow true for the active cart, false for the saved for later list
+ * @param {object} options extra sequelize query options e.g. a transaction
+ * @returns {Promise} resolves with the shopping cart model instances
+ */
+const findCartItems = (cartId, buyNow = true, options = {}) =>
+  ShoppingCart.findAll({
+    ...cartItemsQueryMap,
+    ...options,
+    where: { cart_id: cartId, buy_now: buyNow },
+  });
+
+/**
+ * get the formatted lines of a cart
+ *
+ * @param {string} cartId cart identifier
+ * @param {boolean} buyNow true for the active cart, false for the saved for later list
+ * @returns {Promise} resolves with the formatted cart lines
+ */
+const getCartItems = async (cartId, buyNow = true) =>
+  (await findCartItems(cartId, buyNow)).map(formatCartItem);
+
+/**
+ * compute the cost breakdown of cart lines, tax applies to the discounted subtotal
+ *
+ * @param {array} items shopping cart model instances with their Product and variant included
+ * @param {object} selection optional shipping and tax model instances
+ * @returns {object} subtotal, discount, shipping, tax and total in cents
+ */
+const computeTotals = (items, { shipping, tax } = {}) => {
+  const { subtotal, discount } = items.reduce(
+    (totals, item) => {
+      const prices = getVariantPrices(item.Product, item.variant);
+      const price = effectivePriceInCents(prices);
+      const regularPrice = toCents(prices.price);
+      return {
+        subtotal: totals.subtotal + price * item.quantity,
+        discount: totals.discount + (regularPrice - price) * item.quantity,
+      };
+    },
+    { subtotal: 0, discount: 0 }
+  );
+  const shippingCost = shipping ? toCents(shipping.shipping_cost) : 0;
+  const taxAmount = tax ? percentageOf(subtotal, tax.tax_percentage) : 0;
+
+  return {
+    subtotal,
+    discount,
+    shipping: shippingCost,
+    tax: taxAmount,
+    total: subtotal + shippingCost + taxAmount,
+  };
+};
+
+/**
+ * find the shipping type and tax selected at checkout, both are optional
+ *
+ * @param {string} shippingId id of the selected shipping type
+ * @param {string} taxId id of the selected tax
+ * @returns {Promise} resolves with the shipping and tax, and an error object when one of the
+ * selected ids does not exist
+ */
+const findCheckoutSelection = async (shippingId, taxId) => {
+  const shipping = shippingId ? await Shipping.findByPk(shippingId) : null;
+  if (shippingId && !shipping) {
+    return {
+      error: {
+        status: 404,
+        message: `Shipping with id ${shippingId} does not exist`,
+        field: 'shipping_id',
+      },
+    };
+  }
+
+  const tax = taxId ? await Tax.findByPk(taxId) : null;
+  if (taxId && !tax) {
+    return {
+      error: {
+        status: 404,
+        message: `Tax with id ${taxId} does not exist`,
+        field: 'tax_id',
+      },
+    };
+  }
+
+  return { shipping, tax };
+};
+
+/**
+ * shape a cost breakdown for the response
+ *
+ * @param {object} totals cost breakdown in cents
+ * @returns {object} cost breakdown as decimal strings
+ */
+const formatTotals = totals =>
+  Object.keys(totals).reduce(
+    (formatted, key) => ({ ...formatted, [key]: fromCents(totals[key]) }),
+    {}
+  );
+
+/**
+ * normalise the attributes string of a cart line so that equal selections merge
+ *
+ * @param {string} attributes attributes selected by the customer e.g. 'LG, Red'
+ * @returns {string} trimmed attributes
+ */
+const normaliseAttributes = (attributes = '') =>
+  String(attributes)
+    .split(',')
+    .map(attribute => attribute.trim())
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * send a 404 response for a cart line that does not exist
+ *
+ * @param {object} res express response object
+ * @param {string} itemId item id from the request
+ * @returns {json} json object with the error
+ */
+const cartItemNotFound = (res, itemId) =>
+  res.status(404).json({
+    error: {
+      status: 404,
+      code: 'CRT_02',
+      message: `Cart item with id ${itemId} does not exist`,
+      field: 'item_id',
+    },
+  });
+
+/**
+ * send a 409 response for a quantity that is not in stock
+ *
+ * @param {object} res express response object
+ * @param {Error} error error thrown by the inventory helper
+ * @returns {json} json object with the error
+ */
+const outOfStock = (res, error) =>
+  res.status(409).json({
+    error: {
+      status: 409,
+      code: error.code,
+      message: error.message,
+      field: error.field,
+    },
+  });
+
+/**
+ * find the variant a line is added with: the product_variant_id of the request or, for requests
+ * that only send an attributes string, the variant of the combination it names. A product that
+ * has variants is only sold as one of them.
+ *
+ * @param {string} variantId product_variant_id from the request
+ * @param {string} productId product_id from the request
+ * @param {string} attributes normalised attributes string from the request
+ * @returns {Promise} resolves with the variant, null when the line has none, and an error object
+ * when the requested variant does not exist, belongs to another product or is not named
+ */
+const findLineVariant = async (variantId, productId, attributes) => {
+  if (!variantId) {
+    const variant = await findVariantByAttributes(productId, attributes);
+    if (!variant && (await ProductVariant.count({ where: { product_id: productId } }))) {
+      return {
+        error: {
+          status: 400,
+          code: 'CRT_01',
+          message: `Product with id ${productId} is sold in variants, send a product_variant_id or the attributes of a variant.`,
+          field: 'product_variant_id',
+        },
+      };
+    }
+    return { variant };
+  }
+
+  const variant = await ProductVariant.findByPk(variantId);
+  if (!variant || (productId && variant.product_id !== Number(productId))) {
+    return {
+      error: {
+        status: 404,
+        code: 'PRO_01',
+        message: `Product variant with id ${variantId} does not exist`,
+        field: 'product_variant_id',
+      },
+    };
+  }
+  return { variant };
+};
+
+/**
+ * move a line between the active cart and the saved for later list, merging it into a line of
+ * the same product, variant and attributes already on the target list. A line only moves to the
+ * active cart while its quantity is in stock.
+ *
+ * @param {object} item shopping cart model instance
+ * @param {boolean} buyNow true to move to the active cart, false to save for later
+ * @returns {Promise} resolves when the line has been moved, rejects with a 409 error when the
+ * quantity is not in stock
+ */
+const moveCartItem = async (item, buyNow) => {
+  if (item.buy_now === buyNow) {
+    return;
+  }
+
+  await sequelize.transaction(async transaction => {
+    const targetItem = await ShoppingCart.findOne({
+      where: {
+        cart_id: item.cart_id,
+        product_id: item.product_id,
+        product_variant_id: item.product_variant_id,
+        attributes: item.attributes,
+        buy_now: buyNow,
+      },
+      transaction,
+    });
+    if (buyNow) {
+      await assertAvailable(item, item.quantity + (targetItem ? targetItem.quantity : 0));
+    }
+
+    if (targetItem) {
+      await targetItem.increment('quantity', { by: item.quantity, transaction });
+      await item.destroy({ transaction });
+    } else {
+      await item.update({ buy_now: buyNow }, { transaction });
+    }
+  });
+};
+
+const orderAttributes = [
+  'order_id',
+  'total_amount',
+  'created_on',
+  'shipped_on',
+  'status',
+  'shipping_id',
+  'tax_id',
+  'refunded_amount',
+  'carrier',
+  'tracking_reference',
+];
+
+const MAX_ORDERS_PAGE_SIZE = 100;
+
+const CANCELLABLE_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.PAID, ORDER_STATUS.PROCESSING];
+
+/**
+ * find an order that belongs to a customer, orders of other customers are not found
+ *
+ * @param {string} orderId order id from the request
+ * @param {number} customerId id of the authenticated customer
+ * @param {object} options extra sequelize query options e.g. include
+ * @returns {Promise} resolves with the order or null
+ */
+const findCustomerOrder = (orderId, customerId, options = {}) =>
+  Order.findOne({
+    attributes: orderAttributes,
+    ...options,
+    where: { order_id: orderId, customer_id: customerId },
+  });
+
+/**
+ * get an order of a customer with its items and status timeline
+ *
+ * @param {string} orderId order id from the request
+ * @param {number} customerId id of the authenticated customer
+ * @returns {Promise} resolves with the order summary or null
+ */
+const getOrderSummaryPayload = async (orderId, customerId) => {
+  const order = await findCustomerOrder(orderId, customerId, {
+    include: [{ model: OrderDetail, as: 'orderItems' }, { model: OrderHistory, as: 'history' }],
+    order: [[{ model: OrderDetail, as: 'orderItems' }, 'item_id', 'ASC']],
+  });
+  if (!order) {
+    return null;
+  }
+
+  const { orderItems, history, ...summary } = formatOrder(order);
+  return {
+    ...summary,
+    orderItems: order.orderItems.map(formatOrderItem),
+    timeline: formatTimeline(order.history),
+  };
+};
+
+/**
+ * check the items of a partial cancellation request
+ *
+ * @param {array} items requested items, each with an item_id and an optional quantity
+ * @returns {boolean} true when every item is valid
+ */
+const isValidCancellationRequest = items =>
+  Array.isArray(items) &&
+  items.length > 0 &&
+  new Set(items.map(item => item && Number(item.item_id))).size === items.length &&
+  items.every(
+    item =>
+      item &&
+      Number.isInteger(Number(item.item_id)) &&
+      (item.quantity === undefined ||
+        (Number.isInteger(Number(item.quantity)) && Number(item.quantity) > 0))
+  );
+
+/**
+ * add a comment to the comments of an order, the oldest comments are cut to fit the column
+ *
+ * @param {string} comments current comments of the order
+ * @param {string} comment comment to add
+ * @returns {string} comments with the new comment last
+ */
+const appendComment = (comments, comment) =>
+  [comments, comment]
+    .filter(Boolean)
+    .join('; ')
+    .slice(-255);
+
+/**
+ * cancel items of a locked order and record the refund of what was paid for them. An order
+ * whose items are all cancelled is cancelled and, when it was paid, refunded in full including
+ * shipping. Unpaid orders have their total reduced instead.
+ * The refund itself is left to refundCancellation once the transaction is committed.
+ *
+ * @param {object} order order model instance locked for update
+ * @param {array} requestedItems items to cancel, undefined cancels the whole order
+ * @param {object} options actor and reason of the cancellation and the transaction
+ * @returns {Promise} resolves with an error object when the request can not be fulfilled, or
+ * with the refund to make: its amount and the amount refunded before it, in cents
+ */
+const cancelOrderItems = async (order, requestedItems, { actor, reason, transaction }) => {
+  const orderItems = await OrderDetail.findAll({
+    where: { order_id: order.order_id },
+    transaction,
+  });
+
+  const requests = requestedItems || orderItems.map(({ item_id: itemId }) => ({ item_id: itemId }));
+  const cancellations = [];
+  const invalidRequest = requests.find(request => {
+    const line = orderItems.find(item => item.item_id === Number(request.item_id));
+    if (!line) {
+      return true;
+    }
+
+    const remaining = line.quantity - line.cancelled_quantity;
+    if (!requestedItems) {
+      // cancelling the whole order skips the items that are already cancelled
+      if (remaining > 0) {
+        cancellations.push({ line, quantity: remaining });
+      }
+      return false;
+    }
+
+    const quantity = request.quantity ? Number(request.quantity) : remaining;
+    if (remaining === 0 || quantity > remaining) {
+      return true;
+    }
+    cancellations.push({ line, quantity });
+    return false;
+  });
+
+  if (invalidRequest || !cancellations.length) {
+    return {
+      error: {
+        status: 400,
+        code: 'ORD_05',
+        message: invalidRequest
+          ? `Order item with id ${invalidRequest.item_id} can not be cancelled with the requested quantity`
+          : `Order with id ${order.order_id} has no items left to cancel`,
+        field: 'items',
+      },
+    };
+  }
+
+  const isPaid = order.status !== ORDER_STATUS.PENDING;
+  // the tax is refunded at the rate the order was placed with
+  const lineRefunds = cancellations.map(({ line, quantity }) => {
+    const amount = toCents(line.unit_cost) * quantity;
+    return amount + (order.tax_percentage ? percentageOf(amount, order.tax_percentage) : 0);
+  });
+
+  const isFullyCancelled = orderItems.every(item => {
+    const cancellation = cancellations.find(({ line }) => line.item_id === item.item_id);
+    return item.cancelled_quantity + (cancellation ? cancellation.quantity : 0) === item.quantity;
+  });
+
+  const linesAmount = lineRefunds.reduce((sum, amount) => sum + amount, 0);
+  // the last cancellation of a paid order refunds whatever is left, shipping included
+  const refundAmount =
+    isPaid && isFullyCancelled
+      ? toCents(order.total_amount) - toCents(order.refunded_amount)
+      : linesAmount;
+
+  const refund =
+    isPaid && refundAmount > 0
+      ? { amount: refundAmount, refundedBefore: toCents(order.refunded_amount) }
+      : null;
+
+  await releaseStock(
+    cancellations.map(({ line, quantity }) => ({
+      product_id: line.product_id,
+      product_variant_id: line.product_variant_id,
+      attributes: line.attributes,
+      quantity,
+    })),
+    transaction
+  );
+
+  await Promise.all(
+    cancellations.map(({ line, quantity }, index) =>
+      line.update(
+        {
+          cancelled_quantity: line.cancelled_quantity + quantity,
+          refunded_amount: fromCents(
+            toCents(line.refunded_amount) + (isPaid ? lineRefunds[index] : 0)
+          ),
+        },
+        { transaction }
+      )
+    )
+  );
+
+  const changes = isPaid
+    ? { refunded_amount: fromCents(toCents(order.refunded_amount) + refundAmount) }
+    : { total_amount: fromCents(Math.max(toCents(order.total_amount) - linesAmount, 0)) };
+
+  if (!isFullyCancelled) {
+    await order.update(changes, { transaction });
+    return { refund };
+  }
+
+  await transitionOrder(order, ORDER_STATUS.CANCELLED, {
+    actor,
+    reason,
+    changes: isPaid ? changes : {},
+    transaction,
+  });
+  if (refund) {
+    await transitionOrder(order, ORDER_STATUS.REFUNDED, {
+      actor,
+      reason: `Refunded ${fromCents(refundAmount)}`,
+      transaction,
+    });
+  }
+  return { refund };
+};
+
+/**
+ * refund a committed cancellation. A failed refund is logged and noted in the comments of the
+ * order so that it can be retried, the idempotency key keeps a retry from refunding twice.
+ *
+ * @param {object} order cancelled order model instance
+ * @param {object} refund amount and refundedBefore returned by cancelOrderItems
+ * @returns {Promise} resolves when the refund is made or its failure recorded
+ */
+const refundCancellation = async (order, { amount, refundedBefore }) => {
+  try {
+    await refundOrder(order, amount, refundedBefore);
+  } catch (error) {
+    log.error(
+      `Refund of ${fromCents(amount)} for order ${order.order_id} failed: ${error.message}`
+    );
+    await order.update({
+      comments: appendComment(order.comments, `Refund of ${fromCents(amount)} failed`),
+    });
+  }
+};
+
+/**
+ * record a failed payment in the comments of an order that is still pending. The order keeps
+ * its stock so that the customer can pay it again with another card.
+ *
+ * @param {object} order pending order model instance
+ * @param {string} reason why the payment failed
+ * @returns {Promise} resolves when the failure has been recorded
+ */
+const recordFailedPayment = (order, reason) =>
+  sequelize.transaction(async transaction => {
+    const lockedOrder = await Order.findByPk(order.order_id, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    if (!lockedOrder || lockedOrder.status !== ORDER_STATUS.PENDING) {
+      return;
+    }
+    await lockedOrder.update(
+      { comments: appendComment(lockedOrder.comments, reason) },
+      { transaction }
+    );
+  });
+
+/**
+ * mark a pending order as paid with a stripe charge. The order is locked so that the payment
+ * request and the charge.succeeded webhook of the same charge mark it paid only once.
+ *
+ * @param {number} orderId id of the order
+ * @param {object} charge stripe charge of the order
+ * @param {object} options actor and reason of the transition
+ * @returns {Promise} resolves with the order and `paid`, true when the order is paid with the
+ * charge
+ */
+const markOrderPaid = (orderId, charge, { actor, reason }) =>
+  sequelize.transaction(async transaction => {
+    const order = await Order.findByPk(orderId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (order.status !== ORDER_STATUS.PENDING) {
+      // paid with this charge already, e.g. by the webhook
+      return { order, paid: order.auth_code === charge.id };
+    }
+
+    await transitionOrder(order, ORDER_STATUS.PAID, {
+      actor,
+      reason,
+      changes: {
+        auth_code: charge.id,
+        reference: charge.balance_transaction || charge.id,
+      },
+      transaction,
+    });
+    return { order, paid: true };
+  });
+
+/**
+ * send a 404 response for an order that does not exist or belongs to another customer
+ *
+ * @param {object} res express response object
+ * @param {string} orderId order id from the request
+ * @returns {json} json object with the error
+ */
+const orderNotFound = (res, orderId) =>
+  res.status(404).json({
+    error: {
+      status: 404,
+      code: 'ORD_03',
+      message: `Order with id ${orderId} does not exist`,
+      field: 'order_id',
+    },
+  });
+
+/**
+ * email the order confirmation to a customer, a failure is logged but does not fail the payment
+ *
+ * @param {object} order paid order model instance
+ * @param {string} email email address of the customer
+ * @returns {Promise} resolves when the email has been handed to the mail transport
+ */
+const sendOrderConfirmation = async (order, email) => {
+  try {
+    await sendMail({
+      to: email,
+      subject: `Order ${order.order_id} confirmed`,
+      text: `Thank you for your order. We have received your payment of ${order.total_amount} for order ${order.order_id}.`,
+      html: `<p>Thank you for your order.</p><p>We have received your payment of <strong>${order.total_amount}</strong> for order ${order.order_id}.</p>`,
+    });
+  } catch (error) {
+    log(`Order confirmation for order ${order.order_id} could not be sent: ${error.message}`);
+  }
+};
+
+/**
+ * mark an order paid with its successful charge and email the order confirmation. A charge
+ * of an order cancelled in the meantime is refunded. Other failures are logged, the order is
+ * then marked paid by the charge.succeeded webhook.
+ *
+ * @param {obj} res express response object
+ * @param {object} order order model instance that was charged
+ * @param {object} charge successful stripe charge
+ * @param {object} options actor of the payment and email of the customer
+ * @returns {json} returns json response with the stripe charge
+ */
+const confirmPayment = async (res, order, charge, { actor, email }) => {
+  const { order_id: orderId } = order;
+  let result;
+  try {
+    result = await markOrderPaid(orderId, charge, { actor, reason: 'Payment received' });
+  } catch (error) {
+    log.error(`Order ${orderId} was charged with ${charge.id} but not updated: ${error.message}`);
+    return res.status(200).json(charge);
+  }
+
+  if (!result.paid) {
+    log.error(
+      `Order ${orderId} was charged with ${charge.id} after it was ${getStatusLabel(
+        result.order.status
+      )}`
+    );
+    await refundCharge(charge).catch(error =>
+      log.error(`Charge ${charge.id} of order ${orderId} could not be refunded: ${error.message}`)
+    );
+    return res.status(409).json({
+      error: {
+        status: 409,
+        code: 'PAY_02',
+        message: `Order with id ${orderId} is ${getStatusLabel(
+          result.order.status
+        )} and can not be paid, the payment has been refunded.`,
+        field: 'order_id',
+      },
+    });
+  }
+
+  await sendOrderConfirmation(result.order, email);
+  return res.status(200).json(charge);
+};
+
+/**
+ * find the order a stripe charge was made for
+ *
+ * @param {object} charge stripe charge
+ * @returns {Promise} resolves with the order or null
+ */
+const findChargedOrder = charge => {
+  const orderId = charge.metadata && charge.metadata.order_id;
+  return Order.findOne({ where: orderId ? { order_id: orderId } : { auth_code: charge.id } });
+};
+
+/**
+ * handlers of the stripe webhook events that affect orders, keyed by event type
+ */
+const webhookHandlers = {
+  'charge.succeeded': async charge => {
+    const order = await findChargedOrder(charge);
+    if (!order) {
+      return;
+    }
+    const { paid } = await markOrderPaid(order.order_id, charge, {
+      actor: 'stripe',
+      reason: 'Payment confirmed by stripe',
+    });
+    if (!paid) {
+      log.warn(`Charge ${charge.id} succeeded for order ${order.order_id} that is not pending`);
+    }
+  },
+
+  'charge.failed': async charge => {
+    const order = await findChargedOrder(charge);
+    if (order && order.status === ORDER_STATUS.PENDING) {
+      await recordFailedPayment(order, `Payment failed: ${charge.failure_message || 'unknown'}`);
+    }
+  },
+
+  'charge.refunded': async charge => {
+    const order = await Order.findOne({ where: { auth_code: charge.id } });
+    if (!order) {
+      return;
+    }
+
+    const comment = `Refunded ${fromCents(charge.amount_refunded)} of ${fromCents(charge.amount)}`;
+    if (charge.refunded && canTransition(order.status, ORDER_STATUS.REFUNDED)) {
+      await transitionOrder(order, ORDER_STATUS.REFUNDED, {
+        actor: 'stripe',
+        reason: 'Charge refunded',
+        changes: { comments: appendComment(order.comments, comment) },
+      });
+    } else {
+      await order.update({ comments: appendComment(order.comments, comment) });
+    }
+  },
+
+  'charge.dispute.created': async dispute => {
+    const order = await Order.findOne({ where: { auth_code: dispute.charge } });
+    if (order) {
+      await order.update({
+        comments: appendComment(order.comments, `Payment disputed: ${dispute.reason}`),
+      });
+    }
+  },
+
+  'charge.dispute.closed': async dispute => {
+    const order = await Order.findOne({ where: { auth_code: dispute.charge } });
+    if (!order) {
+      return;
+    }
+
+    const comment = `Payment dispute closed: ${dispute.status}`;
+    if (dispute.status === 'lost' && canTransition(order.status, ORDER_STATUS.REFUNDED)) {
+      await transitionOrder(order, ORDER_STATUS.REFUNDED, {
+        actor: 'stripe',
+        reason: 'Payment dispute lost',
+        changes: { comments: appendComment(order.comments, comment) },
+      });
+    } else {
+      await order.update({ comments: appendComment(order.comments, comment) });
+    }
+  },
+};
 
 /**
  *
@@ -34,12 +820,14 @@ class ShoppingCartController {
    * @memberof shoppingCartController
    */
   static generateUniqueCart(req, res) {
-    // implement method to generate unique cart Id
-    return res.status(200).json({ message: 'this works' });
+    return res.status(200).json({ cart_id: uniqid() });
   }
 
   /**
-   * adds item to a cart with cart_id
+   * adds item to a cart with cart_id, the item is a product_variant_id or a product_id with an
+   * optional attributes string. An attributes string naming the combination of a variant adds
+   * that variant, a product that has variants can only be added as one of them. Adding the same
+   * variant or product and attributes again increases the quantity of the existing line
    *
    * @static
    * @param {obj} req express request object
@@ -48,12 +836,84 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async addItemToCart(req, res, next) {
-    // implement function to add item to cart
-    return res.status(200).json({ message: 'this works' });
+    req.checkBody('cart_id', 'The field cart_id is required.').notEmpty();
+    if (req.body.product_variant_id === undefined) {
+      req.checkBody('product_id', 'The field product_id should be a valid integer.').isInt();
+    } else {
+      req
+        .checkBody('product_variant_id', 'The field product_variant_id should be a valid integer.')
+        .isInt();
+      req
+        .checkBody('product_id', 'The field product_id should be a valid integer.')
+        .optional()
+        .isInt();
+    }
+    req
+      .checkBody('quantity', 'The field quantity should be a positive integer.')
+      .optional()
+      .isInt({ min: 1 });
+
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'CRT_01',
+          message: errors[0].msg,
+          field: errors[0].param,
+        },
+      });
+    }
+
+    const { cart_id: cartId, product_variant_id: variantId } = req.body;
+    const attributes = normaliseAttributes(req.body.attributes);
+    const quantity = parseInt(req.body.quantity, 10) || 1;
+
+    try {
+      const { variant, error } = await findLineVariant(variantId, req.body.product_id, attributes);
+      if (error) {
+        return res.status(error.status).json({ error });
+      }
+
+      const productId = variant ? variant.product_id : req.body.product_id;
+      const product = await Product.findByPk(productId);
+      if (!product) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'PRO_01',
+            message: `Product with id ${productId} does not exist`,
+            field: 'product_id',
+          },
+        });
+      }
+
+      const line = {
+        cart_id: cartId,
+        product_id: product.product_id,
+        product_variant_id: variant ? variant.product_variant_id : null,
+        attributes: variant ? describeVariant((await formatVariants([variant]))[0]) : attributes,
+      };
+      const existingItem = await ShoppingCart.findOne({ where: { ...line, buy_now: true } });
+      await assertAvailable(line, quantity + (existingItem ? existingItem.quantity : 0));
+
+      if (existingItem) {
+        await existingItem.increment('quantity', { by: quantity });
+      } else {
+        await ShoppingCart.create({ ...line, quantity });
+      }
+
+      return res.status(201).json(await getCartItems(cartId));
+    } catch (error) {
+      if (error.code === 'STK_01') {
+        return outOfStock(res, error);
+      }
+      return next(error);
+    }
   }
 
   /**
-   * get shopping cart using the cart_id
+   * get shopping cart using the cart_id, items saved for later are not included
    *
    * @static
    * @param {obj} req express request object
@@ -62,12 +922,17 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async getCart(req, res, next) {
-    // implement method to get cart items
-    return res.status(200).json({ message: 'this works' });
+    const { cart_id: cartId } = req.params;
+    try {
+      return res.status(200).json(await getCartItems(cartId));
+    } catch (error) {
+      return next(error);
+    }
   }
 
   /**
-   * update cart item quantity using the item_id in the request param
+   * update cart item quantity using the item_id in the request param,
+   * a quantity of 0 removes the item
    *
    * @static
    * @param {obj} req express request object
@@ -76,12 +941,46 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async updateCartItem(req, res, next) {
-    const { item_id } = req.params // eslint-disable-line
-    return res.status(200).json({ message: 'this works' });
+    const { item_id: itemId } = req.params;
+    req.checkBody('quantity', 'The field quantity should be a valid integer.').isInt({ min: 0 });
+
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'CRT_01',
+          message: errors[0].msg,
+          field: errors[0].param,
+        },
+      });
+    }
+
+    const quantity = parseInt(req.body.quantity, 10);
+    try {
+      const item = await ShoppingCart.findByPk(itemId);
+      if (!item) {
+        return cartItemNotFound(res, itemId);
+      }
+
+      if (quantity === 0) {
+        await item.destroy();
+      } else {
+        await assertAvailable(item, quantity);
+        await item.update({ quantity });
+      }
+
+      return res.status(200).json(await getCartItems(item.cart_id));
+    } catch (error) {
+      if (error.code === 'STK_01') {
+        return outOfStock(res, error);
+      }
+      return next(error);
+    }
   }
 
   /**
-   * removes all items in a cart
+   * removes all items in a cart, items saved for later are kept
    *
    * @static
    * @param {obj} req express request object
@@ -90,13 +989,17 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async emptyCart(req, res, next) {
-    // implement method to empty cart
-    return res.status(200).json({ message: 'this works' });
+    const { cart_id: cartId } = req.params;
+    try {
+      await ShoppingCart.destroy({ where: { cart_id: cartId, buy_now: true } });
+      return res.status(200).json([]);
+    } catch (error) {
+      return next(error);
+    }
   }
 
   /**
    * remove single item from cart
-   * cart id is obtained from current session
    *
    * @static
    * @param {obj} req express request object
@@ -105,15 +1008,164 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async removeItemFromCart(req, res, next) {
+    const { item_id: itemId } = req.params;
+    try {
+      const removed = await ShoppingCart.destroy({ where: { item_id: itemId } });
+      if (!removed) {
+        return cartItemNotFound(res, itemId);
+      }
+      return res.status(200).json({ message: `Cart item with id ${itemId} has been removed` });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * move an item saved for later back to the cart while its quantity is in stock
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with cart
+   * @memberof ShoppingCartController
+   */
+  static async moveToCart(req, res, next) {
+    const { item_id: itemId } = req.params;
     try {
-      // implement code to remove item from cart here
+      const item = await ShoppingCart.findByPk(itemId);
+      if (!item) {
+        return cartItemNotFound(res, itemId);
+      }
+
+      await moveCartItem(item, true);
+      return res.status(200).json(await getCartItems(item.cart_id));
     } catch (error) {
+      if (error.code === 'STK_01') {
+        return outOfStock(res, error);
+      }
       return next(error);
     }
   }
 
   /**
-   * create an order from a cart
+   * move a cart item to the saved for later list
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with the saved items
+   * @memberof ShoppingCartController
+   */
+  static async saveForLater(req, res, next) {
+    const { item_id: itemId } = req.params;
+    try {
+      const item = await ShoppingCart.findByPk(itemId);
+      if (!item) {
+        return cartItemNotFound(res, itemId);
+      }
+
+      await moveCartItem(item, false);
+      return res.status(200).json(await getCartItems(item.cart_id, false));
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * get the items saved for later in a cart
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with the saved items
+   * @memberof ShoppingCartController
+   */
+  static async getSavedItems(req, res, next) {
+    const { cart_id: cartId } = req.params;
+    try {
+      return res.status(200).json(await getCartItems(cartId, false));
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * get the total amount of the items in a cart, items saved for later are not included
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with the total amount
+   * @memberof ShoppingCartController
+   */
+  static async getTotalAmount(req, res, next) {
+    const { cart_id: cartId } = req.params;
+    try {
+      const { subtotal, discount } = computeTotals(await findCartItems(cartId));
+      return res.status(200).json({
+        total_amount: fromCents(subtotal),
+        discount: fromCents(discount),
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * get the cost breakdown of a cart for the shipping_id and tax_id in the query string,
+   * both are optional
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with subtotal, discount, shipping, tax and total
+   * @memberof ShoppingCartController
+   */
+  static async getQuote(req, res, next) {
+    const { cart_id: cartId } = req.params;
+    req
+      .checkQuery('shipping_id', 'The field shipping_id should be a valid integer.')
+      .optional()
+      .isInt();
+    req
+      .checkQuery('tax_id', 'The field tax_id should be a valid integer.')
+      .optional()
+      .isInt();
+
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'CRT_01',
+          message: errors[0].msg,
+          field: errors[0].param,
+        },
+      });
+    }
+
+    const { shipping_id: shippingId, tax_id: taxId } = req.query;
+    try {
+      const { shipping, tax, error } = await findCheckoutSelection(shippingId, taxId);
+      if (error) {
+        return res.status(error.status).json({ error });
+      }
+
+      const totals = computeTotals(await findCartItems(cartId), { shipping, tax });
+      return res.status(200).json({
+        cart_id: cartId,
+        shipping_id: shipping ? shipping.shipping_id : null,
+        tax_id: tax ? tax.tax_id : null,
+        ...formatTotals(totals),
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * create an order from a cart. The stock reservation, the order, a snapshot of every cart line
+   * in order_detail and the emptying of the cart happen in a single transaction.
    *
    * @static
    * @param {obj} req express request object
@@ -122,15 +1174,94 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async createOrder(req, res, next) {
+    const { customer_id: customerId } = req;
+    req.checkBody('cart_id', 'The field cart_id is required.').notEmpty();
+    req.checkBody('shipping_id', 'The field shipping_id should be a valid integer.').isInt();
+    req.checkBody('tax_id', 'The field tax_id should be a valid integer.').isInt();
+
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'ORD_01',
+          message: errors[0].msg,
+          field: errors[0].param,
+        },
+      });
+    }
+
+    const { cart_id: cartId, shipping_id: shippingId, tax_id: taxId } = req.body;
     try {
-      // implement code for creating order here
+      const { shipping, tax, error } = await findCheckoutSelection(shippingId, taxId);
+      if (error) {
+        return res.status(error.status).json({ error });
+      }
+
+      const order = await sequelize.transaction(async transaction => {
+        const items = await findCartItems(cartId, true, { transaction });
+        if (!items.length) {
+          return null;
+        }
+
+        await reserveStock(items, transaction);
+
+        const { total } = computeTotals(items, { shipping, tax });
+        const createdOrder = await Order.create(
+          {
+            customer_id: customerId,
+            shipping_id: shipping.shipping_id,
+            tax_id: tax.tax_id,
+            tax_percentage: tax.tax_percentage,
+            total_amount: fromCents(total),
+          },
+          { transaction }
+        );
+        await recordOrderCreated(createdOrder, { actor: `customer:${customerId}`, transaction });
+
+        await OrderDetail.bulkCreate(
+          items.map(item => ({
+            order_id: createdOrder.order_id,
+            product_id: item.product_id,
+            product_variant_id: item.product_variant_id,
+            sku: item.variant ? item.variant.sku : null,
+            attributes: item.attributes,
+            product_name: item.Product.name,
+            quantity: item.quantity,
+            unit_cost: fromCents(
+              effectivePriceInCents(getVariantPrices(item.Product, item.variant))
+            ),
+          })),
+          { transaction }
+        );
+
+        await ShoppingCart.destroy({ where: { cart_id: cartId, buy_now: true }, transaction });
+        return createdOrder;
+      });
+
+      if (!order) {
+        return res.status(400).json({
+          error: {
+            status: 400,
+            code: 'ORD_02',
+            message: `Cart with id ${cartId} has no items to order`,
+            field: 'cart_id',
+          },
+        });
+      }
+
+      return res.status(201).json({ orderId: order.order_id });
     } catch (error) {
+      if (error.code === 'STK_01') {
+        return outOfStock(res, error);
+      }
       return next(error);
     }
   }
 
   /**
-   *
+   * get a paginated list of the authenticated customer's orders, newest first. Send
+   * pagination=cursor, then the returned cursors, to paginate with cursors on order_id.
    *
    * @static
    * @param {obj} req express request object
@@ -139,16 +1270,98 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async getCustomerOrders(req, res, next) {
-    const { customer_id } = req;  // eslint-disable-line
+    const { customer_id: customerId, query } = req;
+    req
+      .checkQuery('page', 'The page should be a positive integer.')
+      .optional()
+      .isInt({ min: 1 });
+    req
+      .checkQuery('limit', `The limit should be an integer between 1 and ${MAX_ORDERS_PAGE_SIZE}.`)
+      .optional()
+      .isInt({ min: 1, max: MAX_ORDERS_PAGE_SIZE });
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'ORD_10',
+          message: errors[0].msg,
+          field: errors[0].param,
+        },
+      });
+    }
+    const page = parseInt(query.page || 1, 10);
+    const limit = parseInt(query.limit || 20, 10);
+
+    const cursor = isCursorRequest(query) ? decodeCursor(query.cursor) : undefined;
+    if (cursor === null) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'ORD_09',
+          message: 'The cursor is not valid.',
+          field: 'cursor',
+        },
+      });
+    }
+
     try {
-      // implement code to get customer order
+      if (cursor) {
+        const cursorQuery = getCursorQuery(cursor, { idField: 'order_id', order: 'DESC', limit });
+        const where = { customer_id: customerId };
+        const [records, count] = await Promise.all([
+          Order.findAll({
+            attributes: orderAttributes,
+            ...cursorQuery,
+            where: { ...where, ...cursorQuery.where },
+          }),
+          Order.count({ where }),
+        ]);
+        const { rows, currentPage, cursors } = getCursorPage(records, cursor, {
+          idField: 'order_id',
+          limit,
+        });
+
+        return res.status(200).json({
+          paginationMeta: {
+            currentPage,
+            currentPageSize: limit,
+            totalPages: Math.ceil(count / limit),
+            totalRecords: count,
+          },
+          cursors,
+          rows: rows.map(formatOrder),
+          status: true,
+        });
+      }
+
+      const { rows, count } = await Order.findAndCountAll({
+        attributes: orderAttributes,
+        where: { customer_id: customerId },
+        order: [['created_on', 'DESC'], ['order_id', 'DESC']],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const paginationMeta = {
+        currentPage: page,
+        currentPageSize: limit,
+        totalPages: Math.ceil(count / limit),
+        totalRecords: count,
+      };
+
+      return res.status(200).json({
+        paginationMeta,
+        rows: rows.map(formatOrder),
+        status: true,
+      });
     } catch (error) {
       return next(error);
     }
   }
 
   /**
-   *
+   * get an order of the authenticated customer with its items and status timeline
    *
    * @static
    * @param {obj} req express request object
@@ -157,26 +1370,242 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async getOrderSummary(req, res, next) {
-    const { order_id } = req.params;  // eslint-disable-line
-    const { customer_id } = req;   // eslint-disable-line
+    const { order_id: orderId } = req.params;
+    const { customer_id: customerId } = req;
+    try {
+      const summary = await getOrderSummaryPayload(orderId, customerId);
+      if (!summary) {
+        return orderNotFound(res, orderId);
+      }
+
+      return res.status(200).json(summary);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * get an order of the authenticated customer with its status timeline but without its items
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with order details
+   * @memberof ShoppingCartController
+   */
+  static async getOrderShortDetail(req, res, next) {
+    const { order_id: orderId } = req.params;
+    const { customer_id: customerId } = req;
+    try {
+      const order = await findCustomerOrder(orderId, customerId, {
+        include: [{ model: OrderHistory, as: 'history' }],
+      });
+      if (!order) {
+        return orderNotFound(res, orderId);
+      }
+
+      const { history, ...summary } = formatOrder(order);
+      return res.status(200).json({ ...summary, timeline: formatTimeline(order.history) });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * cancel an order of the authenticated customer before it ships. Without `items` in the body
+   * the whole order is cancelled, otherwise only the listed order_detail items, each with an
+   * optional quantity. The stock reserved for the cancelled items is released and what was
+   * already paid for them is refunded.
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with the order summary
+   * @memberof ShoppingCartController
+   */
+  static async cancelOrder(req, res, next) {
+    const { customer_id: customerId } = req;
+    const { order_id: orderId } = req.params;
+    const { items, reason } = req.body;
+
+    if (items !== undefined && !isValidCancellationRequest(items)) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'ORD_04',
+          message: 'The field items should be a list of item_id with an optional quantity.',
+          field: 'items',
+        },
+      });
+    }
+
     try {
-      // write code to get order summary
+      const result = await sequelize.transaction(async transaction => {
+        const order = await Order.findOne({
+          where: { order_id: orderId, customer_id: customerId },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (!order) {
+          return { notFound: true };
+        }
+
+        if (!CANCELLABLE_STATUSES.includes(order.status)) {
+          return {
+            error: {
+              status: 409,
+              code: 'ORD_06',
+              message: `Order with id ${orderId} is ${getStatusLabel(
+                order.status
+              )} and can no longer be cancelled`,
+              field: 'order_id',
+            },
+          };
+        }
+
+        const cancellation = await cancelOrderItems(order, items, {
+          actor: `customer:${customerId}`,
+          reason: reason || 'Cancelled by customer',
+          transaction,
+        });
+        return { ...cancellation, order };
+      });
+
+      if (result.notFound) {
+        return orderNotFound(res, orderId);
+      }
+      if (result.error) {
+        return res.status(result.error.status).json({ error: result.error });
+      }
+      if (result.refund) {
+        await refundCancellation(result.order, result.refund);
+      }
+
+      return res.status(200).json(await getOrderSummaryPayload(orderId, customerId));
     } catch (error) {
       return next(error);
     }
   }
 
   /**
+   * charge the total amount of an order of the authenticated customer with a stripe token,
+   * mark the order as paid and email the order confirmation. A declined card leaves the order
+   * pending so that it can be paid again. An order the charge.succeeded webhook marked paid
+   * first is paid as well.
+   *
    * @static
-   * @param {*} req
-   * @param {*} res
-   * @param {*} next
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with the stripe charge
+   * @memberof ShoppingCartController
    */
   static async processStripePayment(req, res, next) {
-    const { email, stripeToken, order_id } = req.body; // eslint-disable-line
-    const { customer_id } = req;  // eslint-disable-line
+    const { customer_id: customerId } = req;
+    req.checkBody('stripeToken', 'The field stripeToken is required.').notEmpty();
+    req.checkBody('order_id', 'The field order_id should be a valid integer.').isInt();
+    req.checkBody('email', 'The email is invalid.').isEmail();
+
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'PAY_01',
+          message: errors[0].msg,
+          field: errors[0].param,
+        },
+      });
+    }
+
+    const { email, stripeToken, order_id: orderId } = req.body;
+    try {
+      const order = await Order.findOne({ where: { order_id: orderId, customer_id: customerId } });
+      if (!order) {
+        return orderNotFound(res, orderId);
+      }
+
+      if (order.status !== ORDER_STATUS.PENDING) {
+        return res.status(409).json({
+          error: {
+            status: 409,
+            code: 'PAY_02',
+            message: `Order with id ${orderId} is ${getStatusLabel(
+              order.status
+            )} and can not be paid`,
+            field: 'order_id',
+          },
+        });
+      }
+
+      let charge;
+      try {
+        // the idempotency key keeps concurrent payments of the order from charging it twice
+        charge = await chargeOrder(order, { source: stripeToken, email });
+      } catch (error) {
+        if (error.type === 'StripeIdempotencyError' || error.statusCode === 409) {
+          return res.status(409).json({
+            error: {
+              status: 409,
+              code: 'PAY_05',
+              message: `Order with id ${orderId} is already being paid.`,
+              field: 'order_id',
+            },
+          });
+        }
+        if (error.type !== 'StripeCardError') {
+          throw error;
+        }
+        await recordFailedPayment(order, `Payment failed: ${error.message}`);
+        return res.status(402).json({
+          error: {
+            status: 402,
+            code: 'PAY_03',
+            message: `${error.message} Order with id ${orderId} can be paid with another card.`,
+            field: 'stripeToken',
+          },
+        });
+      }
+
+      return confirmPayment(res, order, charge, {
+        actor: `customer:${customerId}`,
+        email,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * verify the signature of a stripe webhook request and reconcile the order it refers to.
+   * The request body must be the raw, unparsed payload.
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response acknowledging the event
+   * @memberof ShoppingCartController
+   */
+  static async handleStripeWebhook(req, res, next) {
+    let event;
+    try {
+      event = constructWebhookEvent(req.body, req.get('Stripe-Signature'));
+    } catch (error) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'PAY_04',
+          message: `Webhook signature verification failed: ${error.message}`,
+          field: 'Stripe-Signature',
+        },
+      });
+    }
+
     try {
-      // implement code to process payment and send order confirmation email here
+      const handler = webhookHandlers[event.type];
+      if (handler) {
+        await handler(event.data.object);
+      }
+      return res.status(200).json({ received: true, handled: Boolean(handler) });
     } catch (error) {
       return next(error);
     }
@@ -1,9 +1,15 @@
-import { Tax } from '../database/models';
+import { Order, Tax } from '../database/models';
 
 /**
  * Tax controller contains methods which are needed for all tax request
  * Implement the functionality for the methods
  *
+ * - getAllTax - Returns a list of all taxes
+ * - getSingleTax - Returns a single tax
+ * - createTax - Create a tax
+ * - updateTax - Update a tax
+ * - deleteTax - Delete a tax that no order uses
+ *
  *  NB: Check the BACKEND CHALLENGE TEMPLATE DOCUMENTATION in the readme of this repository to see our recommended
  *  endpoints, request body/param, and response object for each of these method
  */
@@ -47,9 +53,147 @@ class TaxController {
       return res.status(404).json({
         error: {
           status: 404,
+          code: 'TAX_02',
           message: `Tax with id ${taxId} does not exist`,
+          field: 'tax_id',
+        },
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * This method creates a tax
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the created tax
+   * @memberof TaxController
+   */
+  static async createTax(req, res, next) {
+    req.checkBody('tax_type', 'The field tax_type is required.').notEmpty();
+    req
+      .checkBody('tax_percentage', 'The field tax_percentage should be between 0 and 100.')
+      .isFloat({ min: 0, max: 100 });
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'TAX_01',
+          message: errors[0].msg,
+          field: errors[0].param,
+        },
+      });
+    }
+
+    const { tax_type: taxType, tax_percentage: taxPercentage } = req.body;
+    try {
+      const tax = await Tax.create({ tax_type: taxType, tax_percentage: taxPercentage });
+      return res.status(201).json(tax);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * This method updates a tax using the tax id
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with the updated tax
+   * @memberof TaxController
+   */
+  static async updateTax(req, res, next) {
+    const { tax_id: taxId } = req.params;
+    req
+      .checkBody('tax_type', 'The field tax_type should not be empty.')
+      .optional()
+      .notEmpty();
+    req
+      .checkBody('tax_percentage', 'The field tax_percentage should be between 0 and 100.')
+      .optional()
+      .isFloat({ min: 0, max: 100 });
+    const errors = req.validationErrors();
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'TAX_01',
+          message: errors[0].msg,
+          field: errors[0].param,
         },
       });
+    }
+
+    const { tax_type: taxType, tax_percentage: taxPercentage } = req.body;
+    try {
+      const tax = await Tax.findByPk(taxId);
+      if (!tax) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'TAX_02',
+            message: `Tax with id ${taxId} does not exist`,
+            field: 'tax_id',
+          },
+        });
+      }
+
+      await tax.update({
+        tax_type: taxType === undefined ? tax.tax_type : taxType,
+        tax_percentage: taxPercentage === undefined ? tax.tax_percentage : taxPercentage,
+      });
+      return res.status(200).json(tax);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * This method deletes a tax using the tax id, taxes used by orders are not deleted
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {json} json object with a message
+   * @memberof TaxController
+   */
+  static async deleteTax(req, res, next) {
+    const { tax_id: taxId } = req.params;
+    try {
+      const tax = await Tax.findByPk(taxId);
+      if (!tax) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'TAX_02',
+            message: `Tax with id ${taxId} does not exist`,
+            field: 'tax_id',
+          },
+        });
+      }
+
+      const orderCount = await Order.count({ where: { tax_id: taxId } });
+      if (orderCount) {
+        return res.status(409).json({
+          error: {
+            status: 409,
+            code: 'TAX_03',
+            message: `Tax with id ${taxId} is used by ${orderCount} orders`,
+            field: 'tax_id',
+          },
+        });
+      }
+
+      await tax.destroy();
+      return res.status(200).json({ message: `Tax with id ${taxId} has been deleted` });
     } catch (error) {
       return next(error);
     }
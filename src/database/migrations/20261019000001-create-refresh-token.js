@@ -0,0 +1,41 @@
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface
+      .createTable('refresh_token', {
+        refresh_token_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        customer_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'customer', key: 'customer_id' },
+          onDelete: 'CASCADE',
+        },
+        token_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true,
+        },
+        family_id: {
+          type: Sequelize.STRING(32),
+          allowNull: false,
+        },
+        expires_on: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        revoked_on: Sequelize.DATE,
+        replaced_by: Sequelize.INTEGER,
+        created_on: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+      })
+      .then(() => queryInterface.addIndex('refresh_token', ['family_id'])),
+
+  down: queryInterface => queryInterface.dropTable('refresh_token'),
+};
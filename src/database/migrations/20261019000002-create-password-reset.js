@@ -0,0 +1,34 @@
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface.createTable('password_reset', {
+      password_reset_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      customer_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'customer', key: 'customer_id' },
+        onDelete: 'CASCADE',
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      expires_on: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      used_on: Sequelize.DATE,
+      created_on: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    }),
+
+  down: queryInterface => queryInterface.dropTable('password_reset'),
+};
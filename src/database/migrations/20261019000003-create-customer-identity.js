@@ -0,0 +1,39 @@
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface
+      .createTable('customer_identity', {
+        customer_identity_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        customer_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'customer', key: 'customer_id' },
+          onDelete: 'CASCADE',
+        },
+        provider: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+        },
+        provider_user_id: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+        },
+        email: Sequelize.STRING(100),
+        created_on: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+      })
+      .then(() =>
+        queryInterface.addIndex('customer_identity', ['provider', 'provider_user_id'], {
+          unique: true,
+        })
+      ),
+
+  down: queryInterface => queryInterface.dropTable('customer_identity'),
+};
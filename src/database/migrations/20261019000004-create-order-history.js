@@ -0,0 +1,36 @@
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface
+      .createTable('order_history', {
+        order_history_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        order_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'orders', key: 'order_id' },
+          onDelete: 'CASCADE',
+        },
+        from_status: Sequelize.INTEGER,
+        to_status: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        actor: {
+          type: Sequelize.STRING(50),
+          allowNull: false,
+        },
+        reason: Sequelize.STRING(255),
+        created_on: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+      })
+      .then(() => queryInterface.addIndex('order_history', ['order_id'])),
+
+  down: queryInterface => queryInterface.dropTable('order_history'),
+};
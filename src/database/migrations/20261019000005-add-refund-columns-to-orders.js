@@ -0,0 +1,36 @@
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    Promise.all([
+      queryInterface.addColumn('orders', 'refunded_amount', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.0,
+      }),
+      queryInterface.addColumn('order_detail', 'cancelled_quantity', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      }),
+      queryInterface.addColumn('order_detail', 'refunded_amount', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.0,
+      }),
+      // the tax rate the order was placed with, refunds must not follow later edits of the tax
+      queryInterface
+        .addColumn('orders', 'tax_percentage', Sequelize.DECIMAL(10, 2))
+        .then(() =>
+          queryInterface.sequelize.query(
+            'UPDATE orders o JOIN tax t ON t.tax_id = o.tax_id SET o.tax_percentage = t.tax_percentage'
+          )
+        ),
+    ]),
+
+  down: queryInterface =>
+    Promise.all([
+      queryInterface.removeColumn('orders', 'refunded_amount'),
+      queryInterface.removeColumn('order_detail', 'cancelled_quantity'),
+      queryInterface.removeColumn('order_detail', 'refunded_amount'),
+      queryInterface.removeColumn('orders', 'tax_percentage'),
+    ]),
+};
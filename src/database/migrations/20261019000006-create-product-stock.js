@@ -0,0 +1,35 @@
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface
+      .createTable('product_stock', {
+        product_stock_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        product_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'product', key: 'product_id' },
+          onDelete: 'CASCADE',
+        },
+        attribute_value_ids: {
+          type: Sequelize.STRING(255),
+          allowNull: false,
+          defaultValue: '',
+        },
+        quantity: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+      })
+      .then(() =>
+        queryInterface.addIndex('product_stock', ['product_id', 'attribute_value_ids'], {
+          unique: true,
+        })
+      ),
+
+  down: queryInterface => queryInterface.dropTable('product_stock'),
+};
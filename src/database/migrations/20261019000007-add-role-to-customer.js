@@ -0,0 +1,10 @@
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface.addColumn('customer', 'role', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'customer',
+    }),
+
+  down: queryInterface => queryInterface.removeColumn('customer', 'role'),
+};
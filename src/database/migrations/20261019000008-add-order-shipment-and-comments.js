@@ -0,0 +1,44 @@
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    Promise.all([
+      queryInterface.addColumn('orders', 'carrier', Sequelize.STRING(50)),
+      queryInterface.addColumn('orders', 'tracking_reference', Sequelize.STRING(100)),
+      queryInterface
+        .createTable('order_comment', {
+          order_comment_id: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            primaryKey: true,
+            autoIncrement: true,
+          },
+          order_id: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: 'orders', key: 'order_id' },
+            onDelete: 'CASCADE',
+          },
+          author_id: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: 'customer', key: 'customer_id' },
+          },
+          comment: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+          },
+          created_on: {
+            type: Sequelize.DATE,
+            allowNull: false,
+            defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+          },
+        })
+        .then(() => queryInterface.addIndex('order_comment', ['order_id'])),
+    ]),
+
+  down: queryInterface =>
+    Promise.all([
+      queryInterface.removeColumn('orders', 'carrier'),
+      queryInterface.removeColumn('orders', 'tracking_reference'),
+      queryInterface.dropTable('order_comment'),
+    ]),
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface
+      .addColumn('product', 'product_code', {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        unique: true,
+      })
+      .then(() =>
+        queryInterface.sequelize.query(
+          "UPDATE product SET product_code = CONCAT('PRD-', product_id) WHERE product_code IS NULL"
+        )
+      ),
+
+  down: queryInterface => queryInterface.removeColumn('product', 'product_code'),
+};
@@ -0,0 +1,9 @@
+module.exports = {
+  up: queryInterface =>
+    queryInterface.addIndex('product', ['name', 'description'], {
+      type: 'FULLTEXT',
+      name: 'idx_product_search',
+    }),
+
+  down: queryInterface => queryInterface.removeIndex('product', 'idx_product_search'),
+};
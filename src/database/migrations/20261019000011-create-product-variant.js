@@ -0,0 +1,58 @@
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface
+      .createTable('product_variant', {
+        product_variant_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        product_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'product', key: 'product_id' },
+          onDelete: 'CASCADE',
+        },
+        sku: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true,
+        },
+        attribute_value_ids: {
+          type: Sequelize.STRING(255),
+          allowNull: false,
+        },
+        price: Sequelize.DECIMAL(10, 2),
+        discounted_price: Sequelize.DECIMAL(10, 2),
+        image: Sequelize.STRING(150),
+      })
+      .then(() =>
+        Promise.all([
+          queryInterface.addIndex('product_variant', ['product_id', 'attribute_value_ids'], {
+            unique: true,
+          }),
+          // existing cart and order lines keep a null variant and their attributes string
+          queryInterface.addColumn('shopping_cart', 'product_variant_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'product_variant', key: 'product_variant_id' },
+            onDelete: 'CASCADE',
+          }),
+          queryInterface.addColumn('order_detail', 'product_variant_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'product_variant', key: 'product_variant_id' },
+            onDelete: 'SET NULL',
+          }),
+          queryInterface.addColumn('order_detail', 'sku', Sequelize.STRING(64)),
+        ])
+      ),
+
+  down: queryInterface =>
+    Promise.all([
+      queryInterface.removeColumn('shopping_cart', 'product_variant_id'),
+      queryInterface.removeColumn('order_detail', 'product_variant_id'),
+      queryInterface.removeColumn('order_detail', 'sku'),
+    ]).then(() => queryInterface.dropTable('product_variant')),
+};
@@ -0,0 +1,68 @@
+// the review table is part of the original shop schema, databases created without it get it
+// here before the moderation columns are added
+const createReviewTable = (queryInterface, Sequelize) =>
+  queryInterface
+    .createTable('review', {
+      review_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      customer_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      product_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      review: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      rating: {
+        type: Sequelize.SMALLINT,
+        allowNull: false,
+      },
+      created_on: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    })
+    .then(() =>
+      Promise.all([
+        queryInterface.addIndex('review', ['customer_id']),
+        queryInterface.addIndex('review', ['product_id']),
+      ])
+    );
+
+module.exports = {
+  up: (queryInterface, Sequelize) =>
+    queryInterface
+      .showAllTables()
+      .then(tables =>
+        tables.includes('review') ? null : createReviewTable(queryInterface, Sequelize)
+      )
+      .then(() =>
+        Promise.all([
+          queryInterface.addColumn('review', 'hidden', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+          }),
+          queryInterface.addColumn('review', 'flagged', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+          }),
+        ])
+      ),
+
+  // the review table is kept, it may hold reviews written before this migration
+  down: queryInterface =>
+    Promise.all([
+      queryInterface.removeColumn('review', 'hidden'),
+      queryInterface.removeColumn('review', 'flagged'),
+    ]),
+};
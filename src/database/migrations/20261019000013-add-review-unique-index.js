@@ -0,0 +1,19 @@
+module.exports = {
+  up: queryInterface =>
+    queryInterface.sequelize
+      // a customer reviews a product once, only the latest of earlier duplicates is kept
+      .query(
+        `DELETE older FROM review older
+        JOIN review newer ON newer.customer_id = older.customer_id
+          AND newer.product_id = older.product_id
+          AND newer.review_id > older.review_id`
+      )
+      .then(() =>
+        queryInterface.addIndex('review', ['customer_id', 'product_id'], {
+          unique: true,
+          name: 'review_customer_id_product_id',
+        })
+      ),
+
+  down: queryInterface => queryInterface.removeIndex('review', 'review_customer_id_product_id'),
+};
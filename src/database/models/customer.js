@@ -47,6 +47,14 @@ module.exports = (sequelize, DataTypes) => {
       day_phone: DataTypes.STRING(100),
       eve_phone: DataTypes.STRING(100),
       mob_phone: DataTypes.STRING(100),
+      role: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'customer',
+        validate: {
+          isIn: [['admin', 'catalog_manager', 'support', 'customer']],
+        },
+      },
     },
     {
       underscored: true,
@@ -74,11 +82,20 @@ module.exports = (sequelize, DataTypes) => {
     return data;
   };
 
-  Customer.associate = ({ Order }) => {
+  Customer.associate = ({ Order, RefreshToken, PasswordReset, CustomerIdentity }) => {
     // associations can be defined here
     Customer.hasMany(Order, {
       foreignKey: 'customer_id',
     });
+    Customer.hasMany(RefreshToken, {
+      foreignKey: 'customer_id',
+    });
+    Customer.hasMany(PasswordReset, {
+      foreignKey: 'customer_id',
+    });
+    Customer.hasMany(CustomerIdentity, {
+      foreignKey: 'customer_id',
+    });
   };
   return Customer;
 };
@@ -33,6 +33,9 @@ Object.keys(db).forEach(modelName => {
   }
 });
 
+// invalidate the cached responses built from a model when its data changes
+require('../../services/cache/invalidation').default(db);
+
 db.sequelize = sequelize;
 db.Sequelize = Sequelize;
 
@@ -29,13 +29,21 @@ module.exports = (sequelize, DataTypes) => {
       reference: DataTypes.STRING(50),
       shipping_id: DataTypes.INTEGER,
       tax_id: DataTypes.INTEGER,
+      tax_percentage: DataTypes.DECIMAL(10, 2),
+      refunded_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.0,
+      },
+      carrier: DataTypes.STRING(50),
+      tracking_reference: DataTypes.STRING(100),
     },
     {
       timestamps: false,
       tableName: 'orders',
     }
   );
-  Order.associate = ({ Customer, Shipping, OrderDetail }) => {
+  Order.associate = ({ Customer, Shipping, OrderDetail, OrderHistory, OrderComment }) => {
     Order.belongsTo(Customer, {
       foreignKey: 'customer_id',
     });
@@ -46,6 +54,14 @@ module.exports = (sequelize, DataTypes) => {
       as: 'orderItems',
       foreignKey: 'order_id',
     });
+    Order.hasMany(OrderHistory, {
+      as: 'history',
+      foreignKey: 'order_id',
+    });
+    Order.hasMany(OrderComment, {
+      as: 'internalComments',
+      foreignKey: 'order_id',
+    });
   };
   return Order;
 };
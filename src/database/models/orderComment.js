@@ -0,0 +1,49 @@
+module.exports = (sequelize, DataTypes) => {
+  const OrderComment = sequelize.define(
+    'OrderComment',
+    {
+      order_comment_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      author_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      comment: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+        },
+      },
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      timestamps: false,
+      tableName: 'order_comment',
+    }
+  );
+
+  OrderComment.associate = ({ Order, Customer }) => {
+    OrderComment.belongsTo(Order, {
+      foreignKey: 'order_id',
+      onDelete: 'CASCADE',
+    });
+    OrderComment.belongsTo(Customer, {
+      as: 'author',
+      foreignKey: 'author_id',
+    });
+  };
+
+  return OrderComment;
+};
@@ -15,6 +15,12 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.INTEGER,
         allowNull: false,
       },
+      // variant and sku at the time of the order, null for lines ordered without a variant
+      product_variant_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      sku: DataTypes.STRING(64),
       attributes: {
         type: DataTypes.STRING(1000),
         allowNull: false,
@@ -31,6 +37,16 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: false,
       },
+      cancelled_quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      refunded_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.0,
+      },
     },
     {
       timestamps: false,
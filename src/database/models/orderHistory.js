@@ -0,0 +1,44 @@
+module.exports = (sequelize, DataTypes) => {
+  const OrderHistory = sequelize.define(
+    'OrderHistory',
+    {
+      order_history_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      from_status: DataTypes.INTEGER,
+      to_status: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      actor: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      reason: DataTypes.STRING(255),
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      timestamps: false,
+      tableName: 'order_history',
+    }
+  );
+
+  OrderHistory.associate = ({ Order }) => {
+    OrderHistory.belongsTo(Order, {
+      foreignKey: 'order_id',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return OrderHistory;
+};
@@ -0,0 +1,48 @@
+module.exports = (sequelize, DataTypes) => {
+  const PasswordReset = sequelize.define(
+    'PasswordReset',
+    {
+      password_reset_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      customer_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      token_hash: {
+        type: DataTypes.STRING(64),
+        unique: true,
+        allowNull: false,
+      },
+      expires_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      used_on: DataTypes.DATE,
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      timestamps: false,
+      tableName: 'password_reset',
+    }
+  );
+
+  PasswordReset.prototype.isExpired = function isExpired() {
+    return new Date(this.expires_on) <= new Date();
+  };
+
+  PasswordReset.associate = ({ Customer }) => {
+    PasswordReset.belongsTo(Customer, {
+      foreignKey: 'customer_id',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return PasswordReset;
+};
@@ -7,6 +7,13 @@ module.exports = (sequelize, DataTypes) => {
         primaryKey: true,
         autoIncrement: true,
       },
+      product_code: {
+        type: DataTypes.STRING(50),
+        unique: true,
+        validate: {
+          notEmpty: true,
+        },
+      },
       name: {
         type: DataTypes.STRING(100),
         allowNull: false,
@@ -48,7 +55,15 @@ module.exports = (sequelize, DataTypes) => {
     }
   );
 
-  Product.associate = ({ Category, AttributeValue }) => {
+  // the product code is the stable key used by catalog imports, products created without
+  // one get a code derived from their id
+  Product.afterCreate(async (product, { transaction }) => {
+    if (!product.product_code) {
+      await product.update({ product_code: `PRD-${product.product_id}` }, { transaction });
+    }
+  });
+
+  Product.associate = ({ Category, AttributeValue, ProductStock, ProductVariant, Review }) => {
     Product.belongsToMany(Category, {
       through: 'ProductCategory',
       foreignKey: 'product_id',
@@ -59,6 +74,21 @@ module.exports = (sequelize, DataTypes) => {
       as: 'attributes',
       foreignKey: 'product_id',
     });
+
+    Product.hasMany(ProductStock, {
+      as: 'stock',
+      foreignKey: 'product_id',
+    });
+
+    Product.hasMany(ProductVariant, {
+      as: 'variants',
+      foreignKey: 'product_id',
+    });
+
+    Product.hasMany(Review, {
+      as: 'reviews',
+      foreignKey: 'product_id',
+    });
   };
 
   return Product;
@@ -0,0 +1,44 @@
+module.exports = (sequelize, DataTypes) => {
+  const ProductStock = sequelize.define(
+    'ProductStock',
+    {
+      product_stock_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // sorted, comma separated attribute_value_ids of the combination, empty for the product
+      attribute_value_ids: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        defaultValue: '',
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: 0,
+        },
+      },
+    },
+    {
+      timestamps: false,
+      tableName: 'product_stock',
+      indexes: [{ unique: true, fields: ['product_id', 'attribute_value_ids'] }],
+    }
+  );
+
+  ProductStock.associate = ({ Product }) => {
+    ProductStock.belongsTo(Product, {
+      foreignKey: 'product_id',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return ProductStock;
+};
@@ -0,0 +1,51 @@
+module.exports = (sequelize, DataTypes) => {
+  const ProductVariant = sequelize.define(
+    'ProductVariant',
+    {
+      product_variant_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      sku: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        validate: {
+          notEmpty: true,
+        },
+      },
+      // sorted, comma separated attribute_value_ids of the combination, the stock of the variant
+      // is the product_stock row with the same ids
+      attribute_value_ids: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+        },
+      },
+      // prices of the variant, the product prices apply when price is null
+      price: DataTypes.DECIMAL(10, 2),
+      discounted_price: DataTypes.DECIMAL(10, 2),
+      image: DataTypes.STRING(150),
+    },
+    {
+      timestamps: false,
+      tableName: 'product_variant',
+      indexes: [{ unique: true, fields: ['product_id', 'attribute_value_ids'] }],
+    }
+  );
+
+  ProductVariant.associate = ({ Product }) => {
+    ProductVariant.belongsTo(Product, {
+      foreignKey: 'product_id',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return ProductVariant;
+};
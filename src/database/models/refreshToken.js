@@ -0,0 +1,53 @@
+module.exports = (sequelize, DataTypes) => {
+  const RefreshToken = sequelize.define(
+    'RefreshToken',
+    {
+      refresh_token_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      customer_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      token_hash: {
+        type: DataTypes.STRING(64),
+        unique: true,
+        allowNull: false,
+      },
+      family_id: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+      },
+      expires_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      revoked_on: DataTypes.DATE,
+      replaced_by: DataTypes.INTEGER,
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      timestamps: false,
+      tableName: 'refresh_token',
+    }
+  );
+
+  RefreshToken.prototype.isExpired = function isExpired() {
+    return new Date(this.expires_on) <= new Date();
+  };
+
+  RefreshToken.associate = ({ Customer }) => {
+    RefreshToken.belongsTo(Customer, {
+      foreignKey: 'customer_id',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return RefreshToken;
+};
@@ -0,0 +1,75 @@
+module.exports = (sequelize, DataTypes) => {
+  const Review = sequelize.define(
+    'Review',
+    {
+      review_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      customer_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      review: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+        },
+      },
+      rating: {
+        type: DataTypes.SMALLINT,
+        allowNull: false,
+        validate: {
+          min: 1,
+          max: 5,
+        },
+      },
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      // moderation flags: hidden reviews are not listed nor counted in the product rating,
+      // flagged reviews wait for a moderator to look at them
+      hidden: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      flagged: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+    },
+    {
+      timestamps: false,
+      tableName: 'review',
+      indexes: [
+        {
+          unique: true,
+          fields: ['customer_id', 'product_id'],
+          name: 'review_customer_id_product_id',
+        },
+      ],
+    }
+  );
+
+  Review.associate = ({ Customer, Product }) => {
+    Review.belongsTo(Customer, {
+      foreignKey: 'customer_id',
+    });
+    Review.belongsTo(Product, {
+      foreignKey: 'product_id',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return Review;
+};
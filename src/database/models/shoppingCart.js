@@ -16,6 +16,11 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.INTEGER,
         allowNull: false,
       },
+      // null for lines added with an attributes string only
+      product_variant_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
       attributes: {
         type: DataTypes.STRING(1000),
         allowNull: false,
@@ -46,6 +51,11 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'product_id',
       onDelete: 'CASCADE',
     });
+    ShoppingCart.belongsTo(models.ProductVariant, {
+      as: 'variant',
+      foreignKey: 'product_variant_id',
+      onDelete: 'CASCADE',
+    });
   };
 
   return ShoppingCart;
@@ -0,0 +1,707 @@
+/**
+ * Catalog transfer helper imports and exports products with their categories, attribute
+ * values, stock and variants, it is shared by the admin endpoints and the catalog command line
+ * script.
+ *
+ * Each record has the product fields, `categories` with the category names and `attributes`
+ * with attribute name and value pairs e.g. Color:Red. In csv both lists are separated with `|`,
+ * in json they can also be arrays. Products are matched on their product_code.
+ *
+ * `stock` lists the stock levels of the product, each with the `attributes` of its combination,
+ * none for the product level, and a `quantity`. `variants` lists the variants of the product,
+ * each with its `sku`, the `attributes` of its combination and optional `price`,
+ * `discounted_price` and `image`. In csv both hold the json text of the list. A record without
+ * them keeps the stock and variants of the product, variants are matched on their sku.
+ *
+ * - CATALOG_COLUMNS - columns of an exported record, in order
+ * - CATALOG_FORMATS - supported file formats
+ * - parseCatalog - read csv or json content into records
+ * - serializeCatalog - write records as csv or json content
+ * - exportCatalog - read every product of the catalog as records
+ * - importCatalog - validate records and upsert the products they describe
+ */
+import {
+  Attribute,
+  AttributeValue,
+  Category,
+  Product,
+  ProductStock,
+  ProductVariant,
+  Sequelize,
+  ShoppingCart,
+  sequelize,
+} from '../database/models';
+import { parseCsv, toCsv } from './csv.helper';
+import { toAttributeKey } from './variant.helper';
+
+const { Op } = Sequelize;
+
+export const CATALOG_COLUMNS = [
+  'product_code',
+  'name',
+  'description',
+  'price',
+  'discounted_price',
+  'image',
+  'image_2',
+  'thumbnail',
+  'display',
+  'categories',
+  'attributes',
+  'stock',
+  'variants',
+];
+
+export const CATALOG_FORMATS = ['csv', 'json'];
+
+const LIST_SEPARATOR = '|';
+const ATTRIBUTE_SEPARATOR = ':';
+const AMOUNT_PATTERN = /^\d{1,8}(\.\d{1,2})?$/;
+const OPTIONAL_FIELDS = ['image', 'image_2', 'thumbnail'];
+
+/**
+ * read csv or json content into records
+ *
+ * @param {string|object} content csv text, json text or already parsed json
+ * @param {string} format csv or json
+ * @returns {array} records, throws when the content can not be read
+ */
+export const parseCatalog = (content, format) => {
+  if (format === 'csv') {
+    return parseCsv(String(content));
+  }
+
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  const records = Array.isArray(data) ? data : data && data.products;
+  if (!Array.isArray(records)) {
+    throw new Error('The json should be a list of products or an object with a products list');
+  }
+  return records;
+};
+
+/**
+ * write records as csv or json content
+ *
+ * @param {array} records exported records
+ * @param {string} format csv or json
+ * @returns {string} file content
+ */
+export const serializeCatalog = (records, format) =>
+  format === 'csv'
+    ? toCsv(
+        records.map(record => ({
+          ...record,
+          categories: record.categories.join(LIST_SEPARATOR),
+          attributes: record.attributes.join(LIST_SEPARATOR),
+          stock: JSON.stringify(record.stock),
+          variants: JSON.stringify(record.variants),
+        })),
+        CATALOG_COLUMNS
+      )
+    : JSON.stringify({ products: records }, null, 2);
+
+/**
+ * read every product of the catalog as records
+ *
+ * @returns {Promise} resolves with the records ordered by product id
+ */
+export const exportCatalog = async () => {
+  const [products, stocks, variants] = await Promise.all([
+    Product.findAll({
+      include: [
+        { model: Category, attributes: ['name'], through: { attributes: [] } },
+        {
+          model: AttributeValue,
+          as: 'attributes',
+          attributes: ['attribute_value_id', 'value'],
+          through: { attributes: [] },
+          include: [{ model: Attribute, as: 'attribute_type', attributes: ['name'] }],
+        },
+      ],
+      order: [
+        ['product_id', 'ASC'],
+        [Category, 'category_id', 'ASC'],
+        [{ model: AttributeValue, as: 'attributes' }, 'attribute_value_id', 'ASC'],
+      ],
+    }),
+    ProductStock.findAll({ order: [['product_stock_id', 'ASC']] }),
+    ProductVariant.findAll({ order: [['product_variant_id', 'ASC']] }),
+  ]);
+
+  return products.map(product => {
+    const names = new Map(
+      product.attributes.map(value => [
+        value.attribute_value_id,
+        `${value.attribute_type.name}${ATTRIBUTE_SEPARATOR}${value.value}`,
+      ])
+    );
+    const toNames = key =>
+      key
+        ? key
+            .split(',')
+            .map(id => names.get(Number(id)))
+            .filter(Boolean)
+        : [];
+    const ofProduct = rows => rows.filter(row => row.product_id === product.product_id);
+
+    return {
+      product_code: product.product_code,
+      name: product.name,
+      description: product.description,
+      price: product.price,
+      discounted_price: product.discounted_price,
+      image: product.image,
+      image_2: product.image_2,
+      thumbnail: product.thumbnail,
+      display: product.display,
+      categories: product.Categories.map(category => category.name),
+      attributes: [...names.values()],
+      stock: ofProduct(stocks).map(stock => ({
+        attributes: toNames(stock.attribute_value_ids),
+        quantity: stock.quantity,
+      })),
+      variants: ofProduct(variants).map(variant => ({
+        sku: variant.sku,
+        attributes: toNames(variant.attribute_value_ids),
+        price: variant.price,
+        discounted_price: variant.discounted_price,
+        image: variant.image,
+      })),
+    };
+  });
+};
+
+/**
+ * read a list field of a record
+ *
+ * @param {string|array} value `|` separated text or an array
+ * @returns {array} trimmed non empty entries
+ */
+const toList = value => {
+  const entries = Array.isArray(value) ? value : String(value || '').split(LIST_SEPARATOR);
+  return entries.map(entry => String(entry).trim()).filter(Boolean);
+};
+
+/**
+ * load the categories and attribute values records can refer to
+ *
+ * @returns {Promise} resolves with maps from lower case names to model instances
+ */
+const loadReferences = async () => {
+  const [categories, values] = await Promise.all([
+    Category.findAll({ attributes: ['category_id', 'name'] }),
+    AttributeValue.findAll({
+      attributes: ['attribute_value_id', 'attribute_id', 'value'],
+      include: [{ model: Attribute, as: 'attribute_type', attributes: ['name'] }],
+    }),
+  ]);
+
+  const group = (instances, getKey) =>
+    instances.reduce((map, instance) => {
+      const key = getKey(instance).toLowerCase();
+      return map.set(key, [...(map.get(key) || []), instance]);
+    }, new Map());
+
+  return {
+    categories: group(categories, category => category.name),
+    values: group(
+      values,
+      value => `${value.attribute_type.name}${ATTRIBUTE_SEPARATOR}${value.value}`
+    ),
+  };
+};
+
+/**
+ * find the instances a list of names refers to
+ *
+ * @param {array} names names from the record
+ * @param {Map} map lower case names to model instances
+ * @param {string} field record field holding the names
+ * @param {string} entity readable name of the referenced records
+ * @returns {object} matched instances and errors for unknown or ambiguous names
+ */
+const resolveNames = (names, map, field, entity) =>
+  names.reduce(
+    (result, name) => {
+      const matches = map.get(name.toLowerCase()) || [];
+      if (matches.length === 1) {
+        return { ...result, instances: [...result.instances, matches[0]] };
+      }
+      const message = matches.length
+        ? `${entity} ${name} matches more than one record`
+        : `${entity} ${name} does not exist`;
+      return { ...result, errors: [...result.errors, { field, message }] };
+    },
+    { instances: [], errors: [] }
+  );
+
+/**
+ * check the product fields of a record
+ *
+ * @param {object} record imported record
+ * @returns {array} field errors
+ */
+const validateRecordFields = record => {
+  const errors = [];
+  const text = field =>
+    String(record[field] === undefined || record[field] === null ? '' : record[field]);
+
+  if (!text('product_code').trim()) {
+    errors.push({ field: 'product_code', message: 'The field product_code is required.' });
+  } else if (text('product_code').trim().length > 50) {
+    errors.push({
+      field: 'product_code',
+      message: 'The field product_code should not be longer than 50 characters.',
+    });
+  }
+  if (!text('name').trim()) {
+    errors.push({ field: 'name', message: 'The field name is required.' });
+  }
+  if (!text('description').trim()) {
+    errors.push({ field: 'description', message: 'The field description is required.' });
+  }
+  if (!AMOUNT_PATTERN.test(text('price'))) {
+    errors.push({ field: 'price', message: 'The field price should be a valid amount.' });
+  }
+  if (text('discounted_price') && !AMOUNT_PATTERN.test(text('discounted_price'))) {
+    errors.push({
+      field: 'discounted_price',
+      message: 'The field discounted_price should be a valid amount.',
+    });
+  } else if (
+    Number(text('discounted_price')) !== 0 &&
+    Number(text('discounted_price')) >= Number(text('price'))
+  ) {
+    errors.push({
+      field: 'discounted_price',
+      message: 'The discounted_price should be lower than the price.',
+    });
+  }
+  if (text('display') && !/^[0-3]$/.test(text('display'))) {
+    errors.push({
+      field: 'display',
+      message: 'The field display should be an integer between 0 and 3.',
+    });
+  }
+  return errors;
+};
+
+/**
+ * read a list of objects of a record, csv cells hold the json text of the list
+ *
+ * @param {string|array} value json text or an array
+ * @param {string} field record field holding the list
+ * @returns {object} entries, null when the record does not have the field, and errors
+ */
+const toObjectList = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return { entries: null, errors: [] };
+  }
+
+  let entries = value;
+  if (typeof value === 'string') {
+    try {
+      entries = JSON.parse(value);
+    } catch (error) {
+      entries = null;
+    }
+  }
+  const isList =
+    Array.isArray(entries) &&
+    entries.every(entry => entry && typeof entry === 'object' && !Array.isArray(entry));
+  return isList
+    ? { entries, errors: [] }
+    : {
+        entries: null,
+        errors: [{ field, message: `The field ${field} should be a list of objects.` }],
+      };
+};
+
+/**
+ * find the key of a combination of attribute values named in a stock level or a variant, the
+ * values must be attribute values of the record with at most one value of each attribute
+ *
+ * @param {string|array} names attribute name and value pairs
+ * @param {object} context loaded references and the attribute values of the record
+ * @param {string} field record field holding the combination
+ * @param {string} entry readable name of the stock level or variant
+ * @returns {object} key of the combination and errors
+ */
+const resolveCombination = (names, { references, values }, field, entry) => {
+  const { instances, errors } = resolveNames(
+    toList(names),
+    references.values,
+    field,
+    `Attribute value of ${entry}`
+  );
+  if (errors.length) {
+    return { errors };
+  }
+  if (instances.some(instance => !values.includes(instance))) {
+    return {
+      errors: [{ field, message: `The attributes of ${entry} should be listed in attributes.` }],
+    };
+  }
+  const attributeIds = instances.map(instance => instance.attribute_id);
+  if (new Set(attributeIds).size !== attributeIds.length) {
+    return {
+      errors: [
+        { field, message: `The attributes of ${entry} should hold one value per attribute.` },
+      ],
+    };
+  }
+  return {
+    key: toAttributeKey(instances.map(instance => instance.attribute_value_id)),
+    errors: [],
+  };
+};
+
+/**
+ * check the stock levels of a record
+ *
+ * @param {array} entries stock levels read with toObjectList
+ * @param {object} context loaded references and the attribute values of the record
+ * @returns {object} stock rows to save and errors
+ */
+const validateStock = (entries, context) =>
+  entries.reduce(
+    (result, stock, index) => {
+      const entry = `stock ${index + 1}`;
+      const { key, errors } = resolveCombination(stock.attributes, context, 'stock', entry);
+      if (!errors.length && !/^\d+$/.test(String(stock.quantity))) {
+        errors.push({
+          field: 'stock',
+          message: `The quantity of ${entry} should be a positive integer.`,
+        });
+      }
+      if (!errors.length && result.rows.some(row => row.attribute_value_ids === key)) {
+        errors.push({ field: 'stock', message: `The combination of ${entry} is repeated.` });
+      }
+      return errors.length
+        ? { ...result, errors: [...result.errors, ...errors] }
+        : {
+            ...result,
+            rows: [...result.rows, { attribute_value_ids: key, quantity: Number(stock.quantity) }],
+          };
+    },
+    { rows: [], errors: [] }
+  );
+
+/**
+ * check the variants of a record, a variant without a price uses the prices of the product
+ *
+ * @param {array} entries variants read with toObjectList
+ * @param {object} context loaded references and the attribute values of the record
+ * @returns {object} variant fields to save and errors
+ */
+const validateVariants = (entries, context) =>
+  entries.reduce(
+    (result, variant, index) => {
+      const sku = String(variant.sku || '').trim();
+      const entry = `variant ${sku || index + 1}`;
+      const errors = [];
+      if (!sku || sku.length > 64) {
+        errors.push({
+          field: 'variants',
+          message: `The sku of variant ${index +
+            1} is required and should not be longer than 64 characters.`,
+        });
+      }
+      const { key, errors: combinationErrors } = toList(variant.attributes).length
+        ? resolveCombination(variant.attributes, context, 'variants', entry)
+        : { errors: [{ field: 'variants', message: `The attributes of ${entry} are required.` }] };
+      errors.push(...combinationErrors);
+
+      const amount = field =>
+        variant[field] === undefined || variant[field] === null || variant[field] === ''
+          ? null
+          : String(variant[field]);
+      const [price, discountedPrice] = [amount('price'), amount('discounted_price')];
+      if ([price, discountedPrice].some(value => value !== null && !AMOUNT_PATTERN.test(value))) {
+        errors.push({
+          field: 'variants',
+          message: `The prices of ${entry} should be valid amounts.`,
+        });
+      } else if (
+        Number(discountedPrice) !== 0 &&
+        (price === null || Number(discountedPrice) >= Number(price))
+      ) {
+        errors.push({
+          field: 'variants',
+          message: `The discounted_price of ${entry} needs a price and should be lower than it.`,
+        });
+      }
+
+      const repeated = result.rows.find(
+        row => row.sku.toLowerCase() === sku.toLowerCase() || row.attribute_value_ids === key
+      );
+      if (!errors.length && repeated) {
+        errors.push({
+          field: 'variants',
+          message: `The sku or combination of ${entry} is repeated.`,
+        });
+      }
+      return errors.length
+        ? { ...result, errors: [...result.errors, ...errors] }
+        : {
+            ...result,
+            rows: [
+              ...result.rows,
+              {
+                sku,
+                attribute_value_ids: key,
+                price,
+                discounted_price: discountedPrice,
+                image: variant.image ? String(variant.image) : null,
+              },
+            ],
+          };
+    },
+    { rows: [], errors: [] }
+  );
+
+/**
+ * check if an attribute values key holds a value that is not kept
+ *
+ * @param {string} key sorted, comma separated attribute value ids
+ * @param {array} keptIds attribute value ids of the record
+ * @returns {boolean} true when the key holds a value that is removed from the product
+ */
+const holdsDroppedValue = (key, keptIds) =>
+  Boolean(key) && key.split(',').some(id => !keptIds.includes(Number(id)));
+
+/**
+ * find the variants a record keeps that use attribute values it removes from the product
+ *
+ * @param {object} product existing product model instance
+ * @param {array} keptIds attribute value ids of the record
+ * @param {object} transaction sequelize transaction
+ * @returns {Promise} resolves with the errors of the variants
+ */
+const findVariantsOfDroppedValues = async (product, keptIds, transaction) => {
+  const variants = await ProductVariant.findAll({
+    where: { product_id: product.product_id },
+    attributes: ['sku', 'attribute_value_ids'],
+    transaction,
+  });
+  return variants
+    .filter(variant => holdsDroppedValue(variant.attribute_value_ids, keptIds))
+    .map(variant => ({
+      field: 'attributes',
+      message: `The variant ${variant.sku} uses an attribute value that is not listed in attributes.`,
+    }));
+};
+
+/**
+ * replace the stock levels of a product, when the record has none the stock of combinations
+ * holding removed attribute values is deleted as it can no longer be sold
+ *
+ * @param {object} product saved product model instance
+ * @param {array} rows stock rows of the record, null when the record has no stock field
+ * @param {array} keptIds attribute value ids of the record
+ * @param {object} transaction sequelize transaction
+ * @returns {Promise} resolves when the stock is saved
+ */
+const saveStock = async (product, rows, keptIds, transaction) => {
+  const existing = await ProductStock.findAll({
+    where: { product_id: product.product_id },
+    transaction,
+  });
+  const removed = rows
+    ? existing
+    : existing.filter(stock => holdsDroppedValue(stock.attribute_value_ids, keptIds));
+  if (removed.length) {
+    await ProductStock.destroy({
+      where: { product_stock_id: { [Op.in]: removed.map(stock => stock.product_stock_id) } },
+      transaction,
+    });
+  }
+  if (rows && rows.length) {
+    await ProductStock.bulkCreate(rows.map(row => ({ ...row, product_id: product.product_id })), {
+      transaction,
+    });
+  }
+};
+
+/**
+ * replace the variants of a product, existing variants are matched on their sku so that cart
+ * and order lines keep referring to them. The cart lines of removed variants are deleted.
+ *
+ * @param {object} product saved product model instance
+ * @param {array} rows variant fields of the record
+ * @param {object} transaction sequelize transaction
+ * @returns {Promise} resolves when the variants are saved
+ */
+const saveVariants = async (product, rows, transaction) => {
+  const existing = await ProductVariant.findAll({
+    where: { product_id: product.product_id },
+    transaction,
+  });
+  const findRow = variant => rows.find(row => row.sku.toLowerCase() === variant.sku.toLowerCase());
+  const removedIds = existing
+    .filter(variant => !findRow(variant))
+    .map(variant => variant.product_variant_id);
+  if (removedIds.length) {
+    const where = { product_variant_id: { [Op.in]: removedIds } };
+    await ShoppingCart.destroy({ where, transaction });
+    await ProductVariant.destroy({ where, transaction });
+  }
+
+  await Promise.all(
+    rows.map(row => {
+      const variant = existing.find(
+        instance => instance.sku.toLowerCase() === row.sku.toLowerCase()
+      );
+      return variant
+        ? variant.update(row, { transaction })
+        : ProductVariant.create({ ...row, product_id: product.product_id }, { transaction });
+    })
+  );
+};
+
+/**
+ * map a validated record to product fields, empty optional fields are stored as null
+ *
+ * @param {object} record imported record
+ * @returns {object} product fields
+ */
+const toProductFields = record => ({
+  product_code: String(record.product_code).trim(),
+  name: String(record.name),
+  description: String(record.description),
+  price: String(record.price),
+  discounted_price: String(record.discounted_price || '0.00'),
+  display: Number(record.display || 0),
+  ...OPTIONAL_FIELDS.reduce(
+    (fields, field) => ({ ...fields, [field]: record[field] ? String(record[field]) : null }),
+    {}
+  ),
+});
+
+/**
+ * validate a record and upsert the product it describes with its categories, attribute values,
+ * stock and variants in a transaction so that they are replaced together. A record that removes
+ * attribute values used by variants it keeps is rejected.
+ *
+ * @param {object} record parsed record
+ * @param {object} context loaded references, product codes already imported and dryRun
+ * @returns {Promise} resolves with the action taken and the errors of the record
+ */
+const importRecord = async (record, { references, seenCodes, dryRun }) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { code: null, errors: [{ field: null, message: 'The record should be an object.' }] };
+  }
+
+  const code = record.product_code ? String(record.product_code).trim() : null;
+  const categories = resolveNames(
+    toList(record.categories),
+    references.categories,
+    'categories',
+    'Category'
+  );
+  const values = resolveNames(
+    toList(record.attributes),
+    references.values,
+    'attributes',
+    'Attribute value'
+  );
+  const stockList = toObjectList(record.stock, 'stock');
+  const variantList = toObjectList(record.variants, 'variants');
+  const combinationContext = { references, values: values.instances };
+  const stock = stockList.entries
+    ? validateStock(stockList.entries, combinationContext)
+    : { rows: null, errors: [] };
+  const variants = variantList.entries
+    ? validateVariants(variantList.entries, combinationContext)
+    : { rows: null, errors: [] };
+  const errors = [
+    ...validateRecordFields(record),
+    ...categories.errors,
+    ...values.errors,
+    ...stockList.errors,
+    ...variantList.errors,
+    ...(values.errors.length ? [] : [...stock.errors, ...variants.errors]),
+  ];
+  if (code && seenCodes.has(code.toLowerCase())) {
+    errors.push({ field: 'product_code', message: `The product_code ${code} is repeated.` });
+  }
+  if (errors.length) {
+    return { code, errors };
+  }
+
+  seenCodes.add(code.toLowerCase());
+  const keptIds = values.instances.map(value => value.attribute_value_id);
+  try {
+    const result = await sequelize.transaction(async transaction => {
+      const existing = await Product.findOne({ where: { product_code: code }, transaction });
+      const product = existing || Product.build();
+      product.set(toProductFields(record));
+      await product.validate();
+      // variants the record keeps must not lose the attribute values of their combination
+      const conflicts =
+        existing && !variants.rows
+          ? await findVariantsOfDroppedValues(existing, keptIds, transaction)
+          : [];
+      if (conflicts.length || dryRun) {
+        return { isUpdate: Boolean(existing), errors: conflicts };
+      }
+
+      await product.save({ transaction });
+      await product.setCategories(categories.instances, { transaction });
+      await product.setAttributes(values.instances, { transaction });
+      await saveStock(product, stock.rows, keptIds, transaction);
+      if (variants.rows) {
+        await saveVariants(product, variants.rows, transaction);
+      }
+      return { isUpdate: Boolean(existing), errors: [] };
+    });
+    return result.errors.length
+      ? { code, errors: result.errors }
+      : { code, action: result.isUpdate ? 'updated' : 'created', errors: [] };
+  } catch (error) {
+    if (!(error instanceof Sequelize.ValidationError)) {
+      throw error;
+    }
+    return {
+      code,
+      errors: error.errors.map(({ path, message }) => ({ field: path, message })),
+    };
+  }
+};
+
+/**
+ * validate records and upsert the products they describe, a record that fails does not stop
+ * the others. In a dry run the records are only validated and the report shows what would
+ * have been created or updated.
+ *
+ * @param {array} records parsed records
+ * @param {object} options dryRun to validate without saving
+ * @returns {Promise} resolves with the report of the import
+ */
+export const importCatalog = async (records, { dryRun = false } = {}) => {
+  const context = { references: await loadReferences(), seenCodes: new Set(), dryRun };
+  const report = {
+    dry_run: dryRun,
+    total: records.length,
+    created: 0,
+    updated: 0,
+    failed: 0,
+    errors: [],
+  };
+
+  // records are imported one after the other so that a repeated product_code is reported
+  await records.reduce(async (previous, record, index) => {
+    await previous;
+    const { code, action, errors } = await importRecord(record, context);
+    if (errors.length) {
+      report.failed += 1;
+      report.errors.push(
+        ...errors.map(error => ({ row: index + 1, product_code: code, ...error }))
+      );
+    } else {
+      report[action] += 1;
+    }
+  }, Promise.resolve());
+
+  return report;
+};
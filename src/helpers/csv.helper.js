@@ -0,0 +1,102 @@
+/**
+ * Csv helper reads and writes comma separated values as described in RFC 4180
+ *
+ * - parseCsv - parse csv text into records keyed by the header row
+ * - toCsv - write records as csv text with a header row
+ */
+
+/**
+ * split csv text into rows of raw field values, quoted fields can contain commas, quotes
+ * and line breaks
+ *
+ * @param {string} text csv text
+ * @returns {array} rows of field values
+ */
+const splitRows = text => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('The csv has a quoted field that is never closed');
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * parse csv text into records keyed by the header row, blank lines are skipped
+ *
+ * @param {string} text csv text
+ * @returns {array} one object per data row
+ */
+export const parseCsv = text => {
+  const [header, ...rows] = splitRows(text.replace(/^\uFEFF/, '')).filter(
+    row => row.length > 1 || row[0] !== ''
+  );
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return rows.map(row =>
+    columns.reduce((record, column, index) => ({ ...record, [column]: row[index] || '' }), {})
+  );
+};
+
+/**
+ * quote a value when it contains characters that have a meaning in csv
+ *
+ * @param {*} value field value, null and undefined are written as empty fields
+ * @returns {string} csv field
+ */
+const toCsvField = value => {
+  const field = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * write records as csv text with a header row
+ *
+ * @param {array} records objects to write
+ * @param {array} columns keys of the records to write, in order
+ * @returns {string} csv text
+ */
+export const toCsv = (records, columns) =>
+  [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(row => row.map(toCsvField).join(','))
+    .join('\r\n')
+    .concat('\r\n');
@@ -0,0 +1,130 @@
+/**
+ * Cursor helper implements the opt-in cursor pagination of the listings. A cursor is an opaque
+ * token holding the id of the first or last record of a page, the next page starts after that
+ * id so that pages stay consistent when records are added or removed while browsing.
+ * Listings are ordered on their id in cursor mode.
+ *
+ * A listing is in cursor mode when the query has pagination=cursor, for the first page, or
+ * a cursor returned by a previous page.
+ *
+ * - isCursorRequest - check if a listing request asks for cursor pagination
+ * - decodeCursor - read a cursor from the request
+ * - getCursorQuery - where condition on the id, order and limit of the page of a cursor
+ * - getCursorPage - trim the fetched records to a page and create its next and prev cursors
+ */
+import { Sequelize } from '../database/models';
+
+const { Op } = Sequelize;
+
+/**
+ * check if a listing request asks for cursor pagination
+ *
+ * @param {object} query express request query
+ * @returns {boolean} true in cursor mode
+ */
+export const isCursorRequest = query => query.pagination === 'cursor' || query.cursor !== undefined;
+
+/**
+ * encode a cursor, the url safe base64 alphabet is used so that it can be sent as is in a
+ * query string. Buffer reads both alphabets when decoding.
+ *
+ * @param {object} cursor id of the boundary record, page number and direction
+ * @returns {string} opaque cursor
+ */
+const encodeCursor = ({ id, page, direction }) =>
+  Buffer.from(JSON.stringify({ i: id, p: page, d: direction }))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+/**
+ * read a cursor from the request, a listing without cursor starts at the first page
+ *
+ * @param {string} value cursor query parameter
+ * @returns {object|null} id, page and direction, null when the cursor is not valid
+ */
+export const decodeCursor = value => {
+  if (value === undefined) {
+    return { id: null, page: 1, direction: 'next' };
+  }
+
+  try {
+    const { i: id, p: page, d: direction } = JSON.parse(
+      Buffer.from(String(value), 'base64').toString('utf8')
+    );
+    const isValid =
+      Number.isInteger(id) &&
+      Number.isInteger(page) &&
+      page > 0 &&
+      ['next', 'prev'].includes(direction);
+    return isValid ? { id, page, direction } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * get the where condition on the id, the order and the limit that fetch the page of a cursor.
+ * One extra record is fetched to know if there is a page after it, prev pages are fetched in
+ * reverse order.
+ *
+ * @param {object} cursor decoded cursor
+ * @param {object} options idField name of the id column, order of the listing ASC or DESC
+ * and limit of the page
+ * @returns {object} where, order and limit sequelize options
+ */
+export const getCursorQuery = (cursor, { idField, order, limit }) => {
+  const isForward = cursor.direction === 'next';
+  const isAscending = order === 'ASC';
+  const reverse = isAscending ? 'DESC' : 'ASC';
+
+  return {
+    where:
+      cursor.id === null
+        ? {}
+        : { [idField]: { [isForward === isAscending ? Op.gt : Op.lt]: cursor.id } },
+    order: [[idField, isForward ? order : reverse]],
+    limit: limit + 1,
+  };
+};
+
+/**
+ * trim the records fetched with getCursorQuery to a page and create its cursors
+ *
+ * @param {array} records fetched records
+ * @param {object} cursor decoded cursor of the page
+ * @param {object} options idField name of the id column and limit of the page
+ * @returns {object} rows of the page in listing order, currentPage and next and prev cursors,
+ * null when there is no page in that direction
+ */
+export const getCursorPage = (records, cursor, { idField, limit }) => {
+  const hasMore = records.length > limit;
+  const isForward = cursor.direction === 'next';
+  const page = records.slice(0, limit);
+  const rows = isForward ? page : page.reverse();
+
+  const hasNext = isForward ? hasMore : cursor.id !== null;
+  const hasPrev = isForward ? cursor.id !== null : hasMore;
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+
+  return {
+    rows,
+    currentPage: cursor.page,
+    cursors: {
+      next:
+        hasNext && last
+          ? encodeCursor({ id: last[idField], page: cursor.page + 1, direction: 'next' })
+          : null,
+      prev:
+        hasPrev && first
+          ? encodeCursor({
+              id: first[idField],
+              page: Math.max(cursor.page - 1, 1),
+              direction: 'prev',
+            })
+          : null,
+    },
+  };
+};
@@ -0,0 +1,178 @@
+/**
+ * Inventory helper tracks stock levels of products and of attribute value combinations
+ * (e.g. a size and a colour) of a product.
+ *
+ * A product without any product_stock row is not tracked and never runs out. A combination
+ * without its own row uses the product level row, the one with empty attribute_value_ids.
+ * The stock of a product variant is the row of its combination.
+ * Stock is reserved by decrementing it when an order is created and released by incrementing
+ * it when the order, or some of its items, is cancelled.
+ *
+ * - getAvailableQuantity - get the quantity in stock for a cart or order line
+ * - assertAvailable - check that a quantity is in stock without reserving it
+ * - reserveStock - decrement the stock of order lines
+ * - releaseStock - increment the stock of order lines
+ */
+import { ProductStock, ProductVariant, Sequelize } from '../database/models';
+import { getAttributesKey } from './variant.helper';
+
+const { Op } = Sequelize;
+
+/**
+ * build the error thrown when there is not enough stock
+ *
+ * @param {number} productId product that is out of stock
+ * @param {number} available quantity still in stock
+ * @returns {Error} error with a 409 status
+ */
+const insufficientStockError = (productId, available) => {
+  const error = new Error(
+    `Product with id ${productId} has only ${available} item(s) left in stock`
+  );
+  error.status = 409;
+  error.code = 'STK_01';
+  error.field = 'quantity';
+  return error;
+};
+
+/**
+ * get the stock key of a cart or order line: the key of its variant, or of the attribute values
+ * named in its attributes string for lines without a variant
+ *
+ * @param {object} line object with product_id, product_variant_id and attributes
+ * @param {object} transaction optional sequelize transaction
+ * @returns {Promise} resolves with the stock key e.g. '3,9'
+ */
+const getStockKey = async (line, transaction) => {
+  const variant = line.product_variant_id
+    ? await ProductVariant.findByPk(line.product_variant_id, {
+        attributes: ['attribute_value_ids'],
+        transaction,
+      })
+    : null;
+  return variant
+    ? variant.attribute_value_ids
+    : getAttributesKey(line.product_id, line.attributes, transaction);
+};
+
+/**
+ * find the stock row that tracks a cart or order line
+ *
+ * @param {object} line object with product_id, product_variant_id and attributes
+ * @param {object} transaction optional sequelize transaction
+ * @returns {Promise} resolves with the product stock model instance, null when not tracked
+ */
+const findStock = async (line, transaction) => {
+  const key = await getStockKey(line, transaction);
+  const rows = await ProductStock.findAll({
+    where: { product_id: line.product_id, attribute_value_ids: { [Op.in]: [key, ''] } },
+    transaction,
+  });
+
+  return (
+    rows.find(row => row.attribute_value_ids === key) ||
+    rows.find(row => row.attribute_value_ids === '') ||
+    null
+  );
+};
+
+/**
+ * group lines by the stock row that tracks them, untracked lines are left out
+ *
+ * @param {array} lines objects with product_id, product_variant_id, attributes and quantity
+ * @param {object} transaction optional sequelize transaction
+ * @returns {Promise} resolves with the stock rows and the total quantity of their lines
+ */
+const groupByStock = async (lines, transaction) => {
+  const stocks = await Promise.all(lines.map(line => findStock(line, transaction)));
+
+  return stocks.reduce((groups, stock, index) => {
+    if (!stock) {
+      return groups;
+    }
+    const group = groups.find(
+      ({ stock: { product_stock_id: id } }) => id === stock.product_stock_id
+    );
+    if (group) {
+      group.quantity += lines[index].quantity;
+      return groups;
+    }
+    return [...groups, { stock, quantity: lines[index].quantity }];
+  }, []);
+};
+
+/**
+ * get the quantity in stock for a cart or order line
+ *
+ * @param {object} line object with product_id, product_variant_id and attributes
+ * @returns {Promise} resolves with the quantity, Infinity when the product is not tracked
+ */
+export const getAvailableQuantity = async line => {
+  const stock = await findStock(line);
+  return stock ? stock.quantity : Infinity;
+};
+
+/**
+ * check that a quantity is in stock without reserving it
+ *
+ * @param {object} line object with product_id, product_variant_id and attributes
+ * @param {number} quantity quantity wanted
+ * @returns {Promise} rejects with a 409 error when there is not enough stock
+ */
+export const assertAvailable = async (line, quantity) => {
+  const available = await getAvailableQuantity(line);
+  if (available < quantity) {
+    throw insufficientStockError(line.product_id, available);
+  }
+};
+
+/**
+ * decrement the stock of order lines. Each decrement only applies while enough stock is left,
+ * so concurrent checkouts can not take the stock below zero.
+ *
+ * @param {array} lines objects with product_id, product_variant_id, attributes and quantity
+ * @param {object} transaction sequelize transaction the reservation is part of
+ * @returns {Promise} rejects with a 409 error when a line is out of stock
+ */
+export const reserveStock = async (lines, transaction) => {
+  const groups = await groupByStock(lines, transaction);
+
+  const results = await Promise.all(
+    groups.map(({ stock, quantity }) =>
+      ProductStock.update(
+        { quantity: Sequelize.literal(`quantity - ${parseInt(quantity, 10)}`) },
+        {
+          where: { product_stock_id: stock.product_stock_id, quantity: { [Op.gte]: quantity } },
+          transaction,
+        }
+      )
+    )
+  );
+
+  const failedIndex = results.findIndex(([affectedRows]) => !affectedRows);
+  if (failedIndex !== -1) {
+    const { stock } = groups[failedIndex];
+    const current = await ProductStock.findByPk(stock.product_stock_id, { transaction });
+    throw insufficientStockError(stock.product_id, current ? current.quantity : 0);
+  }
+};
+
+/**
+ * increment the stock of order lines that are cancelled
+ *
+ * @param {array} lines objects with product_id, product_variant_id, attributes and quantity
+ * @param {object} transaction sequelize transaction the release is part of
+ * @returns {Promise} resolves when the stock has been released
+ */
+export const releaseStock = async (lines, transaction) => {
+  const groups = await groupByStock(lines, transaction);
+
+  await Promise.all(
+    groups.map(({ stock, quantity }) =>
+      ProductStock.update(
+        { quantity: Sequelize.literal(`quantity + ${parseInt(quantity, 10)}`) },
+        { where: { product_stock_id: stock.product_stock_id }, transaction }
+      )
+    )
+  );
+};
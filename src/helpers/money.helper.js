@@ -0,0 +1,57 @@
+/**
+ * Money helper does all monetary arithmetic in integer cents so that amounts stored as
+ * DECIMAL(10, 2) never go through floating point arithmetic
+ *
+ * - toCents - convert a decimal amount (string or number) to integer cents
+ * - fromCents - convert integer cents back to a decimal string with two places
+ * - percentageOf - get a percentage of an amount in cents
+ */
+
+/**
+ * convert a decimal amount to integer cents, the amount is parsed from its string form
+ * so that values like 19.99 are not affected by floating point representation
+ *
+ * @param {string|number} amount decimal amount e.g. '19.99'
+ * @returns {number} amount in cents e.g. 1999
+ */
+export const toCents = amount => {
+  const [whole, fraction = ''] = String(amount || 0)
+    .trim()
+    .split('.');
+  const negative = whole.startsWith('-');
+  const digits = `${whole.replace('-', '') || '0'}${`${fraction}00`.slice(0, 2)}`;
+  let cents = parseInt(digits, 10);
+
+  // round half up on the third decimal place
+  if (parseInt(fraction.charAt(2), 10) >= 5) {
+    cents += 1;
+  }
+
+  return negative ? -cents : cents;
+};
+
+/**
+ * convert integer cents to a decimal string with two places
+ *
+ * @param {number} cents amount in cents e.g. 1999
+ * @returns {string} decimal amount e.g. '19.99'
+ */
+export const fromCents = cents => {
+  const sign = cents < 0 ? '-' : '';
+  const absolute = Math.abs(cents);
+  const fraction = String(absolute % 100).padStart(2, '0');
+  return `${sign}${Math.floor(absolute / 100)}.${fraction}`;
+};
+
+/**
+ * get a percentage of an amount, rounded half up to the nearest cent
+ *
+ * @param {number} cents amount in cents
+ * @param {string|number} percentage decimal percentage e.g. '8.50'
+ * @returns {number} percentage of the amount in cents
+ */
+export const percentageOf = (cents, percentage) => {
+  // the percentage is scaled to hundredths so the product stays an integer
+  const scaled = cents * toCents(percentage);
+  return Math.sign(scaled) * Math.floor((Math.abs(scaled) + 5000) / 10000);
+};
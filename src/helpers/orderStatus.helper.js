@@ -0,0 +1,189 @@
+/**
+ * Order status helper is the single place where the lifecycle of an order is defined and
+ * enforced, statuses are stored as integers in the orders.status column
+ *
+ * - ORDER_STATUS - status name to stored value map
+ * - getStatusLabel - get the readable label of a stored status
+ * - getStatusValue - get the stored value of a readable status label
+ * - canTransition - check if an order may move from one status to another
+ * - recordOrderCreated - record the first entry of the timeline of a new order
+ * - transitionOrder - move an order to a new status and record the transition
+ * - formatTimeline - shape the recorded transitions of an order for the response
+ * - formatOrder - shape an order for the response
+ * - formatOrderItem - shape an order line for the response
+ */
+import { OrderHistory } from '../database/models';
+import { fromCents, toCents } from './money.helper';
+
+export const ORDER_STATUS = {
+  PENDING: 0,
+  PAID: 1,
+  PROCESSING: 2,
+  SHIPPED: 3,
+  DELIVERED: 4,
+  CANCELLED: 5,
+  REFUNDED: 6,
+};
+
+const STATUS_LABELS = {
+  [ORDER_STATUS.PENDING]: 'pending',
+  [ORDER_STATUS.PAID]: 'paid',
+  [ORDER_STATUS.PROCESSING]: 'processing',
+  [ORDER_STATUS.SHIPPED]: 'shipped',
+  [ORDER_STATUS.DELIVERED]: 'delivered',
+  [ORDER_STATUS.CANCELLED]: 'cancelled',
+  [ORDER_STATUS.REFUNDED]: 'refunded',
+};
+
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUNDED],
+  // a paid order that is cancelled is refunded afterwards
+  [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+/**
+ * get the readable label of a stored status
+ *
+ * @param {number} status value of orders.status
+ * @returns {string} status label, 'unknown' for values outside the lifecycle
+ */
+export const getStatusLabel = status => STATUS_LABELS[status] || 'unknown';
+
+/**
+ * get the stored value of a readable status label
+ *
+ * @param {string} label status label e.g. shipped
+ * @returns {number|undefined} value of orders.status, undefined for unknown labels
+ */
+export const getStatusValue = label =>
+  Object.values(ORDER_STATUS).find(status => STATUS_LABELS[status] === label);
+
+/**
+ * check if an order may move from one status to another
+ *
+ * @param {number} from current status
+ * @param {number} to next status
+ * @returns {boolean} true when the transition is allowed
+ */
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * record the first entry of the timeline of a new order
+ *
+ * @param {object} order newly created order model instance
+ * @param {object} options actor who created the order and an optional transaction
+ * @returns {Promise} resolves with the recorded history entry
+ */
+export const recordOrderCreated = (order, { actor, transaction } = {}) =>
+  OrderHistory.create(
+    {
+      order_id: order.order_id,
+      from_status: null,
+      to_status: order.status,
+      actor,
+      reason: 'Order created',
+    },
+    { transaction }
+  );
+
+/**
+ * move an order to a new status and record the transition in the order history,
+ * shipped_on is set when the order is shipped
+ *
+ * @param {object} order order model instance
+ * @param {number} to next status
+ * @param {object} options actor and reason of the transition, extra order fields to update
+ * and an optional transaction
+ * @returns {Promise} resolves with the updated order, rejects with a 409 error when the
+ * transition is not allowed
+ */
+export const transitionOrder = async (order, to, options = {}) => {
+  const { actor, reason, changes = {}, transaction } = options;
+  const from = order.status;
+
+  if (!canTransition(from, to)) {
+    const error = new Error(
+      `Order with id ${order.order_id} can not go from ${getStatusLabel(from)} to ${getStatusLabel(
+        to
+      )}`
+    );
+    error.status = 409;
+    throw error;
+  }
+
+  const fields = { ...changes, status: to };
+  if (to === ORDER_STATUS.SHIPPED) {
+    fields.shipped_on = new Date();
+  }
+
+  await order.update(fields, { transaction });
+  await OrderHistory.create(
+    {
+      order_id: order.order_id,
+      from_status: from,
+      to_status: to,
+      actor,
+      reason,
+    },
+    { transaction }
+  );
+
+  return order;
+};
+
+/**
+ * shape the recorded transitions of an order for the response
+ *
+ * @param {array} history order history model instances
+ * @returns {array} timeline entries with readable statuses, oldest first
+ */
+export const formatTimeline = history =>
+  [...history]
+    .sort(
+      (a, b) =>
+        new Date(a.created_on) - new Date(b.created_on) || a.order_history_id - b.order_history_id
+    )
+    .map(entry => ({
+      from_status: entry.from_status === null ? null : getStatusLabel(entry.from_status),
+      status: getStatusLabel(entry.to_status),
+      actor: entry.actor,
+      reason: entry.reason,
+      created_on: entry.created_on,
+    }));
+
+/**
+ * shape an order for the response
+ *
+ * @param {object} order order model instance
+ * @returns {object} order data with its readable status
+ */
+export const formatOrder = order => ({
+  ...order.get({ plain: true }),
+  status_label: getStatusLabel(order.status),
+});
+
+/**
+ * shape an order line for the response
+ *
+ * @param {object} item order detail model instance
+ * @returns {object} order line with its subtotal
+ */
+export const formatOrderItem = item => ({
+  item_id: item.item_id,
+  order_id: item.order_id,
+  product_id: item.product_id,
+  product_variant_id: item.product_variant_id,
+  sku: item.sku,
+  attributes: item.attributes,
+  product_name: item.product_name,
+  quantity: item.quantity,
+  unit_cost: item.unit_cost,
+  subtotal: fromCents(toCents(item.unit_cost) * item.quantity),
+  cancelled_quantity: item.cancelled_quantity,
+  refunded_amount: item.refunded_amount,
+});
@@ -0,0 +1,49 @@
+/**
+ * Permissions helper defines the roles a customer account can have and what each role is
+ * allowed to do, the role is stored in the customer.role column
+ *
+ * - ROLES - role name to stored value map
+ * - PERMISSIONS - permissions checked by the authorize middleware
+ * - isValidRole - check if a value is a known role
+ * - hasPermission - check if a role grants a permission
+ */
+
+export const ROLES = {
+  ADMIN: 'admin',
+  CATALOG_MANAGER: 'catalog_manager',
+  SUPPORT: 'support',
+  CUSTOMER: 'customer',
+};
+
+export const PERMISSIONS = {
+  MANAGE_CATALOG: 'catalog:manage',
+  MANAGE_ORDERS: 'orders:manage',
+  MANAGE_SETTINGS: 'settings:manage',
+  MANAGE_ROLES: 'roles:manage',
+  MODERATE_REVIEWS: 'reviews:moderate',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.CATALOG_MANAGER]: [PERMISSIONS.MANAGE_CATALOG, PERMISSIONS.MODERATE_REVIEWS],
+  [ROLES.SUPPORT]: [PERMISSIONS.MANAGE_ORDERS, PERMISSIONS.MODERATE_REVIEWS],
+  [ROLES.CUSTOMER]: [],
+};
+
+/**
+ * check if a value is a known role
+ *
+ * @param {string} role role to check
+ * @returns {boolean} true when the role exists
+ */
+export const isValidRole = role => Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+
+/**
+ * check if a role grants a permission
+ *
+ * @param {string} role role of the customer
+ * @param {string} permission permission required
+ * @returns {boolean} true when the role grants the permission
+ */
+export const hasPermission = (role, permission) =>
+  isValidRole(role) && ROLE_PERMISSIONS[role].includes(permission);
@@ -0,0 +1,397 @@
+/**
+ * Product query helper builds the sql used to filter, sort and search products and to count the
+ * facets of the matching products. Conditions are built as escaped sql so that they can be used both in
+ * sequelize queries, where the product table is aliased Product, and in raw facet queries.
+ *
+ * Searching uses the mysql full-text index on name and description. Databases without the
+ * index, like the test database, use LIKE conditions instead, see PRODUCT_SEARCH_MODE.
+ *
+ * - PRICE_BANDS - price ranges counted by the price facet
+ * - PRODUCT_FILTER_KEYS - query parameters read by parseProductFilters
+ * - PRODUCT_SORTS - fields products can be sorted by
+ * - getAttributeFilterKeys - query parameters that are not reserved and filter on attributes
+ * - parseProductFilters - validate the filter and sort query parameters of a product listing
+ * - buildFilterConditions - sql conditions matching products with the parsed filters
+ * - buildProductOrder - sequelize order of a product listing
+ * - parseSearchTerms - split a query string into search terms
+ * - effectivePriceSql - sql of the price a product sells at
+ * - reviewSummaryAttributes - sequelize attributes of the average rating and review count
+ * - buildSearchCondition - sql condition matching products with the search terms
+ * - buildRelevance - sql of the relevance of a product for the search terms
+ * - getProductFacets - count the matching products per department, category, price band and
+ *   attribute value
+ */
+import { sequelize } from '../database/models';
+
+const SEARCH_MODE =
+  process.env.PRODUCT_SEARCH_MODE || (process.env.NODE_ENV === 'test' ? 'like' : 'fulltext');
+
+// innodb does not index words shorter than innodb_ft_min_token_size, 3 by default
+const FULLTEXT_MIN_TERM_LENGTH = 3;
+
+export const PRICE_BANDS = [
+  { min: 0, max: 10 },
+  { min: 10, max: 25 },
+  { min: 25, max: 50 },
+  { min: 50, max: 100 },
+  { min: 100, max: null },
+];
+
+export const PRODUCT_FILTER_KEYS = [
+  'department_id',
+  'category_id',
+  'min_price',
+  'max_price',
+  'on_sale',
+  'display',
+  'sort_by',
+  'order',
+];
+
+export const PRODUCT_SORTS = ['price', 'name', 'newest'];
+
+const AMOUNT_PATTERN = /^\d{1,8}(\.\d{1,2})?$/;
+
+// built at runtime because babel compiles unicode property escapes in regex literals wrongly
+const TERM_SEPARATOR = new RegExp('[^\\p{L}\\p{N}]+', 'u');
+
+/**
+ * get the query parameters that are neither reserved nor known filters, those named after an
+ * attribute filter products on attribute values e.g. color=Red
+ *
+ * @param {object} query express request query
+ * @param {array} reservedKeys other query parameters of the endpoint e.g. page
+ * @returns {array} query parameter names
+ */
+export const getAttributeFilterKeys = (query, reservedKeys) =>
+  Object.keys(query).filter(
+    key => !reservedKeys.includes(key) && !PRODUCT_FILTER_KEYS.includes(key)
+  );
+
+/**
+ * split a comma separated query parameter into values, repeated parameters are merged
+ *
+ * @param {string|array} value query parameter
+ * @returns {array} trimmed non empty values
+ */
+const toValues = value =>
+  []
+    .concat(value)
+    .join(',')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+/**
+ * validate the filter and sort query parameters of a product listing. Attribute filters are
+ * the parameters named after an attribute, matched without case, with one or more comma
+ * separated values e.g. color=Red,Blue&size=XL. Parameters that name no attribute are ignored.
+ *
+ * @param {object} query express request query
+ * @param {object} options attributes that can be filtered on and reservedKeys, the other
+ * query parameters of the endpoint
+ * @returns {object} filters, or error with the message and field of the first invalid parameter
+ */
+export const parseProductFilters = (query, { attributes = [], reservedKeys = [] } = {}) => {
+  const invalid = (field, message) => ({ error: { field, message } });
+  const filters = { attributes: [] };
+
+  const integerKeys = ['department_id', 'category_id'];
+  const invalidInteger = integerKeys.find(
+    key => query[key] !== undefined && !/^\d+$/.test(query[key])
+  );
+  if (invalidInteger) {
+    return invalid(invalidInteger, `The ${invalidInteger} should be an integer.`);
+  }
+  filters.departmentId = query.department_id && Number(query.department_id);
+  filters.categoryId = query.category_id && Number(query.category_id);
+
+  const invalidAmount = ['min_price', 'max_price'].find(
+    key => query[key] !== undefined && !AMOUNT_PATTERN.test(query[key])
+  );
+  if (invalidAmount) {
+    return invalid(invalidAmount, `The ${invalidAmount} should be a valid amount.`);
+  }
+  filters.minPrice = query.min_price;
+  filters.maxPrice = query.max_price;
+  if (filters.minPrice && filters.maxPrice && Number(filters.minPrice) > Number(filters.maxPrice)) {
+    return invalid('min_price', 'The min_price should not be greater than the max_price.');
+  }
+
+  if (query.on_sale !== undefined && !['true', 'false'].includes(query.on_sale)) {
+    return invalid('on_sale', 'The on_sale should be true or false.');
+  }
+  filters.onSale = query.on_sale === 'true';
+
+  if (query.display !== undefined) {
+    filters.display = toValues(query.display);
+    if (!filters.display.length || filters.display.some(value => !/^[0-3]$/.test(value))) {
+      return invalid('display', 'The display should be a list of integers between 0 and 3.');
+    }
+  }
+
+  if (query.sort_by !== undefined && !PRODUCT_SORTS.includes(query.sort_by)) {
+    return invalid('sort_by', `The sort_by should be one of ${PRODUCT_SORTS.join(', ')}.`);
+  }
+  if (query.order !== undefined && !['asc', 'desc'].includes(String(query.order).toLowerCase())) {
+    return invalid('order', 'The order should be asc or desc.');
+  }
+  filters.sortBy = query.sort_by;
+  filters.order = query.order && String(query.order).toUpperCase();
+
+  const findAttribute = key =>
+    attributes.find(attribute => attribute.name.toLowerCase() === key.toLowerCase());
+  // other parameters, e.g. cache busters or utm_source, are not filters and are ignored
+  const attributeKeys = getAttributeFilterKeys(query, reservedKeys).filter(findAttribute);
+  const emptyKey = attributeKeys.find(key => !toValues(query[key]).length);
+  if (emptyKey) {
+    return invalid(emptyKey, `The ${emptyKey} should have at least one value.`);
+  }
+  filters.attributes = attributeKeys.map(key => ({
+    attributeId: findAttribute(key).attribute_id,
+    values: toValues(query[key]),
+  }));
+
+  return { filters };
+};
+
+/**
+ * split a query string into search terms, characters other than letters and digits
+ * separate terms so that they can not be read as full-text operators
+ *
+ * @param {string} queryString query string from the request
+ * @returns {array} unique lower case terms
+ */
+export const parseSearchTerms = queryString => [
+  ...new Set(
+    String(queryString || '')
+      .toLowerCase()
+      .split(TERM_SEPARATOR)
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * sql of the price a product sells at, its discounted price when it has one
+ *
+ * @param {string} alias alias of the product table
+ * @returns {string} sql expression
+ */
+export const effectivePriceSql = alias =>
+  `IF(${alias}.discounted_price > 0, ${alias}.discounted_price, ${alias}.price)`;
+
+/**
+ * sequelize attributes of the average rating and the number of reviews of a product, hidden
+ * reviews are left out. The average is null for a product without reviews.
+ *
+ * @param {string} alias alias of the product table
+ * @returns {array} average_rating and review_count attributes
+ */
+export const reviewSummaryAttributes = alias => {
+  const visibleReviews = `FROM review r WHERE r.product_id = ${alias}.product_id AND r.hidden = 0`;
+  return [
+    [sequelize.literal(`(SELECT ROUND(AVG(r.rating), 1) ${visibleReviews})`), 'average_rating'],
+    [sequelize.literal(`(SELECT COUNT(*) ${visibleReviews})`), 'review_count'],
+  ];
+};
+
+/**
+ * split the terms between the full-text index and LIKE conditions
+ *
+ * @param {array} terms search terms
+ * @returns {object} fullTextTerms and likeTerms
+ */
+const splitTerms = terms => ({
+  fullTextTerms:
+    SEARCH_MODE === 'fulltext' ? terms.filter(term => term.length >= FULLTEXT_MIN_TERM_LENGTH) : [],
+  likeTerms:
+    SEARCH_MODE === 'fulltext'
+      ? terms.filter(term => term.length < FULLTEXT_MIN_TERM_LENGTH)
+      : terms,
+});
+
+/**
+ * sql of a full-text match in boolean mode, terms match as prefixes
+ *
+ * @param {array} terms search terms long enough to be indexed
+ * @param {boolean} allWords true when every term is required
+ * @param {string} alias alias of the product table
+ * @returns {string} sql expression
+ */
+const matchSql = (terms, allWords, alias) =>
+  `MATCH(${alias}.name, ${alias}.description) AGAINST (${sequelize.escape(
+    terms.map(term => `${allWords ? '+' : ''}${term}*`).join(' ')
+  )} IN BOOLEAN MODE)`;
+
+/**
+ * sql checking that a term appears in the name or the description of a product
+ *
+ * @param {string} term search term
+ * @param {string} alias alias of the product table
+ * @returns {string} sql condition
+ */
+const likeSql = (term, alias) => {
+  const pattern = sequelize.escape(`%${term}%`);
+  return `(${alias}.name LIKE ${pattern} OR ${alias}.description LIKE ${pattern})`;
+};
+
+/**
+ * sql condition matching products with the search terms in their name or description
+ *
+ * @param {array} terms search terms
+ * @param {object} options allWords when every term must appear, alias of the product table
+ * @returns {string} sql condition
+ */
+export const buildSearchCondition = (terms, { allWords = false, alias = 'Product' } = {}) => {
+  const { fullTextTerms, likeTerms } = splitTerms(terms);
+  const conditions = likeTerms.map(term => likeSql(term, alias));
+  if (fullTextTerms.length) {
+    conditions.unshift(matchSql(fullTextTerms, allWords, alias));
+  }
+  return `(${conditions.join(allWords ? ' AND ' : ' OR ')})`;
+};
+
+/**
+ * sql of the relevance of a product for the search terms, the full-text score plus a point
+ * for each LIKE term found in the name and in the description, name matches count double
+ *
+ * @param {array} terms search terms
+ * @param {string} alias alias of the product table
+ * @returns {string} sql expression
+ */
+export const buildRelevance = (terms, alias = 'Product') => {
+  const { fullTextTerms, likeTerms } = splitTerms(terms);
+  const scores = likeTerms.map(term => {
+    const pattern = sequelize.escape(`%${term}%`);
+    return `(${alias}.name LIKE ${pattern}) * 2 + (${alias}.description LIKE ${pattern})`;
+  });
+  if (fullTextTerms.length) {
+    scores.unshift(matchSql(fullTextTerms, false, alias));
+  }
+  return scores.join(' + ');
+};
+
+/**
+ * count the products matching a condition per department, category, price band and attribute
+ * value. Each facet is counted with a single grouped query.
+ *
+ * @param {string} condition sql condition on the product table aliased p
+ * @returns {Promise} resolves with the facets
+ */
+export const getProductFacets = async condition => {
+  const select = sql => sequelize.query(sql, { type: sequelize.QueryTypes.SELECT });
+  const price = effectivePriceSql('p');
+
+  const [departments, categories, [bands], attributes] = await Promise.all([
+    select(`SELECT d.department_id, d.name, COUNT(DISTINCT p.product_id) AS count
+      FROM product p
+      INNER JOIN product_category pc ON pc.product_id = p.product_id
+      INNER JOIN category c ON c.category_id = pc.category_id
+      INNER JOIN department d ON d.department_id = c.department_id
+      WHERE ${condition}
+      GROUP BY d.department_id, d.name
+      ORDER BY d.name`),
+    select(`SELECT c.category_id, c.department_id, c.name, COUNT(DISTINCT p.product_id) AS count
+      FROM product p
+      INNER JOIN product_category pc ON pc.product_id = p.product_id
+      INNER JOIN category c ON c.category_id = pc.category_id
+      WHERE ${condition}
+      GROUP BY c.category_id, c.department_id, c.name
+      ORDER BY c.name`),
+    select(`SELECT ${PRICE_BANDS.map(
+      ({ min, max }, index) =>
+        `SUM(${price} >= ${min}${max === null ? '' : ` AND ${price} < ${max}`}) AS band_${index}`
+    ).join(', ')}
+      FROM product p
+      WHERE ${condition}`),
+    select(`SELECT a.attribute_id, a.name AS attribute_name, av.attribute_value_id,
+        av.value AS attribute_value, COUNT(DISTINCT p.product_id) AS count
+      FROM product p
+      INNER JOIN product_attribute pa ON pa.product_id = p.product_id
+      INNER JOIN attribute_value av ON av.attribute_value_id = pa.attribute_value_id
+      INNER JOIN attribute a ON a.attribute_id = av.attribute_id
+      WHERE ${condition}
+      GROUP BY a.attribute_id, a.name, av.attribute_value_id, av.value
+      ORDER BY a.name, av.attribute_value_id`),
+  ]);
+
+  const toCount = value => Number(value) || 0;
+  return {
+    departments: departments.map(row => ({ ...row, count: toCount(row.count) })),
+    categories: categories.map(row => ({ ...row, count: toCount(row.count) })),
+    price_bands: PRICE_BANDS.map((band, index) => ({
+      ...band,
+      count: toCount(bands && bands[`band_${index}`]),
+    })),
+    attributes: attributes.map(row => ({ ...row, count: toCount(row.count) })),
+  };
+};
+
+/**
+ * sql conditions matching products with the parsed filters, categories, departments and
+ * attribute values are checked with correlated subqueries so that products are not repeated
+ *
+ * @param {object} filters filters returned by parseProductFilters
+ * @param {string} alias alias of the product table
+ * @returns {array} sql conditions
+ */
+export const buildFilterConditions = (filters, alias = 'Product') => {
+  const conditions = [];
+  const price = effectivePriceSql(alias);
+
+  if (filters.departmentId) {
+    conditions.push(`EXISTS (SELECT 1 FROM product_category pc
+      INNER JOIN category c ON c.category_id = pc.category_id
+      WHERE pc.product_id = ${alias}.product_id
+      AND c.department_id = ${sequelize.escape(filters.departmentId)})`);
+  }
+  if (filters.categoryId) {
+    conditions.push(`EXISTS (SELECT 1 FROM product_category pc
+      WHERE pc.product_id = ${alias}.product_id
+      AND pc.category_id = ${sequelize.escape(filters.categoryId)})`);
+  }
+  if (filters.minPrice) {
+    conditions.push(`${price} >= ${sequelize.escape(filters.minPrice)}`);
+  }
+  if (filters.maxPrice) {
+    conditions.push(`${price} <= ${sequelize.escape(filters.maxPrice)}`);
+  }
+  if (filters.onSale) {
+    conditions.push(`${alias}.discounted_price > 0`);
+  }
+  if (filters.display) {
+    conditions.push(`${alias}.display IN (${filters.display.map(Number).join(', ')})`);
+  }
+  filters.attributes.forEach(({ attributeId, values }) => {
+    conditions.push(`EXISTS (SELECT 1 FROM product_attribute pa
+      INNER JOIN attribute_value av ON av.attribute_value_id = pa.attribute_value_id
+      WHERE pa.product_id = ${alias}.product_id
+      AND av.attribute_id = ${sequelize.escape(attributeId)}
+      AND av.value IN (${values.map(value => sequelize.escape(value)).join(', ')}))`);
+  });
+
+  return conditions;
+};
+
+/**
+ * sequelize order of a product listing, ties are broken on the product id so that pages are
+ * stable. Price and name sort ascending and newest descending unless order is given.
+ *
+ * @param {object} filters filters returned by parseProductFilters
+ * @returns {array} sequelize order
+ */
+export const buildProductOrder = ({ sortBy, order }) => {
+  switch (sortBy) {
+    case 'price':
+      return [
+        [sequelize.literal(effectivePriceSql('Product')), order || 'ASC'],
+        ['product_id', 'ASC'],
+      ];
+    case 'name':
+      return [['name', order || 'ASC'], ['product_id', 'ASC']];
+    case 'newest':
+      return [['product_id', order || 'DESC']];
+    default:
+      return [['product_id', 'ASC']];
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * Token helper contains the functions used to issue and verify customer tokens
+ *
+ * - generateAccessToken - sign a jwt access token for a customer
+ * - verifyAccessToken - decode and verify a jwt access token
+ * - generateOpaqueToken - generate a random token that is handed out to customers
+ * - hashToken - hash an opaque token before it is persisted or looked up
+ * - issueRefreshToken - create and persist a refresh token for a customer
+ * - formatAuthPayload - shape the response body for a customer and an issued refresh token
+ * - buildAuthPayload - issue a refresh token and build the response body returned after a
+ *   customer authenticates
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { RefreshToken } from '../database/models';
+
+export const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * sign an access token for a customer
+ *
+ * @param {object} customer customer model instance or plain object with customer_id and email
+ * @returns {string} signed jwt
+ */
+export const generateAccessToken = ({ customer_id: customerId, email }) =>
+  jwt.sign({ customer_id: customerId, email }, process.env.JWT_KEY, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+
+/**
+ * verify an access token, throws the jsonwebtoken errors when the token is invalid or expired
+ *
+ * @param {string} token jwt to verify
+ * @returns {object} decoded token payload
+ */
+export const verifyAccessToken = token => jwt.verify(token, process.env.JWT_KEY);
+
+/**
+ * generate a random opaque token
+ *
+ * @param {number} bytes number of random bytes
+ * @returns {string} hex encoded token
+ */
+export const generateOpaqueToken = (bytes = 48) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * hash an opaque token, only hashes are ever stored in the database
+ *
+ * @param {string} token raw token
+ * @returns {string} hex encoded sha256 digest
+ */
+export const hashToken = token =>
+  crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+/**
+ * create a refresh token for a customer and persist its hash
+ *
+ * @param {number} customerId id of the customer who owns the token
+ * @param {object} options familyId of the token being rotated and an optional transaction
+ * @returns {object} the raw token and its persisted record
+ */
+export const issueRefreshToken = async (customerId, { familyId, transaction } = {}) => {
+  const token = generateOpaqueToken();
+  const expiresOn = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const record = await RefreshToken.create(
+    {
+      customer_id: customerId,
+      token_hash: hashToken(token),
+      family_id: familyId || generateOpaqueToken(16),
+      expires_on: expiresOn,
+    },
+    { transaction }
+  );
+
+  return { token, record };
+};
+
+/**
+ * shape the response body sent to a customer after authentication
+ *
+ * @param {object} customer customer model instance
+ * @param {string} refreshToken raw refresh token issued to the customer
+ * @returns {object} customer data without the password, bearer access token, refresh token
+ * and their lifetimes
+ */
+export const formatAuthPayload = (customer, refreshToken) => ({
+  customer: customer.getSafeDataValues(),
+  accessToken: `Bearer ${generateAccessToken(customer)}`,
+  expires_in: ACCESS_TOKEN_EXPIRES_IN,
+  refreshToken,
+  refresh_expires_in: `${REFRESH_TOKEN_TTL_DAYS}d`,
+});
+
+/**
+ * issue a refresh token in a new family and build the response body sent to a customer
+ * after authentication
+ *
+ * @param {object} customer customer model instance
+ * @returns {object} see formatAuthPayload
+ */
+export const buildAuthPayload = async customer => {
+  const { token } = await issueRefreshToken(customer.customer_id);
+  return formatAuthPayload(customer, token);
+};
@@ -0,0 +1,136 @@
+/**
+ * Variant helper works with product variants: the SKUs of a product, each defined by a
+ * combination of the product's attribute values (e.g. a size and a colour). A variant can
+ * override the product prices and image, its stock is the product_stock row of its combination.
+ *
+ * Cart and order lines created before variants only have an attributes string e.g. 'XL, Red',
+ * such a string is matched to the variant of the same combination when there is one.
+ *
+ * - toAttributeKey - get the key of a combination of attribute value ids
+ * - getAttributesKey - get the key of the attribute values named in an attributes string
+ * - findVariantByAttributes - find the variant of the combination named in an attributes string
+ * - getVariantPrices - get the prices a product or one of its variants is sold at
+ * - formatVariants - shape variants with their attribute values for the response
+ * - describeVariant - get the attributes string of a formatted variant
+ */
+import { Attribute, AttributeValue, Product, ProductVariant, Sequelize } from '../database/models';
+
+const { Op } = Sequelize;
+
+/**
+ * get the key of a combination of attribute value ids, as stored in attribute_value_ids
+ *
+ * @param {array} ids attribute value ids
+ * @returns {string} sorted, comma separated ids e.g. '3,9'
+ */
+export const toAttributeKey = ids => [...new Set(ids.map(Number))].sort((a, b) => a - b).join(',');
+
+/**
+ * get the key of the product's attribute values named in an attributes string, names that are
+ * not attribute values of the product are ignored
+ *
+ * @param {number} productId product id
+ * @param {string} attributes attributes string of a cart or order line e.g. 'XL, Red'
+ * @param {object} transaction optional sequelize transaction
+ * @returns {Promise} resolves with the key e.g. '3,9', empty when no value is named
+ */
+export const getAttributesKey = async (productId, attributes, transaction) => {
+  const names = String(attributes || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  if (!names.length) {
+    return '';
+  }
+
+  const values = await AttributeValue.findAll({
+    attributes: ['attribute_value_id', 'value'],
+    include: [{ model: Product, where: { product_id: productId }, attributes: [] }],
+    transaction,
+  });
+
+  return toAttributeKey(
+    values
+      .filter(({ value }) => names.includes(value.toLowerCase()))
+      .map(({ attribute_value_id: id }) => id)
+  );
+};
+
+/**
+ * find the variant of the combination named in an attributes string
+ *
+ * @param {number} productId product id
+ * @param {string} attributes attributes string of a cart or order line
+ * @param {object} transaction optional sequelize transaction
+ * @returns {Promise} resolves with the product variant model instance or null
+ */
+export const findVariantByAttributes = async (productId, attributes, transaction) => {
+  const key = await getAttributesKey(productId, attributes, transaction);
+  return key
+    ? ProductVariant.findOne({
+        where: { product_id: productId, attribute_value_ids: key },
+        transaction,
+      })
+    : null;
+};
+
+/**
+ * get the prices a product or one of its variants is sold at, the product prices apply to a
+ * variant without a price of its own
+ *
+ * @param {object} product product model instance
+ * @param {object} variant optional product variant model instance
+ * @returns {object} price and discounted_price
+ */
+export const getVariantPrices = (product, variant) =>
+  variant && variant.price !== null && variant.price !== undefined
+    ? { price: variant.price, discounted_price: variant.discounted_price || '0.00' }
+    : { price: product.price, discounted_price: product.discounted_price };
+
+/**
+ * shape variants with their attribute values for the response
+ *
+ * @param {array} variants product variant model instances
+ * @param {object} transaction optional sequelize transaction
+ * @returns {Promise} resolves with the formatted variants
+ */
+export const formatVariants = async (variants, transaction) => {
+  const ids = toAttributeKey(
+    variants.reduce((all, variant) => [...all, ...variant.attribute_value_ids.split(',')], [])
+  );
+  const values = ids
+    ? await AttributeValue.findAll({
+        where: { attribute_value_id: { [Op.in]: ids.split(',') } },
+        include: [{ model: Attribute, as: 'attribute_type', attributes: ['name'] }],
+        transaction,
+      })
+    : [];
+
+  return variants.map(variant => ({
+    product_variant_id: variant.product_variant_id,
+    product_id: variant.product_id,
+    sku: variant.sku,
+    price: variant.price,
+    discounted_price: variant.discounted_price,
+    image: variant.image,
+    attributes: variant.attribute_value_ids
+      .split(',')
+      .map(id => values.find(value => value.attribute_value_id === Number(id)))
+      .filter(Boolean)
+      .map(value => ({
+        attribute_name: value.attribute_type.name,
+        attribute_value_id: value.attribute_value_id,
+        attribute_value: value.value,
+      })),
+  }));
+};
+
+/**
+ * get the attributes string of a formatted variant, it is stored on the cart and order lines
+ * of the variant so that they read like lines created before variants
+ *
+ * @param {object} variant formatted variant
+ * @returns {string} attribute values separated by commas e.g. 'XL, Red'
+ */
+export const describeVariant = variant =>
+  variant.attributes.map(attribute => attribute.attribute_value).join(', ');
@@ -27,6 +27,13 @@ app.use(helmet());
 
 app.use(morgan('dev'));
 
+// stripe signs the raw payload of webhook requests, keep it unparsed for signature verification
+app.use('/stripe/webhooks', bodyParser.raw({ type: '*/*' }));
+app.use(
+  '/admin/catalog/import',
+  bodyParser.text({ type: 'text/csv', limit: '10mb' }),
+  bodyParser.json({ limit: '10mb' })
+);
 app.use(
   bodyParser.urlencoded({
     limit: '50mb',
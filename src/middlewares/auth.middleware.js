@@ -0,0 +1,55 @@
+import { TokenExpiredError } from 'jsonwebtoken';
+import { verifyAccessToken } from '../helpers/token.helper';
+
+/**
+ * send a 401 response in the shape used by every authentication failure
+ *
+ * @param {object} res express response object
+ * @param {string} code error code
+ * @param {string} message error message
+ * @returns {json} json object with the authentication error
+ */
+const unauthorized = (res, code, message) =>
+  res.status(401).json({
+    error: {
+      status: 401,
+      code,
+      message,
+      field: 'USER-KEY',
+    },
+  });
+
+/**
+ * verify the bearer token sent in the USER-KEY header and attach the customer_id
+ * of its owner to the request
+ *
+ * @param {object} req express request object
+ * @param {object} res express response object
+ * @param {function} next next middleware
+ * @returns {json|undefined} 401 json response when the token is missing or invalid
+ */
+const authenticate = (req, res, next) => {
+  const header = req.get('USER-KEY');
+
+  if (!header) {
+    return unauthorized(res, 'AUT_01', 'Authorization code is empty.');
+  }
+
+  const [scheme, token] = header.trim().split(/\s+/);
+  if (scheme !== 'Bearer' || !token) {
+    return unauthorized(res, 'AUT_02', 'Access Unauthorized.');
+  }
+
+  try {
+    const { customer_id: customerId } = verifyAccessToken(token);
+    req.customer_id = customerId;
+    return next();
+  } catch (error) {
+    if (error instanceof TokenExpiredError) {
+      return unauthorized(res, 'AUT_03', 'Access token has expired.');
+    }
+    return unauthorized(res, 'AUT_02', 'Access Unauthorized.');
+  }
+};
+
+export default authenticate;
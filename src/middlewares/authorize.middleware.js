@@ -0,0 +1,33 @@
+import { Customer } from '../database/models';
+import { hasPermission } from '../helpers/permissions.helper';
+
+/**
+ * create a middleware that only lets through customers whose role grants a permission.
+ * Must run after the authenticate middleware, the role is read from the database so that
+ * role changes apply immediately.
+ *
+ * @param {string} permission one of PERMISSIONS
+ * @returns {function} express middleware responding with 403 when the permission is missing
+ */
+const authorize = permission => async (req, res, next) => {
+  try {
+    const customer = await Customer.findByPk(req.customer_id, { attributes: ['role'] });
+    if (!customer || !hasPermission(customer.role, permission)) {
+      return res.status(403).json({
+        error: {
+          status: 403,
+          code: 'AUT_07',
+          message: 'You are not allowed to access this resource.',
+          field: permission,
+        },
+      });
+    }
+
+    req.customer_role = customer.role;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export default authorize;
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import log from 'fancy-log';
+import { buildCacheKey, getCached, setCached } from '../services/cache';
+
+const DEFAULT_TTL = parseInt(process.env.CACHE_TTL_SECONDS, 10) || 300;
+
+/**
+ * get the url of a request with its query parameters sorted, so that the same query
+ * written in a different order uses the same cache entry
+ *
+ * @param {object} req express request object
+ * @returns {string} normalised url
+ */
+const getCacheUrl = req => {
+  const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+  params.sort();
+  const query = params.toString();
+  return `${req.baseUrl}${req.path}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * send a cached json body with its etag, express answers with 304 Not Modified when the
+ * If-None-Match header of the request matches the etag
+ *
+ * @param {object} res express response object
+ * @param {object} entry etag and body of the response
+ * @param {string} status HIT or MISS
+ * @returns {object} express response
+ */
+const sendEntry = (res, { etag, body }, status) => {
+  res.set({ ETag: etag, 'Cache-Control': 'no-cache', 'X-Cache': status });
+  res.type('json');
+  return res.send(body);
+};
+
+/**
+ * create a middleware that caches the successful json responses of GET requests. Entries are
+ * keyed on the route and query, expire after ttl seconds and are invalidated with their tags.
+ * Cache failures are logged and the request is handled as if it was not cached.
+ *
+ * @param {object} options tags of the cached data and ttl in seconds
+ * @returns {function} express middleware
+ */
+const cacheResponse = ({ tags, ttl = DEFAULT_TTL }) => async (req, res, next) => {
+  if (req.method !== 'GET') {
+    return next();
+  }
+
+  let key;
+  try {
+    key = await buildCacheKey(tags, getCacheUrl(req));
+    const entry = await getCached(key);
+    if (entry) {
+      return sendEntry(res, entry, 'HIT');
+    }
+  } catch (error) {
+    log.warn(`Cache read failed: ${error.message}`);
+    return next();
+  }
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode !== 200) {
+      return json(body);
+    }
+
+    const payload = JSON.stringify(body);
+    const entry = {
+      etag: `"${crypto
+        .createHash('sha1')
+        .update(payload)
+        .digest('base64')}"`,
+      body: payload,
+    };
+    setCached(key, entry, ttl).catch(error => log.warn(`Cache write failed: ${error.message}`));
+    return sendEntry(res, entry, 'MISS');
+  };
+  return next();
+};
+
+export default cacheResponse;
@@ -1,11 +1,22 @@
 import { Router } from 'express';
 import AttributeController from '../../controllers/attributes.controller';
+import cacheResponse from '../../middlewares/cache.middleware';
+import { CACHE_TAGS } from '../../services/cache';
 
 const router = Router();
+const cacheAttributes = cacheResponse({ tags: [CACHE_TAGS.CATALOG], ttl: 3600 });
 
-router.get('/attributes', AttributeController.getAllAttributes);
-router.get('/attributes/:attribute_id', AttributeController.getSingleAttribute);
-router.get('/attributes/values/:attribute_id', AttributeController.getAttributeValues);
-router.get('/attributes/inProduct/:product_id', AttributeController.getProductAttributes);
+router.get('/attributes', cacheAttributes, AttributeController.getAllAttributes);
+router.get('/attributes/:attribute_id', cacheAttributes, AttributeController.getSingleAttribute);
+router.get(
+  '/attributes/values/:attribute_id',
+  cacheAttributes,
+  AttributeController.getAttributeValues
+);
+router.get(
+  '/attributes/inProduct/:product_id',
+  cacheAttributes,
+  AttributeController.getProductAttributes
+);
 
 export default router;
@@ -0,0 +1,75 @@
+import { Router } from 'express';
+import CatalogAdminController from '../../controllers/catalogAdmin.controller';
+import authenticate from '../../middlewares/auth.middleware';
+import authorize from '../../middlewares/authorize.middleware';
+import { PERMISSIONS } from '../../helpers/permissions.helper';
+
+const router = Router();
+
+router.use(
+  [
+    '/admin/products',
+    '/admin/departments',
+    '/admin/categories',
+    '/admin/attributes',
+    '/admin/catalog',
+  ],
+  authenticate,
+  authorize(PERMISSIONS.MANAGE_CATALOG)
+);
+
+router.post('/admin/products', CatalogAdminController.createProduct);
+router.put('/admin/products/:product_id', CatalogAdminController.updateProduct);
+router.delete('/admin/products/:product_id', CatalogAdminController.deleteProduct);
+router.post(
+  '/admin/products/:product_id/categories',
+  CatalogAdminController.assignProductCategories
+);
+router.delete(
+  '/admin/products/:product_id/categories/:category_id',
+  CatalogAdminController.removeProductCategory
+);
+router.post(
+  '/admin/products/:product_id/attributes',
+  CatalogAdminController.assignProductAttributes
+);
+router.delete(
+  '/admin/products/:product_id/attributes/:attribute_value_id',
+  CatalogAdminController.removeProductAttribute
+);
+router.put('/admin/products/:product_id/stock', CatalogAdminController.setProductStock);
+router.post('/admin/products/:product_id/variants', CatalogAdminController.createProductVariant);
+router.put(
+  '/admin/products/:product_id/variants/:product_variant_id',
+  CatalogAdminController.updateProductVariant
+);
+router.delete(
+  '/admin/products/:product_id/variants/:product_variant_id',
+  CatalogAdminController.deleteProductVariant
+);
+
+router.post('/admin/catalog/import', CatalogAdminController.importCatalog);
+router.get('/admin/catalog/export', CatalogAdminController.exportCatalog);
+
+router.post('/admin/departments', CatalogAdminController.createDepartment);
+router.put('/admin/departments/:department_id', CatalogAdminController.updateDepartment);
+router.delete('/admin/departments/:department_id', CatalogAdminController.deleteDepartment);
+
+router.post('/admin/categories', CatalogAdminController.createCategory);
+router.put('/admin/categories/:category_id', CatalogAdminController.updateCategory);
+router.delete('/admin/categories/:category_id', CatalogAdminController.deleteCategory);
+
+router.post('/admin/attributes', CatalogAdminController.createAttribute);
+router.put('/admin/attributes/:attribute_id', CatalogAdminController.updateAttribute);
+router.delete('/admin/attributes/:attribute_id', CatalogAdminController.deleteAttribute);
+router.post('/admin/attributes/:attribute_id/values', CatalogAdminController.createAttributeValue);
+router.put(
+  '/admin/attributes/values/:attribute_value_id',
+  CatalogAdminController.updateAttributeValue
+);
+router.delete(
+  '/admin/attributes/values/:attribute_value_id',
+  CatalogAdminController.deleteAttributeValue
+);
+
+export default router;
@@ -1,14 +1,28 @@
 import { Router } from 'express';
 import CustomerController from '../../controllers/customer.controller';
-
-// These are valid routes but they may contain a bug, please try to define and fix them
+import authenticate from '../../middlewares/auth.middleware';
+import authorize from '../../middlewares/authorize.middleware';
+import { PERMISSIONS } from '../../helpers/permissions.helper';
 
 const router = Router();
-router.post('/customers', CustomerController.updateCreditCard);
+router.post('/customers', CustomerController.create);
 router.post('/customers/login', CustomerController.login);
-router.get('/customer', CustomerController.getCustomerProfile);
-router.put('/customer', CustomerController.apply);
-router.put('/customer/address', CustomerController.updateCustomerAddress);
-router.put('/customer/creditCard', CustomerController.updateCreditCard);
+router.post('/customers/facebook', CustomerController.facebookLogin);
+router.post('/customers/social/:provider', CustomerController.socialLogin);
+router.post('/customers/token/refresh', CustomerController.refreshToken);
+router.post('/customers/logout', CustomerController.logout);
+router.post('/customers/password/forgot', CustomerController.forgotPassword);
+router.post('/customers/password/reset', CustomerController.resetPassword);
+router.get('/customer', authenticate, CustomerController.getCustomerProfile);
+router.put('/customer', authenticate, CustomerController.updateCustomerProfile);
+router.put('/customer/address', authenticate, CustomerController.updateCustomerAddress);
+router.put('/customer/creditCard', authenticate, CustomerController.updateCreditCard);
+router.post('/customer/social/:provider', authenticate, CustomerController.linkSocialIdentity);
+router.put(
+  '/admin/customers/:customer_id/role',
+  authenticate,
+  authorize(PERMISSIONS.MANAGE_ROLES),
+  CustomerController.updateCustomerRole
+);
 
 export default router;
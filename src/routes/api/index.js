@@ -6,6 +6,9 @@ import shoppingCartRoute from './shoppingCart.route';
 import shippingRoute from './shipping.route';
 import taxRoute from './tax.route';
 import attributeRoute from './attribute.route';
+import catalogAdminRoute from './catalogAdmin.route';
+import orderAdminRoute from './orderAdmin.route';
+import reviewRoute from './review.route';
 
 const routes = Router();
 
@@ -16,5 +19,8 @@ routes.use('/', shoppingCartRoute);
 routes.use('/', shippingRoute);
 routes.use('/', taxRoute);
 routes.use('/', attributeRoute);
+routes.use('/', catalogAdminRoute);
+routes.use('/', orderAdminRoute);
+routes.use('/', reviewRoute);
 
 export default routes;
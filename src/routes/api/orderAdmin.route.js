@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import OrderAdminController from '../../controllers/orderAdmin.controller';
+import authenticate from '../../middlewares/auth.middleware';
+import authorize from '../../middlewares/authorize.middleware';
+import { PERMISSIONS } from '../../helpers/permissions.helper';
+
+const router = Router();
+
+router.use('/admin/orders', authenticate, authorize(PERMISSIONS.MANAGE_ORDERS));
+
+router.get('/admin/orders', OrderAdminController.getOrders);
+router.get('/admin/orders/:order_id', OrderAdminController.getOrder);
+router.post('/admin/orders/:order_id/comments', OrderAdminController.addOrderComment);
+router.put('/admin/orders/:order_id/status', OrderAdminController.updateOrderStatus);
+router.post('/admin/orders/:order_id/shipment', OrderAdminController.shipOrder);
+
+export default router;
@@ -1,18 +1,42 @@
 import { Router } from 'express';
 import ProductController from '../../controllers/product.controller';
+import cacheResponse from '../../middlewares/cache.middleware';
+import { CACHE_TAGS } from '../../services/cache';
 
 // These are valid routes but they may contain a bug, please try to define and fix them
 
 const router = Router();
-router.get('/products', ProductController.getAllProducts);
-router.get('/products/search', ProductController.searchProduct);
-router.get('/products/:product_id', ProductController.getProduct);
-router.get('/products/inCategory/:category_id', ProductController.getProductsByCategory);
-router.get('/products/inDepartment/:department_id', ProductController.getProductsByDepartment);
-router.get('/departments', ProductController.getAllDepartments);
-router.get('/departments/:department_id', ProductController.getDepartment);
-router.get('/categories', ProductController.getAllCategories);
-router.get('/categories/:category_id', ProductController.getSingleCategory);
-router.get('/categories/inDepartment/:department_id', ProductController.getDepartmentCategories);
+const cacheProducts = cacheResponse({ tags: [CACHE_TAGS.CATALOG] });
+const cacheCatalogTree = cacheResponse({ tags: [CACHE_TAGS.CATALOG], ttl: 3600 });
+
+router.get('/products', cacheProducts, ProductController.getAllProducts);
+router.get('/products/search', cacheProducts, ProductController.searchProduct);
+router.get('/products/:product_id', cacheProducts, ProductController.getProduct);
+router.get('/products/:product_id/variants', cacheProducts, ProductController.getProductVariants);
+router.get(
+  '/products/inCategory/:category_id',
+  cacheProducts,
+  ProductController.getProductsByCategory
+);
+router.get(
+  '/products/inDepartment/:department_id',
+  cacheProducts,
+  ProductController.getProductsByDepartment
+);
+router.get('/departments', cacheCatalogTree, ProductController.getAllDepartments);
+router.get('/departments/tree', cacheCatalogTree, ProductController.getDepartmentTree);
+router.get('/departments/:department_id', cacheCatalogTree, ProductController.getDepartment);
+router.get('/categories', cacheCatalogTree, ProductController.getAllCategories);
+router.get('/categories/:category_id', cacheCatalogTree, ProductController.getSingleCategory);
+router.get(
+  '/categories/inDepartment/:department_id',
+  cacheCatalogTree,
+  ProductController.getDepartmentCategories
+);
+router.get(
+  '/categories/inProduct/:product_id',
+  cacheCatalogTree,
+  ProductController.getProductCategories
+);
 
 export default router;
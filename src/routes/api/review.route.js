@@ -0,0 +1,23 @@
+import { Router } from 'express';
+import ReviewController from '../../controllers/review.controller';
+import authenticate from '../../middlewares/auth.middleware';
+import authorize from '../../middlewares/authorize.middleware';
+import cacheResponse from '../../middlewares/cache.middleware';
+import { PERMISSIONS } from '../../helpers/permissions.helper';
+import { CACHE_TAGS } from '../../services/cache';
+
+const router = Router();
+
+router.use('/admin/reviews', authenticate, authorize(PERMISSIONS.MODERATE_REVIEWS));
+
+router.get(
+  '/products/:product_id/reviews',
+  cacheResponse({ tags: [CACHE_TAGS.CATALOG] }),
+  ReviewController.getProductReviews
+);
+router.post('/products/:product_id/reviews', authenticate, ReviewController.createReview);
+
+router.get('/admin/reviews', ReviewController.getReviews);
+router.put('/admin/reviews/:review_id', ReviewController.moderateReview);
+
+export default router;
@@ -1,9 +1,24 @@
 import { Router } from 'express';
 import ShippingController from '../../controllers/shipping.controller';
+import cacheResponse from '../../middlewares/cache.middleware';
+import { CACHE_TAGS } from '../../services/cache';
+import authenticate from '../../middlewares/auth.middleware';
+import authorize from '../../middlewares/authorize.middleware';
+import { PERMISSIONS } from '../../helpers/permissions.helper';
 
 const router = Router();
+const cacheShipping = cacheResponse({ tags: [CACHE_TAGS.SHIPPING], ttl: 3600 });
 
-router.get('/shipping/regions', ShippingController.getShippingRegions);
-router.get('/shipping/regions/:shipping_region_id', ShippingController.getShippingType);
+router.get('/shipping/regions', cacheShipping, ShippingController.getShippingRegions);
+router.get(
+  '/shipping/regions/:shipping_region_id',
+  cacheShipping,
+  ShippingController.getShippingType
+);
+
+router.use('/admin/shipping', authenticate, authorize(PERMISSIONS.MANAGE_SETTINGS));
+router.post('/admin/shipping', ShippingController.createShipping);
+router.put('/admin/shipping/:shipping_id', ShippingController.updateShipping);
+router.delete('/admin/shipping/:shipping_id', ShippingController.deleteShipping);
 
 export default router;
@@ -1,16 +1,29 @@
 import { Router } from 'express';
 import ShoppingCartController from '../../controllers/shoppingCart.controller';
+import authenticate from '../../middlewares/auth.middleware';
 
 const router = Router();
 router.get('/shoppingcart/generateUniqueId', ShoppingCartController.generateUniqueCart);
 router.post('/shoppingcart/add', ShoppingCartController.addItemToCart);
+router.get('/shoppingcart/moveToCart/:item_id', ShoppingCartController.moveToCart);
+router.get('/shoppingcart/saveForLater/:item_id', ShoppingCartController.saveForLater);
+router.get('/shoppingcart/getSaved/:cart_id', ShoppingCartController.getSavedItems);
+router.get('/shoppingcart/totalAmount/:cart_id', ShoppingCartController.getTotalAmount);
+router.get('/shoppingcart/quote/:cart_id', ShoppingCartController.getQuote);
 router.get('/shoppingcart/:cart_id', ShoppingCartController.getCart);
 router.put('/shoppingcart/update/:item_id', ShoppingCartController.updateCartItem);
 router.delete('/shoppingcart/empty/:cart_id', ShoppingCartController.emptyCart);
 router.delete('/shoppingcart/removeProduct/:item_id', ShoppingCartController.removeItemFromCart);
-router.post('/orders', ShoppingCartController.createOrder);
-router.get('/orders/inCustomer', ShoppingCartController.getCustomerOrders);
-router.get('/orders/:order_id', ShoppingCartController.getOrderSummary);
-router.post('/stripe/charge', ShoppingCartController.processStripePayment);
+router.post('/orders', authenticate, ShoppingCartController.createOrder);
+router.get('/orders/inCustomer', authenticate, ShoppingCartController.getCustomerOrders);
+router.get(
+  '/orders/shortDetail/:order_id',
+  authenticate,
+  ShoppingCartController.getOrderShortDetail
+);
+router.get('/orders/:order_id', authenticate, ShoppingCartController.getOrderSummary);
+router.post('/orders/:order_id/cancel', authenticate, ShoppingCartController.cancelOrder);
+router.post('/stripe/charge', authenticate, ShoppingCartController.processStripePayment);
+router.post('/stripe/webhooks', ShoppingCartController.handleStripeWebhook);
 
 export default router;
@@ -1,11 +1,22 @@
 import { Router } from 'express';
 import TaxController from '../../controllers/tax.controller';
+import cacheResponse from '../../middlewares/cache.middleware';
+import { CACHE_TAGS } from '../../services/cache';
+import authenticate from '../../middlewares/auth.middleware';
+import authorize from '../../middlewares/authorize.middleware';
+import { PERMISSIONS } from '../../helpers/permissions.helper';
 
 const router = Router();
+const cacheTax = cacheResponse({ tags: [CACHE_TAGS.TAX], ttl: 3600 });
 
 // These are valid routes but they may contain a bug, please try to define and fix them
 
-router.get('/tax', TaxController.getAllTax);
-router.get('/tax/:tax_id', TaxController.getSingleTax);
+router.get('/tax', cacheTax, TaxController.getAllTax);
+router.get('/tax/:tax_id', cacheTax, TaxController.getSingleTax);
+
+router.use('/admin/tax', authenticate, authorize(PERMISSIONS.MANAGE_SETTINGS));
+router.post('/admin/tax', TaxController.createTax);
+router.put('/admin/tax/:tax_id', TaxController.updateTax);
+router.delete('/admin/tax/:tax_id', TaxController.deleteTax);
 
 export default router;
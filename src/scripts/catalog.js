@@ -0,0 +1,80 @@
+/**
+ * Command that imports or exports the catalog as csv or json, the format is taken from the
+ * extension of the file. See the catalog transfer helper for the format of the records.
+ *
+ * usage: npm run catalog:import -- <file.csv|file.json> [--dry-run]
+ *        npm run catalog:export -- <file.csv|file.json>
+ */
+import '@babel/polyfill';
+import fs from 'fs';
+import path from 'path';
+import log from 'fancy-log';
+import { sequelize } from '../database/models';
+import { closeCacheStore } from '../services/cache';
+import {
+  CATALOG_FORMATS,
+  exportCatalog,
+  importCatalog,
+  parseCatalog,
+  serializeCatalog,
+} from '../helpers/catalogTransfer.helper';
+
+const [command, file, ...flags] = process.argv.slice(2);
+
+/**
+ * get the format of a catalog file from its extension
+ *
+ * @param {string} filePath path of the file
+ * @returns {string} csv or json, throws for other extensions
+ */
+const getFormat = filePath => {
+  const format = path
+    .extname(filePath || '')
+    .slice(1)
+    .toLowerCase();
+  if (!CATALOG_FORMATS.includes(format)) {
+    throw new Error(`The file should have one of the extensions ${CATALOG_FORMATS.join(', ')}`);
+  }
+  return format;
+};
+
+const commands = {
+  async import() {
+    const format = getFormat(file);
+    const records = parseCatalog(fs.readFileSync(file, 'utf8'), format);
+    const report = await importCatalog(records, { dryRun: flags.includes('--dry-run') });
+
+    report.errors.forEach(({ row, product_code: code, field, message }) =>
+      log.warn(`row ${row}${code ? ` (${code})` : ''}: ${field ? `${field}: ` : ''}${message}`)
+    );
+    log(
+      `${report.dry_run ? '[dry run] ' : ''}${report.total} records: ${report.created} created, ` +
+        `${report.updated} updated, ${report.failed} failed`
+    );
+    return report.failed ? 1 : 0;
+  },
+
+  async export() {
+    const format = getFormat(file);
+    const records = await exportCatalog();
+    fs.writeFileSync(file, serializeCatalog(records, format));
+    log(`${records.length} products exported to ${file}`);
+    return 0;
+  },
+};
+
+Promise.resolve()
+  .then(() => {
+    if (!commands[command]) {
+      throw new Error('usage: catalog.js <import|export> <file.csv|file.json> [--dry-run]');
+    }
+    return commands[command]();
+  })
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  })
+  .catch(error => {
+    log.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => Promise.all([closeCacheStore(), sequelize.close()]));
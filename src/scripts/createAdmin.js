@@ -0,0 +1,54 @@
+/**
+ * Bootstrap command that creates the first administrator account, or promotes an existing
+ * customer to administrator.
+ *
+ * usage: npm run create:admin -- <email> [name] [password]
+ *
+ * The values can also be provided with the ADMIN_EMAIL, ADMIN_NAME and ADMIN_PASSWORD
+ * environment variables. A password is only required when the account does not exist yet.
+ */
+import '@babel/polyfill';
+import log from 'fancy-log';
+import { Customer, sequelize } from '../database/models';
+import { ROLES } from '../helpers/permissions.helper';
+
+const [
+  email = process.env.ADMIN_EMAIL,
+  name = process.env.ADMIN_NAME || 'Administrator',
+  password = process.env.ADMIN_PASSWORD,
+] = process.argv.slice(2);
+
+/**
+ * create or promote the administrator account
+ *
+ * @returns {string} message describing what was done
+ */
+const createAdmin = async () => {
+  if (!email) {
+    throw new Error('An email is required: npm run create:admin -- <email> [name] [password]');
+  }
+
+  const customer = await Customer.findOne({ where: { email } });
+  if (customer) {
+    await customer.update({ role: ROLES.ADMIN });
+    return `Customer ${email} has been promoted to ${ROLES.ADMIN}`;
+  }
+
+  if (!password) {
+    throw new Error(`No account exists for ${email}, a password is required to create it`);
+  }
+
+  await Customer.create({ name, email, password, role: ROLES.ADMIN });
+  return `Administrator ${email} has been created`;
+};
+
+createAdmin()
+  .then(message => {
+    log(message);
+    process.exitCode = 0;
+  })
+  .catch(error => {
+    log.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,212 @@
+/**
+ * Cache service stores responses of read-heavy routes
+ *
+ * Entries are stored in redis when REDIS_URL is set. An in-process LRU store is used when it is
+ * not set, e.g. in tests, and while redis is unreachable. A store is any object with async
+ * `get(key)`, `set(key, value, ttl)` and `incr(key)` methods.
+ *
+ * Entries are grouped by tags, e.g. catalog. Each tag has a version that is part of the keys of
+ * its entries, invalidating a tag increments its version so that its entries are never read
+ * again and expire on their own. The in-process tag versions are kept apart from the LRU
+ * entries so that they are never evicted, and tags invalidated while redis is unreachable are
+ * invalidated in redis again once it reconnects.
+ *
+ * - CACHE_TAGS - tags of the cached data
+ * - getCacheStore - get the store used for the next operation
+ * - setCacheStore - replace the store
+ * - buildCacheKey - build the key of an entry from its tags and url
+ * - getCached - read an entry
+ * - setCached - write an entry
+ * - invalidateTags - invalidate every entry of some tags
+ * - closeCacheStore - close the connection of the store, e.g. at the end of a script
+ */
+import log from 'fancy-log';
+import MemoryStore from './memory.store';
+import RedisStore from './redis.store';
+
+export const CACHE_TAGS = {
+  CATALOG: 'catalog',
+  TAX: 'tax',
+  SHIPPING: 'shipping',
+};
+
+const fallbackStore = new MemoryStore({
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+});
+
+// a few keys only, one per tag
+const fallbackVersions = new MemoryStore({ maxEntries: Infinity });
+
+// tags invalidated while redis was unreachable, their redis versions are behind
+const missedTags = new Set();
+
+const pendingInvalidations = new Set();
+
+let store;
+
+/**
+ * get the key of the version of a tag
+ *
+ * @param {string} tag cache tag
+ * @returns {string} key of the version
+ */
+const getVersionKey = tag => `cache:tag:${tag}`;
+
+/**
+ * invalidate in redis the tags that were invalidated while it was unreachable
+ *
+ * @param {object} redisStore store that is connected again
+ * @returns {Promise} resolves when the versions are incremented
+ */
+const reversionMissedTags = redisStore =>
+  Promise.all(
+    [...missedTags].map(async tag => {
+      missedTags.delete(tag);
+      try {
+        await redisStore.incr(getVersionKey(tag));
+      } catch (error) {
+        missedTags.add(tag);
+        log.warn(`Cache invalidation of ${tag} failed after reconnecting: ${error.message}`);
+      }
+    })
+  );
+
+/**
+ * get the store used for the next operation, the in-process store is used while the
+ * configured store is not ready
+ *
+ * @returns {object} cache store
+ */
+export const getCacheStore = () => {
+  if (!store) {
+    store = process.env.REDIS_URL
+      ? new RedisStore(process.env.REDIS_URL, { onReady: reversionMissedTags })
+      : fallbackStore;
+  }
+  return store.isReady && !store.isReady() ? fallbackStore : store;
+};
+
+/**
+ * replace the store
+ *
+ * @param {object} newStore object with get, set and incr methods
+ */
+export const setCacheStore = newStore => {
+  store = newStore;
+};
+
+/**
+ * run an operation on the current store, an operation that fails is retried on the
+ * in-process store so that a redis failure never fails a request
+ *
+ * @param {function} operation receives the store and returns a promise
+ * @param {object} fallback in-process store used when the current store is not available
+ * @returns {Promise} resolves with the result of the operation
+ */
+const withStore = async (operation, fallback = fallbackStore) => {
+  const current = getCacheStore();
+  if (current === fallbackStore) {
+    return operation(fallback);
+  }
+  try {
+    return await operation(current);
+  } catch (error) {
+    log.warn(`Cache store failed, using the in-process store: ${error.message}`);
+    return operation(fallback);
+  }
+};
+
+/**
+ * build the key of an entry from the current versions of its tags and its url
+ *
+ * @param {array} tags tags of the entry
+ * @param {string} url path and normalised query string of the request
+ * @returns {Promise} resolves with the key
+ */
+export const buildCacheKey = async (tags, url) => {
+  const versions = await Promise.all(
+    tags.map(tag => withStore(current => current.get(getVersionKey(tag)), fallbackVersions))
+  );
+  return `cache:${tags.map((tag, index) => `${tag}.${versions[index] || 0}`).join(':')}:${url}`;
+};
+
+/**
+ * read an entry
+ *
+ * @param {string} key key built with buildCacheKey
+ * @returns {Promise} resolves with the parsed entry or null
+ */
+export const getCached = async key => {
+  const value = await withStore(current => current.get(key));
+  return value ? JSON.parse(value) : null;
+};
+
+/**
+ * write an entry
+ *
+ * @param {string} key key built with buildCacheKey
+ * @param {object} value entry to store
+ * @param {number} ttl seconds before the entry expires
+ * @returns {Promise} resolves when the entry is stored
+ */
+export const setCached = (key, value, ttl) =>
+  withStore(current => current.set(key, JSON.stringify(value), ttl));
+
+/**
+ * invalidate a tag in the in-process store and in redis, a tag that can not be invalidated in
+ * redis is invalidated there once it reconnects
+ *
+ * @param {string} tag tag to invalidate
+ * @returns {Promise} resolves when the versions of the tag are incremented
+ */
+const invalidateTag = async tag => {
+  // the in-process entries are read again whenever redis is unreachable
+  await fallbackVersions.incr(getVersionKey(tag));
+
+  const current = getCacheStore();
+  if (current === fallbackStore) {
+    if (store !== fallbackStore) {
+      missedTags.add(tag);
+    }
+    return;
+  }
+  try {
+    await current.incr(getVersionKey(tag));
+  } catch (error) {
+    missedTags.add(tag);
+    throw error;
+  }
+};
+
+/**
+ * invalidate every entry of some tags
+ *
+ * @param {array} tags tags to invalidate
+ * @returns {Promise} resolves when the versions of the tags are incremented
+ */
+export const invalidateTags = tags => {
+  const invalidation = Promise.all(tags.map(invalidateTag));
+  pendingInvalidations.add(invalidation);
+  const done = () => pendingInvalidations.delete(invalidation);
+  invalidation.then(done, done);
+  return invalidation;
+};
+
+/**
+ * close the connection of the store once the pending invalidations are done, so that scripts
+ * can exit. The store is opened again by the next operation.
+ *
+ * @returns {Promise} resolves when the connection is closed
+ */
+export const closeCacheStore = async () => {
+  await Promise.all([...pendingInvalidations].map(invalidation => invalidation.catch(() => {})));
+  if (!store || !store.close) {
+    return;
+  }
+  if (missedTags.size) {
+    log.warn(`Cache tags ${[...missedTags].join(', ')} could not be invalidated in redis`);
+  }
+  const closing = store;
+  store = undefined;
+  await closing.close();
+};
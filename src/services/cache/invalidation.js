@@ -0,0 +1,69 @@
+/**
+ * Cache invalidation watches the models whose data is cached and invalidates the cache tags of
+ * a model whenever one of its records is created, updated or deleted. Changes made in a
+ * transaction invalidate the cache once the transaction is committed.
+ *
+ * - watchModels - add the invalidation hooks to the models
+ */
+import log from 'fancy-log';
+import { CACHE_TAGS, invalidateTags } from '.';
+
+const MODEL_TAGS = {
+  Product: [CACHE_TAGS.CATALOG],
+  Department: [CACHE_TAGS.CATALOG],
+  Category: [CACHE_TAGS.CATALOG],
+  Attribute: [CACHE_TAGS.CATALOG],
+  AttributeValue: [CACHE_TAGS.CATALOG],
+  ProductCategory: [CACHE_TAGS.CATALOG],
+  ProductAttribute: [CACHE_TAGS.CATALOG],
+  ProductVariant: [CACHE_TAGS.CATALOG],
+  // product listings show the rating of each product
+  Review: [CACHE_TAGS.CATALOG],
+  Tax: [CACHE_TAGS.TAX],
+  Shipping: [CACHE_TAGS.SHIPPING],
+  ShippingRegion: [CACHE_TAGS.SHIPPING],
+};
+
+const HOOKS = [
+  'afterCreate',
+  'afterUpdate',
+  'afterDestroy',
+  'afterUpsert',
+  'afterBulkCreate',
+  'afterBulkUpdate',
+  'afterBulkDestroy',
+];
+
+/**
+ * invalidate tags, failures are logged so that they never fail the change itself
+ *
+ * @param {array} tags tags to invalidate
+ */
+const invalidate = tags =>
+  invalidateTags(tags).catch(error => log.warn(`Cache invalidation failed: ${error.message}`));
+
+/**
+ * add the invalidation hooks to the models
+ *
+ * @param {object} models models keyed by name
+ */
+const watchModels = models => {
+  Object.keys(MODEL_TAGS)
+    .filter(name => models[name])
+    .forEach(name => {
+      const tags = MODEL_TAGS[name];
+      HOOKS.forEach(hook =>
+        models[name].addHook(hook, 'cacheInvalidation', (...args) => {
+          // the options of the query are the last argument of every hook
+          const { transaction } = args[args.length - 1] || {};
+          if (transaction) {
+            transaction.afterCommit(() => invalidate(tags));
+          } else {
+            invalidate(tags);
+          }
+        })
+      );
+    });
+};
+
+export default watchModels;
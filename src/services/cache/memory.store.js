@@ -0,0 +1,78 @@
+/**
+ * cache store that keeps entries in process memory, the least recently used entries are
+ * evicted once the store is full. Used when redis is not configured or not reachable.
+ */
+class MemoryStore {
+  /**
+   * @param {object} options maxEntries kept before the least recently used ones are evicted
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * get a value, expired entries are removed
+   *
+   * @param {string} key cache key
+   * @returns {Promise} resolves with the value or null
+   * @memberof MemoryStore
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // a Map keeps insertion order, moving the entry to the end marks it as recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * set a value
+   *
+   * @param {string} key cache key
+   * @param {string} value value to store
+   * @param {number} ttl seconds before the value expires, 0 to keep it until evicted
+   * @returns {Promise} resolves when the value is stored
+   * @memberof MemoryStore
+   */
+  async set(key, value, ttl = 0) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * increment a counter
+   *
+   * @param {string} key cache key of the counter
+   * @returns {Promise} resolves with the incremented value
+   * @memberof MemoryStore
+   */
+  async incr(key) {
+    const value = Number(await this.get(key)) + 1;
+    await this.set(key, String(value));
+    return value;
+  }
+
+  /**
+   * remove all entries
+   *
+   * @memberof MemoryStore
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default MemoryStore;
@@ -0,0 +1,103 @@
+import redis from 'redis';
+import log from 'fancy-log';
+
+/**
+ * cache store backed by redis. Commands fail right away instead of being queued while the
+ * connection is down, `isReady` tells the cache service when to fall back to memory.
+ * Entries are set with a ttl and tag versions without one, so a `volatile-*` maxmemory policy
+ * evicts entries but never tag versions.
+ */
+class RedisStore {
+  /**
+   * @param {string} url redis connection url
+   * @param {object} options onReady called with the store whenever the connection is ready
+   */
+  constructor(url, { onReady } = {}) {
+    this.client = redis.createClient(url, {
+      enable_offline_queue: false,
+      // keep trying to reconnect every few seconds
+      retry_strategy: ({ attempt }) => Math.min(attempt * 500, 5000),
+    });
+    this.client.on('error', error => log.warn(`Redis cache unavailable: ${error.message}`));
+    if (onReady) {
+      this.client.on('ready', () => onReady(this));
+    }
+  }
+
+  /**
+   * check if the connection to redis is up
+   *
+   * @returns {boolean} true when commands can be sent
+   * @memberof RedisStore
+   */
+  isReady() {
+    return this.client.connected;
+  }
+
+  /**
+   * send a command to redis
+   *
+   * @param {string} command redis command name
+   * @param {array} args command arguments
+   * @returns {Promise} resolves with the reply of redis
+   * @memberof RedisStore
+   */
+  send(command, ...args) {
+    return new Promise((resolve, reject) =>
+      this.client.send_command(command, args, (error, reply) =>
+        error ? reject(error) : resolve(reply)
+      )
+    );
+  }
+
+  /**
+   * get a value
+   *
+   * @param {string} key cache key
+   * @returns {Promise} resolves with the value or null
+   * @memberof RedisStore
+   */
+  get(key) {
+    return this.send('GET', key);
+  }
+
+  /**
+   * set a value
+   *
+   * @param {string} key cache key
+   * @param {string} value value to store
+   * @param {number} ttl seconds before the value expires, 0 to keep it
+   * @returns {Promise} resolves when the value is stored
+   * @memberof RedisStore
+   */
+  set(key, value, ttl = 0) {
+    return ttl ? this.send('SET', key, value, 'EX', ttl) : this.send('SET', key, value);
+  }
+
+  /**
+   * increment a counter
+   *
+   * @param {string} key cache key of the counter
+   * @returns {Promise} resolves with the incremented value
+   * @memberof RedisStore
+   */
+  incr(key) {
+    return this.send('INCR', key);
+  }
+
+  /**
+   * close the connection and stop reconnecting
+   *
+   * @returns {Promise} resolves when the connection is closed
+   * @memberof RedisStore
+   */
+  close() {
+    if (!this.client.connected) {
+      this.client.end(false);
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.client.quit(() => resolve()));
+  }
+}
+
+export default RedisStore;
@@ -0,0 +1,31 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * mail transport that appends every message as a json line to a file, handy in development
+ */
+class FileTransport {
+  /**
+   * @param {string} filePath file the messages are written to
+   */
+  constructor(filePath = process.env.MAIL_FILE_PATH || 'mail.log') {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * append a message to the file
+   *
+   * @param {object} message to, from, subject, text and html of the message
+   * @returns {Promise} resolves with the written message
+   * @memberof FileTransport
+   */
+  send(message) {
+    return new Promise((resolve, reject) => {
+      fs.appendFile(this.filePath, `${JSON.stringify(message)}\n`, error =>
+        error ? reject(error) : resolve(message)
+      );
+    });
+  }
+}
+
+export default FileTransport;
@@ -0,0 +1,87 @@
+/**
+ * Mail service sends emails through a pluggable transport
+ *
+ * The transport is picked with the MAIL_TRANSPORT environment variable (sendgrid, file or memory)
+ * and defaults to memory in the test environment and sendgrid everywhere else.
+ * A transport is any object with a `send(message)` method returning a promise.
+ *
+ * - sendMail - send a message with the current transport
+ * - getTransport - get the current transport
+ * - setTransport - replace the current transport
+ * - escapeHtml - escape a value to include it in the html of a message
+ */
+import SendgridTransport from './sendgrid.transport';
+import MemoryTransport from './memory.transport';
+import FileTransport from './file.transport';
+
+const transports = {
+  sendgrid: SendgridTransport,
+  memory: MemoryTransport,
+  file: FileTransport,
+};
+
+let transport;
+
+/**
+ * create the transport configured for the current environment
+ *
+ * @returns {object} mail transport
+ */
+const createDefaultTransport = () => {
+  const name =
+    process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'sendgrid');
+  const Transport = transports[name];
+  if (!Transport) {
+    throw new Error(`Unknown mail transport ${name}`);
+  }
+  return new Transport();
+};
+
+/**
+ * get the current transport, creating the default one on first use
+ *
+ * @returns {object} mail transport
+ */
+export const getTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+/**
+ * replace the current transport
+ *
+ * @param {object} newTransport object with a send(message) method
+ */
+export const setTransport = newTransport => {
+  transport = newTransport;
+};
+
+/**
+ * send a message with the current transport
+ *
+ * @param {object} message to, subject, text and html of the message
+ * @returns {Promise} resolves when the transport has sent the message
+ */
+export const sendMail = message =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@letsgoshopping.com',
+    ...message,
+  });
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * escape a value to include it in the html of a message
+ *
+ * @param {*} value value to escape, e.g. the name of a customer
+ * @returns {string} value with its html special characters escaped
+ */
+export const escapeHtml = value => String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
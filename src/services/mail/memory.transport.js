@@ -0,0 +1,31 @@
+/**
+ * mail transport that keeps messages in memory, used in tests to inspect sent mails
+ */
+class MemoryTransport {
+  constructor() {
+    this.outbox = [];
+  }
+
+  /**
+   * store a message in the outbox
+   *
+   * @param {object} message to, from, subject, text and html of the message
+   * @returns {Promise} resolves with the stored message
+   * @memberof MemoryTransport
+   */
+  async send(message) {
+    this.outbox.push(message);
+    return message;
+  }
+
+  /**
+   * remove all messages from the outbox
+   *
+   * @memberof MemoryTransport
+   */
+  clear() {
+    this.outbox = [];
+  }
+}
+
+export default MemoryTransport;
@@ -0,0 +1,27 @@
+import sgMail from '@sendgrid/mail';
+
+/**
+ * mail transport that delivers messages through the SendGrid API
+ */
+class SendgridTransport {
+  /**
+   * @param {string} apiKey sendgrid api key
+   */
+  constructor(apiKey = process.env.SENDGRID_API_KEY) {
+    sgMail.setApiKey(apiKey);
+  }
+
+  /**
+   * send a message
+   *
+   * @param {object} message to, from, subject, text and html of the message
+   * @returns {Promise} resolves when sendgrid accepts the message
+   * @memberof SendgridTransport
+   */
+  // eslint-disable-next-line class-methods-use-this
+  send(message) {
+    return sgMail.send(message);
+  }
+}
+
+export default SendgridTransport;
@@ -0,0 +1,100 @@
+import Stripe from 'stripe';
+import uniqid from 'uniqid';
+
+/**
+ * in-memory stand-in for the stripe client, it implements the parts of the stripe api used by
+ * the payment service without any network access.
+ * The card token `tok_chargeDeclined` is declined like it is in stripe test mode.
+ * A request repeated with the same idempotency key resolves with the result of the first one.
+ * Webhook signatures are verified with the real stripe implementation.
+ */
+class FakeStripe {
+  constructor() {
+    this.store = { charges: {}, refunds: {}, idempotentResults: {} };
+    this.webhooks = Stripe.webhooks;
+
+    this.charges = {
+      create: this.idempotent(async params => {
+        if (params.source === 'tok_chargeDeclined') {
+          throw new Stripe.errors.StripeCardError({
+            message: 'Your card was declined.',
+            code: 'card_declined',
+          });
+        }
+
+        const charge = {
+          id: `ch_${uniqid()}`,
+          object: 'charge',
+          amount: params.amount,
+          amount_refunded: 0,
+          balance_transaction: `txn_${uniqid()}`,
+          currency: params.currency,
+          description: params.description,
+          metadata: params.metadata || {},
+          paid: true,
+          receipt_email: params.receipt_email,
+          refunded: false,
+          status: 'succeeded',
+        };
+        this.store.charges[charge.id] = charge;
+        return charge;
+      }),
+
+      retrieve: async chargeId => this.store.charges[chargeId],
+    };
+
+    this.refunds = {
+      create: this.idempotent(async ({ charge: chargeId, amount, metadata }) => {
+        const charge = this.store.charges[chargeId];
+        if (!charge) {
+          throw new Stripe.errors.StripeInvalidRequestError({
+            message: `No such charge: ${chargeId}`,
+          });
+        }
+
+        const refundAmount = amount || charge.amount - charge.amount_refunded;
+        if (charge.amount_refunded + refundAmount > charge.amount) {
+          throw new Stripe.errors.StripeInvalidRequestError({
+            message: `Charge ${chargeId} can not be refunded by ${refundAmount}.`,
+          });
+        }
+
+        charge.amount_refunded += refundAmount;
+        charge.refunded = charge.amount_refunded === charge.amount;
+
+        const refund = {
+          id: `re_${uniqid()}`,
+          object: 'refund',
+          amount: refundAmount,
+          charge: chargeId,
+          metadata: metadata || {},
+          status: 'succeeded',
+        };
+        this.store.refunds[refund.id] = refund;
+        return refund;
+      }),
+    };
+  }
+
+  /**
+   * wrap a create method so that a request with an idempotency key that was already used
+   * resolves with the result of the first request
+   *
+   * @param {function} create async create method taking the request params
+   * @returns {function} create method taking the params and the request options
+   * @memberof FakeStripe
+   */
+  idempotent(create) {
+    return (params, { idempotency_key: key } = {}) => {
+      if (!key) {
+        return create(params);
+      }
+      if (!this.store.idempotentResults[key]) {
+        this.store.idempotentResults[key] = create(params);
+      }
+      return this.store.idempotentResults[key];
+    };
+  }
+}
+
+export default FakeStripe;
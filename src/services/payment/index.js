@@ -0,0 +1,107 @@
+/**
+ * Payment service charges customers through stripe
+ *
+ * The stripe client is created from STRIPE_SECRET_KEY, the in-memory FakeStripe client is used
+ * when STRIPE_CLIENT is `fake` and in the test environment. The client can be replaced with
+ * setStripeClient.
+ *
+ * - getStripeClient - get the current stripe client
+ * - setStripeClient - replace the current stripe client
+ * - chargeOrder - charge the total amount of an order
+ * - refundOrder - refund all or part of the charge of an order
+ * - refundCharge - refund the whole of a charge that no order was marked paid with
+ * - constructWebhookEvent - verify the signature of a webhook request and parse its event
+ */
+import Stripe from 'stripe';
+import FakeStripe from './fakeStripe';
+import { toCents } from '../../helpers/money.helper';
+
+let stripeClient;
+
+/**
+ * get the current stripe client, creating the default one on first use
+ *
+ * @returns {object} stripe client
+ */
+export const getStripeClient = () => {
+  if (!stripeClient) {
+    const useFake = process.env.STRIPE_CLIENT === 'fake' || process.env.NODE_ENV === 'test';
+    stripeClient = useFake ? new FakeStripe() : new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripeClient;
+};
+
+/**
+ * replace the current stripe client
+ *
+ * @param {object} client object implementing charges, refunds and webhooks like stripe
+ */
+export const setStripeClient = client => {
+  stripeClient = client;
+};
+
+/**
+ * charge the total amount of an order. The order id and the stripe token make the idempotency
+ * key, a retried request with the same token never charges the order twice while a payment
+ * with another card after a decline is a new charge
+ *
+ * @param {object} order order model instance
+ * @param {object} payment stripe token and the email the receipt is sent to
+ * @returns {Promise} resolves with the stripe charge
+ */
+export const chargeOrder = (order, { source, email }) =>
+  getStripeClient().charges.create(
+    {
+      amount: toCents(order.total_amount),
+      currency: process.env.STRIPE_CURRENCY || 'usd',
+      source,
+      description: `Payment for order ${order.order_id}`,
+      receipt_email: email,
+      metadata: { order_id: order.order_id },
+    },
+    { idempotency_key: `order-${order.order_id}-charge-${source}` }
+  );
+
+/**
+ * refund all or part of the charge of an order
+ *
+ * @param {object} order order model instance charged with chargeOrder
+ * @param {number} amount amount to refund in cents
+ * @param {number} refundedBefore amount in cents refunded before this refund
+ * @returns {Promise} resolves with the stripe refund
+ */
+export const refundOrder = (order, amount, refundedBefore = toCents(order.refunded_amount)) =>
+  getStripeClient().refunds.create(
+    {
+      charge: order.auth_code,
+      amount,
+      metadata: { order_id: order.order_id },
+    },
+    // the amount already refunded makes the key unique per refund of the same order
+    {
+      idempotency_key: `order-${order.order_id}-refund-${refundedBefore}-${amount}`,
+    }
+  );
+
+/**
+ * refund the whole of a charge that no order was marked paid with, e.g. the charge of an order
+ * cancelled while it was being paid
+ *
+ * @param {object} charge stripe charge
+ * @returns {Promise} resolves with the stripe refund
+ */
+export const refundCharge = charge =>
+  getStripeClient().refunds.create(
+    { charge: charge.id, metadata: charge.metadata },
+    { idempotency_key: `charge-${charge.id}-refund` }
+  );
+
+/**
+ * verify the signature of a webhook request and parse its event
+ *
+ * @param {Buffer} payload raw request body
+ * @param {string} signature value of the Stripe-Signature header
+ * @returns {object} stripe event, throws when the signature is invalid
+ */
+export const constructWebhookEvent = (payload, signature) =>
+  getStripeClient().webhooks.constructEvent(payload, signature, process.env.STRIPE_WEBHOOK_SECRET);
@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+import getJson from './request';
+
+/**
+ * verify a facebook user access token with the graph api. The token must have been issued to
+ * the app of FACEBOOK_APP_ID, tokens of other apps are rejected
+ *
+ * @param {string} accessToken facebook user access token
+ * @returns {Promise} resolves with the provider profile: id, email, emailVerified and name
+ */
+const verifyFacebookToken = async accessToken => {
+  const { FACEBOOK_APP_ID: appId, FACEBOOK_APP_SECRET: appSecret } = process.env;
+  if (!appId || !appSecret) {
+    throw new Error('FACEBOOK_APP_ID and FACEBOOK_APP_SECRET must be set');
+  }
+
+  const { data = {} } = await getJson(
+    `https://graph.facebook.com/debug_token?input_token=${encodeURIComponent(
+      accessToken
+    )}&access_token=${encodeURIComponent(`${appId}|${appSecret}`)}`
+  );
+  if (!data.is_valid || String(data.app_id) !== String(appId)) {
+    throw new Error('Facebook access token was not issued to this app');
+  }
+
+  const proof = crypto
+    .createHmac('sha256', appSecret)
+    .update(accessToken)
+    .digest('hex');
+  const { id, name, email } = await getJson(
+    `https://graph.facebook.com/me?fields=id,name,email&access_token=${encodeURIComponent(
+      accessToken
+    )}&appsecret_proof=${proof}`
+  );
+  if (String(id) !== String(data.user_id)) {
+    throw new Error('Facebook access token does not belong to the profile');
+  }
+
+  // facebook only returns emails that the user has confirmed
+  return { id: String(id), name, email, emailVerified: Boolean(email) };
+};
+
+export default verifyFacebookToken;
@@ -0,0 +1,37 @@
+import getJson from './request';
+
+/**
+ * verify a google oauth access token with the tokeninfo and userinfo endpoints. The token must
+ * have been issued to one of the comma separated client ids of GOOGLE_CLIENT_ID
+ *
+ * @param {string} accessToken google oauth access token
+ * @returns {Promise} resolves with the provider profile: id, email, emailVerified and name
+ */
+const verifyGoogleToken = async accessToken => {
+  const clientIds = String(process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+  if (!clientIds.length) {
+    throw new Error('GOOGLE_CLIENT_ID must be set');
+  }
+
+  const { aud, azp, sub: tokenSub } = await getJson(
+    `https://oauth2.googleapis.com/tokeninfo?access_token=${encodeURIComponent(accessToken)}`
+  );
+  if (!clientIds.includes(aud) && !clientIds.includes(azp)) {
+    throw new Error('Google access token was not issued to this client');
+  }
+
+  const { sub, name, email, email_verified: emailVerified } = await getJson(
+    'https://www.googleapis.com/oauth2/v3/userinfo',
+    { Authorization: `Bearer ${accessToken}` }
+  );
+  if (String(sub) !== String(tokenSub)) {
+    throw new Error('Google access token does not belong to the profile');
+  }
+
+  return { id: String(sub), name, email, emailVerified: emailVerified === true };
+};
+
+export default verifyGoogleToken;
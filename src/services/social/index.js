@@ -0,0 +1,46 @@
+/**
+ * Social service verifies access tokens issued by social login providers
+ *
+ * A verifier is an async function taking the provider access token and resolving with the
+ * provider profile `{ id, email, emailVerified, name }`, it rejects when the token is invalid.
+ * Verifiers can be replaced with setVerifier, e.g. with a stub in tests.
+ *
+ * - isSupportedProvider - check if a provider has a verifier
+ * - verifyProviderToken - verify an access token with the verifier of a provider
+ * - setVerifier - replace or add the verifier of a provider
+ */
+import verifyFacebookToken from './facebook.verifier';
+import verifyGoogleToken from './google.verifier';
+
+const verifiers = {
+  facebook: verifyFacebookToken,
+  google: verifyGoogleToken,
+};
+
+/**
+ * check if a provider has a verifier
+ *
+ * @param {string} provider provider name
+ * @returns {boolean} true when the provider is supported
+ */
+export const isSupportedProvider = provider =>
+  Object.prototype.hasOwnProperty.call(verifiers, provider);
+
+/**
+ * verify an access token with the verifier of a provider
+ *
+ * @param {string} provider provider name
+ * @param {string} accessToken provider access token
+ * @returns {Promise} resolves with the provider profile
+ */
+export const verifyProviderToken = (provider, accessToken) => verifiers[provider](accessToken);
+
+/**
+ * replace or add the verifier of a provider
+ *
+ * @param {string} provider provider name
+ * @param {function} verifier async function resolving with the provider profile
+ */
+export const setVerifier = (provider, verifier) => {
+  verifiers[provider] = verifier;
+};
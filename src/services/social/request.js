@@ -0,0 +1,33 @@
+import https from 'https';
+
+/**
+ * make a GET request and parse the json response body
+ *
+ * @param {string} url url to request
+ * @param {object} headers request headers
+ * @returns {Promise} resolves with the parsed body, rejects when the status is not 2xx
+ */
+const getJson = (url, headers = {}) =>
+  new Promise((resolve, reject) => {
+    https
+      .get(url, { headers }, response => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          body += chunk;
+        });
+        response.on('end', () => {
+          if (response.statusCode < 200 || response.statusCode >= 300) {
+            return reject(new Error(`Provider responded with status ${response.statusCode}`));
+          }
+          try {
+            return resolve(JSON.parse(body));
+          } catch (error) {
+            return reject(error);
+          }
+        });
+      })
+      .on('error', reject);
+  });
+
+export default getJson;
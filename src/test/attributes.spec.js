@@ -0,0 +1,64 @@
+import { addAttributeValue, api, closeApp, createProduct, resetDatabase } from './helpers';
+
+describe('attributes', () => {
+  let product;
+  let xl;
+  let red;
+  let blue;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    product = await createProduct();
+    xl = await addAttributeValue(product, 'Size', 'XL');
+    red = await addAttributeValue(product, 'Color', 'Red');
+    blue = await addAttributeValue(product, 'Color', 'Blue');
+    // a value of another product is not listed for this one
+    await addAttributeValue(await createProduct(), 'Color', 'Green');
+  });
+
+  afterAll(closeApp);
+
+  it('lists the values of an attribute', async () => {
+    const response = await api.get(`/attributes/values/${red.attribute_id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(value => value.value)).toEqual(['Red', 'Blue', 'Green']);
+    expect(response.body[0]).toEqual({ attribute_value_id: red.attribute_value_id, value: 'Red' });
+  });
+
+  it('answers 404 for an unknown attribute or product', async () => {
+    expect((await api.get('/attributes/values/999')).status).toBe(404);
+    expect((await api.get('/attributes/inProduct/999')).status).toBe(404);
+  });
+
+  it('lists the attribute values of a product by attribute name', async () => {
+    const response = await api.get(`/attributes/inProduct/${product.product_id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([
+      {
+        attribute_name: 'Color',
+        attribute_value_id: red.attribute_value_id,
+        attribute_value: 'Red',
+      },
+      {
+        attribute_name: 'Color',
+        attribute_value_id: blue.attribute_value_id,
+        attribute_value: 'Blue',
+      },
+      { attribute_name: 'Size', attribute_value_id: xl.attribute_value_id, attribute_value: 'XL' },
+    ]);
+  });
+
+  it('groups the values of a product by attribute name with grouped=true', async () => {
+    const response = await api.get(`/attributes/inProduct/${product.product_id}?grouped=true`);
+
+    expect(response.body).toEqual({
+      Color: [
+        { attribute_value_id: red.attribute_value_id, attribute_value: 'Red' },
+        { attribute_value_id: blue.attribute_value_id, attribute_value: 'Blue' },
+      ],
+      Size: [{ attribute_value_id: xl.attribute_value_id, attribute_value: 'XL' }],
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import jwt from 'jsonwebtoken';
+import { api, closeApp } from './helpers';
+
+describe('authentication', () => {
+  afterAll(closeApp);
+
+  it('rejects a request without a USER-KEY header', async () => {
+    const res = await api.get('/customer');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toEqual({
+      status: 401,
+      code: 'AUT_01',
+      message: 'Authorization code is empty.',
+      field: 'USER-KEY',
+    });
+  });
+
+  it('rejects a header without the Bearer scheme', async () => {
+    const token = jwt.sign({ customer_id: 1, email: 'a@example.com' }, process.env.JWT_KEY);
+    const res = await api.get('/customer').set('USER-KEY', token);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('AUT_02');
+  });
+
+  it('rejects a token signed with another key', async () => {
+    const token = jwt.sign({ customer_id: 1, email: 'a@example.com' }, 'another-key');
+    const res = await api.get('/customer').set('USER-KEY', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('AUT_02');
+  });
+
+  it('rejects an expired token', async () => {
+    const token = jwt.sign(
+      { customer_id: 1, email: 'a@example.com', exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_KEY
+    );
+    const res = await api.get('/customer').set('USER-KEY', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('AUT_03');
+  });
+});
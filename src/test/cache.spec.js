@@ -0,0 +1,76 @@
+import {
+  buildCacheKey,
+  closeCacheStore,
+  getCached,
+  getCacheStore,
+  invalidateTags,
+  setCached,
+  setCacheStore,
+} from '../services/cache';
+import MemoryStore from '../services/cache/memory.store';
+
+jest.mock('fancy-log');
+
+describe('cache service', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    setCacheStore(store);
+  });
+
+  it('stores entries as json', async () => {
+    const key = await buildCacheKey(['catalog'], '/products');
+    await setCached(key, { rows: [1] }, 60);
+
+    expect(await getCached(key)).toEqual({ rows: [1] });
+    expect(await getCached('cache:missing')).toBeNull();
+  });
+
+  it('changes the keys of the entries of an invalidated tag only', async () => {
+    const catalogKey = await buildCacheKey(['catalog'], '/products');
+    const taxKey = await buildCacheKey(['tax'], '/tax');
+    expect(catalogKey).toBe('cache:catalog.0:/products');
+
+    await invalidateTags(['catalog']);
+
+    expect(await buildCacheKey(['catalog'], '/products')).toBe('cache:catalog.1:/products');
+    expect(await buildCacheKey(['tax'], '/tax')).toBe(taxKey);
+  });
+
+  it('uses the in-process store while the store is not ready', async () => {
+    setCacheStore({ ...store, isReady: () => false });
+
+    expect(getCacheStore()).not.toBe(store);
+  });
+
+  it('falls back to the in-process store when the store fails', async () => {
+    const failing = new Error('connection lost');
+    setCacheStore({
+      get: () => Promise.reject(failing),
+      set: () => Promise.reject(failing),
+      incr: () => Promise.reject(failing),
+    });
+
+    const key = await buildCacheKey(['shipping'], '/shipping/regions');
+    await setCached(key, { rows: [] }, 60);
+
+    expect(await getCached(key)).toEqual({ rows: [] });
+    await expect(invalidateTags(['shipping'])).rejects.toBe(failing);
+  });
+
+  it('closes the store once the pending invalidations are done', async () => {
+    const events = [];
+    setCacheStore({
+      get: async () => null,
+      set: async () => {},
+      incr: () => new Promise(resolve => setTimeout(() => resolve(events.push('incr')), 10)),
+      close: async () => events.push('close'),
+    });
+
+    invalidateTags(['catalog']);
+    await closeCacheStore();
+
+    expect(events).toEqual(['incr', 'close']);
+  });
+});
@@ -0,0 +1,87 @@
+import { Product, sequelize } from '../database/models';
+import { api, closeApp, createCustomer, createProduct, resetDatabase } from './helpers';
+
+describe('response cache', () => {
+  let token;
+  let product;
+
+  const getProduct = () => api.get(`/products/${product.product_id}`);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ token } = await createCustomer({ role: 'admin' }));
+  });
+
+  beforeEach(async () => {
+    product = await createProduct({ price: '10.00' });
+  });
+
+  afterAll(closeApp);
+
+  it('serves repeated reads from the cache, whatever the order of the query', async () => {
+    const first = await api.get('/products?limit=5&page=1');
+    const second = await api.get('/products?page=1&limit=5');
+
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual(first.body);
+  });
+
+  it('answers 304 when the etag matches', async () => {
+    const { headers } = await getProduct();
+
+    const response = await getProduct().set('If-None-Match', headers.etag);
+    expect(response.status).toBe(304);
+  });
+
+  it('reads a product again once an admin edits it', async () => {
+    await getProduct();
+    expect((await getProduct()).headers['x-cache']).toBe('HIT');
+
+    const updated = await api
+      .put(`/admin/products/${product.product_id}`)
+      .set('USER-KEY', token)
+      .send({ price: '12.00' });
+    expect(updated.status).toBe(200);
+
+    const response = await getProduct();
+    expect(response.headers['x-cache']).toBe('MISS');
+    expect(response.body.price).toBe('12.00');
+  });
+
+  it('invalidates the catalog when a change is committed, not before', async () => {
+    await getProduct();
+
+    await sequelize.transaction(async transaction => {
+      await Product.update(
+        { name: 'Renamed' },
+        { where: { product_id: product.product_id }, transaction }
+      );
+      expect((await getProduct()).headers['x-cache']).toBe('HIT');
+    });
+
+    const response = await getProduct();
+    expect(response.headers['x-cache']).toBe('MISS');
+    expect(response.body.name).toBe('Renamed');
+  });
+
+  it('keeps the entries of other tags', async () => {
+    await api.get('/tax');
+    await api
+      .put(`/admin/products/${product.product_id}`)
+      .set('USER-KEY', token)
+      .send({ price: '11.00' });
+
+    expect((await api.get('/tax')).headers['x-cache']).toBe('HIT');
+
+    const created = await api
+      .post('/admin/tax')
+      .set('USER-KEY', token)
+      .send({ tax_type: 'Reduced', tax_percentage: '5.00' });
+    expect(created.status).toBe(201);
+
+    const taxes = await api.get('/tax');
+    expect(taxes.headers['x-cache']).toBe('MISS');
+    expect(taxes.body.map(tax => tax.tax_type)).toContain('Reduced');
+  });
+});
@@ -0,0 +1,182 @@
+import { Order, ProductStock } from '../database/models';
+import { ORDER_STATUS } from '../helpers/orderStatus.helper';
+import { getStripeClient, setStripeClient } from '../services/payment';
+import {
+  api,
+  closeApp,
+  createCustomer,
+  createProduct,
+  createTaxAndShipping,
+  placeOrder,
+  resetDatabase,
+} from './helpers';
+
+describe('order cancellation', () => {
+  let customer;
+  let token;
+  let selection;
+  let first;
+  let second;
+
+  /**
+   * place an order of 3 of the first product and 1 of the second, its total is
+   * 3 x 10.00 + 5.00 + 10% tax + 5.00 shipping = 43.50
+   *
+   * @param {boolean} paid true to pay the order
+   * @returns {Promise} resolves with the order summary
+   */
+  const orderProducts = async paid => {
+    const { body } = await placeOrder(
+      token,
+      [{ product_id: first.product_id, quantity: 3 }, { product_id: second.product_id }],
+      selection
+    );
+    if (paid) {
+      await api
+        .post('/stripe/charge')
+        .set('USER-KEY', token)
+        .send({ order_id: body.orderId, stripeToken: 'tok_visa', email: customer.email });
+    }
+    return (await api.get(`/orders/${body.orderId}`).set('USER-KEY', token)).body;
+  };
+
+  const cancel = (orderId, body = {}) =>
+    api
+      .post(`/orders/${orderId}/cancel`)
+      .set('USER-KEY', token)
+      .send(body);
+
+  /**
+   * get the refunds made for the charge of an order
+   *
+   * @param {number} orderId order id
+   * @returns {array} refund amounts in cents
+   */
+  const getRefunds = orderId =>
+    Object.values(getStripeClient().store.refunds)
+      .filter(refund => refund.metadata.order_id === orderId)
+      .map(refund => refund.amount);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ customer, token } = await createCustomer());
+    selection = await createTaxAndShipping({ taxPercentage: '10.00', shippingCost: '5.00' });
+    first = await createProduct({ price: '10.00' });
+    second = await createProduct({ price: '5.00' });
+    await ProductStock.create({ product_id: first.product_id, quantity: 50 });
+  });
+
+  afterAll(closeApp);
+
+  it('refunds a partly cancelled paid order and then the rest of it', async () => {
+    const order = await orderProducts(true);
+    const [line] = order.orderItems;
+    const stock = await ProductStock.findOne({ where: { product_id: first.product_id } });
+
+    const partial = await cancel(order.order_id, {
+      items: [{ item_id: line.item_id, quantity: 1 }],
+    });
+
+    expect(partial.status).toBe(200);
+    expect(partial.body).toMatchObject({ status: ORDER_STATUS.PAID, refunded_amount: '11.00' });
+    expect(partial.body.orderItems[0]).toMatchObject({
+      cancelled_quantity: 1,
+      refunded_amount: '11.00',
+    });
+    expect((await stock.reload()).quantity).toBe(stock.quantity + 1);
+
+    const rest = await cancel(order.order_id, { reason: 'Changed my mind' });
+
+    expect(rest.status).toBe(200);
+    expect(rest.body).toMatchObject({ status: ORDER_STATUS.REFUNDED, refunded_amount: '43.50' });
+    expect(rest.body.timeline.map(entry => entry.status)).toEqual([
+      'pending',
+      'paid',
+      'cancelled',
+      'refunded',
+    ]);
+    expect(getRefunds(order.order_id)).toEqual([1100, 3250]);
+  });
+
+  it('refunds the tax at the rate the order was placed with', async () => {
+    const order = await orderProducts(true);
+    await selection.tax.update({ tax_percentage: '20.00' });
+
+    const res = await cancel(order.order_id, {
+      items: [{ item_id: order.orderItems[0].item_id, quantity: 1 }],
+    });
+
+    await selection.tax.update({ tax_percentage: '10.00' });
+    expect(res.body.refunded_amount).toBe('11.00');
+    expect(getRefunds(order.order_id)).toEqual([1100]);
+  });
+
+  it('reduces the total of a partly cancelled unpaid order', async () => {
+    const order = await orderProducts(false);
+
+    const res = await cancel(order.order_id, {
+      items: [{ item_id: order.orderItems[1].item_id }],
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: ORDER_STATUS.PENDING, total_amount: '38.00' });
+    expect(getRefunds(order.order_id)).toEqual([]);
+  });
+
+  it('cancels an unpaid order without a refund', async () => {
+    const order = await orderProducts(false);
+
+    const res = await cancel(order.order_id);
+
+    expect(res.body.status).toBe(ORDER_STATUS.CANCELLED);
+    expect(getRefunds(order.order_id)).toEqual([]);
+  });
+
+  it('keeps the cancellation and notes a refund that fails', async () => {
+    const order = await orderProducts(true);
+    const client = getStripeClient();
+    setStripeClient({
+      ...client,
+      refunds: { create: () => Promise.reject(new Error('Stripe is unavailable')) },
+    });
+
+    const res = await cancel(order.order_id);
+
+    setStripeClient(client);
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe(ORDER_STATUS.REFUNDED);
+    expect((await Order.findByPk(order.order_id)).comments).toBe('Refund of 43.50 failed');
+  });
+
+  it('rejects invalid cancellations', async () => {
+    const order = await orderProducts(false);
+    const [line] = order.orderItems;
+
+    const invalid = await cancel(order.order_id, {
+      items: [{ item_id: line.item_id, quantity: 0 }],
+    });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.code).toBe('ORD_04');
+
+    const tooMany = await cancel(order.order_id, {
+      items: [{ item_id: line.item_id, quantity: 4 }],
+    });
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.error.code).toBe('ORD_05');
+
+    await Order.update({ status: ORDER_STATUS.SHIPPED }, { where: { order_id: order.order_id } });
+    const shipped = await cancel(order.order_id);
+    expect(shipped.status).toBe(409);
+    expect(shipped.body.error.code).toBe('ORD_06');
+  });
+
+  it('does not cancel the order of another customer', async () => {
+    const order = await orderProducts(false);
+    const { token: otherToken } = await createCustomer();
+
+    const res = await api.post(`/orders/${order.order_id}/cancel`).set('USER-KEY', otherToken);
+
+    expect(res.status).toBe(404);
+    expect((await Order.findByPk(order.order_id)).status).toBe(ORDER_STATUS.PENDING);
+  });
+});
@@ -0,0 +1,85 @@
+import { ProductStock } from '../database/models';
+import { addAttributeValue, api, closeApp, createProduct, resetDatabase } from './helpers';
+
+const addToCart = line => api.post('/shoppingcart/add').send(line);
+
+describe('shopping cart', () => {
+  let product;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    product = await createProduct({ price: '12.00' });
+    await addAttributeValue(product, 'Size', 'M');
+    await addAttributeValue(product, 'Color', 'Red');
+  });
+
+  afterAll(closeApp);
+
+  it('merges lines of the same product and attributes', async () => {
+    await addToCart({ cart_id: 'merge', product_id: product.product_id, attributes: 'M, Red' });
+    const res = await addToCart({
+      cart_id: 'merge',
+      product_id: product.product_id,
+      attributes: ' M ,Red ',
+      quantity: 2,
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0]).toMatchObject({ attributes: 'M, Red', quantity: 3, subtotal: '36.00' });
+  });
+
+  it('keeps lines of other attributes apart', async () => {
+    await addToCart({ cart_id: 'apart', product_id: product.product_id, attributes: 'M' });
+    const res = await addToCart({ cart_id: 'apart', product_id: product.product_id });
+
+    expect(res.body.map(item => item.attributes)).toEqual(['M', '']);
+  });
+
+  it('updates the quantity of a line and removes it at 0', async () => {
+    const { body: cart } = await addToCart({ cart_id: 'update', product_id: product.product_id });
+    const [{ item_id: itemId }] = cart;
+
+    const update = await api.put(`/shoppingcart/update/${itemId}`).send({ quantity: 4 });
+    expect(update.status).toBe(200);
+    expect(update.body[0].quantity).toBe(4);
+
+    const remove = await api.put(`/shoppingcart/update/${itemId}`).send({ quantity: 0 });
+    expect(remove.body).toEqual([]);
+  });
+
+  it('removes a line and empties a cart', async () => {
+    const { body: cart } = await addToCart({ cart_id: 'remove', product_id: product.product_id });
+
+    const remove = await api.delete(`/shoppingcart/removeProduct/${cart[0].item_id}`);
+    expect(remove.status).toBe(200);
+    const missing = await api.delete(`/shoppingcart/removeProduct/${cart[0].item_id}`);
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('CRT_02');
+
+    await addToCart({ cart_id: 'remove', product_id: product.product_id });
+    expect((await api.delete('/shoppingcart/empty/remove')).body).toEqual([]);
+    expect((await api.get('/shoppingcart/remove')).body).toEqual([]);
+  });
+
+  it('does not add more than the stock', async () => {
+    const tracked = await createProduct();
+    await ProductStock.create({ product_id: tracked.product_id, quantity: 2 });
+
+    await addToCart({ cart_id: 'stock', product_id: tracked.product_id, quantity: 2 });
+    const res = await addToCart({ cart_id: 'stock', product_id: tracked.product_id });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('STK_01');
+  });
+
+  it('validates the line', async () => {
+    const invalid = await addToCart({ cart_id: 'invalid', product_id: 'one' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatchObject({ code: 'CRT_01', field: 'product_id' });
+
+    const missing = await addToCart({ cart_id: 'invalid', product_id: 999999 });
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('PRO_01');
+  });
+});
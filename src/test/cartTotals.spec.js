@@ -0,0 +1,71 @@
+import { api, closeApp, createProduct, createTaxAndShipping, resetDatabase } from './helpers';
+
+describe('cart totals', () => {
+  let tax;
+  let shipping;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ tax, shipping } = await createTaxAndShipping({
+      taxPercentage: '8.50',
+      shippingCost: '4.99',
+    }));
+    const discounted = await createProduct({ price: '10.00', discounted_price: '8.00' });
+    const regular = await createProduct({ price: '3.33' });
+    await api
+      .post('/shoppingcart/add')
+      .send({ cart_id: 'totals', product_id: discounted.product_id, quantity: 2 });
+    await api
+      .post('/shoppingcart/add')
+      .send({ cart_id: 'totals', product_id: regular.product_id, quantity: 3 });
+  });
+
+  afterAll(closeApp);
+
+  it('gets the total amount and discount of a cart', async () => {
+    const res = await api.get('/shoppingcart/totalAmount/totals');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ total_amount: '25.99', discount: '4.00' });
+  });
+
+  it('quotes a cart with the selected shipping and tax', async () => {
+    const res = await api
+      .get('/shoppingcart/quote/totals')
+      .query({ shipping_id: shipping.shipping_id, tax_id: tax.tax_id });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      cart_id: 'totals',
+      shipping_id: shipping.shipping_id,
+      tax_id: tax.tax_id,
+      subtotal: '25.99',
+      discount: '4.00',
+      shipping: '4.99',
+      tax: '2.21',
+      total: '33.19',
+    });
+  });
+
+  it('quotes a cart without a selection', async () => {
+    const res = await api.get('/shoppingcart/quote/totals');
+
+    expect(res.body).toMatchObject({ shipping: '0.00', tax: '0.00', total: '25.99' });
+  });
+
+  it('rejects a selection that does not exist', async () => {
+    const invalid = await api.get('/shoppingcart/quote/totals').query({ tax_id: 'ten' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.code).toBe('CRT_01');
+
+    const missing = await api.get('/shoppingcart/quote/totals').query({ shipping_id: 999999 });
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.field).toBe('shipping_id');
+  });
+
+  it('quotes an empty cart', async () => {
+    const res = await api.get('/shoppingcart/totalAmount/empty');
+
+    expect(res.body).toEqual({ total_amount: '0.00', discount: '0.00' });
+  });
+});
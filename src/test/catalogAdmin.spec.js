@@ -0,0 +1,147 @@
+import { Product, ProductStock, ProductVariant } from '../database/models';
+import {
+  addAttributeValue,
+  api,
+  closeApp,
+  createCustomer,
+  createProduct,
+  resetDatabase,
+} from './helpers';
+
+describe('catalog administration', () => {
+  let token;
+
+  const admin = (method, url) => api[method](url).set('USER-KEY', token);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ token } = await createCustomer({ role: 'catalog_manager' }));
+  });
+
+  afterAll(closeApp);
+
+  describe('products', () => {
+    it('creates, updates and deletes a product', async () => {
+      const created = await admin('post', '/admin/products').send({
+        name: 'Lamp',
+        description: 'A desk lamp',
+        price: '30.00',
+        discounted_price: '25.00',
+      });
+      expect(created.status).toBe(201);
+      const { product_id: productId } = created.body;
+
+      const updated = await admin('put', `/admin/products/${productId}`).send({ price: '35.00' });
+      expect(updated.status).toBe(200);
+      expect(updated.body.price).toBe('35.00');
+
+      const deleted = await admin('delete', `/admin/products/${productId}`);
+      expect(deleted.status).toBe(200);
+      expect(await Product.findByPk(productId)).toBeNull();
+    });
+
+    it('rejects negative prices and a discount above the price', async () => {
+      const negative = await admin('post', '/admin/products').send({
+        name: 'Lamp',
+        description: 'A desk lamp',
+        price: '-1.00',
+      });
+      expect(negative.status).toBe(400);
+      expect(negative.body.error).toMatchObject({ code: 'CAT_01', field: 'price' });
+
+      const discount = await admin('post', '/admin/products').send({
+        name: 'Lamp',
+        description: 'A desk lamp',
+        price: '10.00',
+        discounted_price: '12.00',
+      });
+      expect(discount.status).toBe(400);
+      expect(discount.body.error.field).toBe('discounted_price');
+    });
+
+    it('does not update a product that does not exist', async () => {
+      const res = await admin('put', '/admin/products/999999').send({ name: 'Lamp' });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('CAT_02');
+    });
+  });
+
+  describe('departments and categories', () => {
+    it('deletes a department only once it has no categories', async () => {
+      const { body: department } = await admin('post', '/admin/departments').send({
+        name: 'Home',
+      });
+      const { body: category } = await admin('post', '/admin/categories').send({
+        name: 'Lighting',
+        department_id: department.department_id,
+      });
+
+      const blocked = await admin('delete', `/admin/departments/${department.department_id}`);
+      expect(blocked.status).toBe(409);
+      expect(blocked.body.error.code).toBe('CAT_03');
+
+      await admin('delete', `/admin/categories/${category.category_id}`);
+      const deleted = await admin('delete', `/admin/departments/${department.department_id}`);
+      expect(deleted.status).toBe(200);
+    });
+  });
+
+  describe('product attributes', () => {
+    let product;
+    let medium;
+    let red;
+
+    beforeAll(async () => {
+      product = await createProduct();
+      medium = await addAttributeValue(product, 'Size', 'M');
+      red = await addAttributeValue(product, 'Color', 'Red');
+      await ProductVariant.create({
+        product_id: product.product_id,
+        sku: 'SHIRT-M',
+        attribute_value_ids: String(medium.attribute_value_id),
+      });
+      await ProductStock.create({
+        product_id: product.product_id,
+        attribute_value_ids: String(red.attribute_value_id),
+        quantity: 4,
+      });
+    });
+
+    it('does not remove an attribute value a variant uses', async () => {
+      const fromProduct = await admin(
+        'delete',
+        `/admin/products/${product.product_id}/attributes/${medium.attribute_value_id}`
+      );
+      expect(fromProduct.status).toBe(409);
+      expect(fromProduct.body.error.code).toBe('CAT_03');
+
+      const value = await admin('delete', `/admin/attributes/values/${medium.attribute_value_id}`);
+      expect(value.status).toBe(409);
+    });
+
+    it('removes an attribute value with the stock of its combinations', async () => {
+      const res = await admin(
+        'delete',
+        `/admin/products/${product.product_id}/attributes/${red.attribute_value_id}`
+      );
+
+      expect(res.status).toBe(200);
+      expect(await ProductStock.count({ where: { product_id: product.product_id } })).toBe(0);
+
+      const deleted = await admin('delete', `/admin/attributes/values/${red.attribute_value_id}`);
+      expect(deleted.status).toBe(200);
+    });
+  });
+
+  it('lets only catalog managers edit the catalog', async () => {
+    const { token: customerToken } = await createCustomer();
+
+    const res = await api
+      .post('/admin/departments')
+      .set('USER-KEY', customerToken)
+      .send({ name: 'Garden' });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,92 @@
+import { Category, Department, ProductCategory } from '../database/models';
+import { api, closeApp, createProduct, resetDatabase } from './helpers';
+
+describe('category and department browsing', () => {
+  let clothing;
+  let home;
+  let shirts;
+  let hats;
+  let shirt;
+  let cap;
+
+  const ids = response => response.body.rows.map(row => row.product_id);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    clothing = await Department.create({ name: 'Clothing' });
+    home = await Department.create({ name: 'Home' });
+    shirts = await Category.create({ name: 'Shirts', department_id: clothing.department_id });
+    hats = await Category.create({ name: 'Hats', department_id: clothing.department_id });
+
+    shirt = await createProduct();
+    cap = await createProduct();
+    // a product in two categories of a department is counted once for the department
+    await ProductCategory.bulkCreate([
+      { product_id: shirt.product_id, category_id: shirts.category_id },
+      { product_id: cap.product_id, category_id: hats.category_id },
+      { product_id: cap.product_id, category_id: shirts.category_id },
+    ]);
+  });
+
+  afterAll(closeApp);
+
+  it('lists the products of a category and of a department with pagination meta', async () => {
+    const category = await api.get(`/products/inCategory/${hats.category_id}`);
+    expect(category.status).toBe(200);
+    expect(ids(category)).toEqual([cap.product_id]);
+
+    const department = await api.get(`/products/inDepartment/${clothing.department_id}?limit=1`);
+    expect(ids(department)).toEqual([shirt.product_id]);
+    expect(department.body.paginationMeta).toEqual({
+      currentPage: 1,
+      currentPageSize: 1,
+      totalPages: 2,
+      totalRecords: 2,
+    });
+  });
+
+  it('answers 404 for an unknown category or department and 400 for an invalid id', async () => {
+    expect((await api.get('/products/inCategory/999')).status).toBe(404);
+    expect((await api.get('/products/inDepartment/999')).status).toBe(404);
+
+    const invalid = await api.get('/products/inDepartment/clothing');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatchObject({ code: 'PRO_03', field: 'department_id' });
+  });
+
+  it('pages the categories of a department', async () => {
+    const res = await api.get(`/categories/inDepartment/${clothing.department_id}?limit=1&page=2`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.rows.map(row => row.name)).toEqual(['Hats']);
+    expect(res.body.paginationMeta).toMatchObject({ currentPage: 2, totalRecords: 2 });
+  });
+
+  it('lists the categories of a product', async () => {
+    const res = await api.get(`/categories/inProduct/${cap.product_id}`);
+
+    expect(res.body.map(category => category.name)).toEqual(['Shirts', 'Hats']);
+    expect((await api.get('/categories/inProduct/999')).status).toBe(404);
+  });
+
+  it('returns the department tree with product counts', async () => {
+    const res = await api.get('/departments/tree');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([
+      expect.objectContaining({
+        department_id: clothing.department_id,
+        product_count: 2,
+        categories: [
+          expect.objectContaining({ name: 'Shirts', product_count: 2 }),
+          expect.objectContaining({ name: 'Hats', product_count: 1 }),
+        ],
+      }),
+      expect.objectContaining({
+        department_id: home.department_id,
+        product_count: 0,
+        categories: [],
+      }),
+    ]);
+  });
+});
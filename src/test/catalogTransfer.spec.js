@@ -0,0 +1,147 @@
+import { Category, Department, Product, ProductVariant } from '../database/models';
+import { parseCsv } from '../helpers/csv.helper';
+import {
+  addAttributeValue,
+  api,
+  closeApp,
+  createCustomer,
+  createProduct,
+  resetDatabase,
+} from './helpers';
+
+const header = 'product_code,name,description,price,discounted_price,display,categories,attributes';
+
+describe('catalog import and export', () => {
+  let token;
+
+  const importCsv = (csv, query = {}) =>
+    api
+      .post('/admin/catalog/import')
+      .set('USER-KEY', token)
+      .set('Content-Type', 'text/csv')
+      .query(query)
+      .send(csv);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ token } = await createCustomer({ role: 'catalog_manager' }));
+    const department = await Department.create({ name: 'Home' });
+    await Category.create({ name: 'Lighting', department_id: department.department_id });
+    // an attribute value is only linked to products through the attribute it belongs to
+    await addAttributeValue(await createProduct(), 'Color', 'Red');
+  });
+
+  afterAll(closeApp);
+
+  it('creates the products of a csv file and updates them on a second import', async () => {
+    const csv = `${header}\nLAMP-1,Lamp,"A lamp, bright",20.00,15.00,1,Lighting,Color:Red\n`;
+
+    const created = await importCsv(csv);
+    expect(created.status).toBe(200);
+    expect(created.body).toMatchObject({ total: 1, created: 1, updated: 0, failed: 0 });
+
+    const updated = await importCsv(csv.replace('20.00', '25.00'));
+    expect(updated.body).toMatchObject({ created: 0, updated: 1 });
+
+    const product = await Product.findOne({ where: { product_code: 'LAMP-1' } });
+    expect(product.price).toBe('25.00');
+    expect(await product.countCategories()).toBe(1);
+  });
+
+  it('reports the rows that fail without stopping the others', async () => {
+    const csv = [
+      header,
+      'CHAIR-1,Chair,A chair,-5,,0,,',
+      'DESK-1,Desk,A desk,100.00,,0,Garden,',
+      'SOFA-1,Sofa,A sofa,300.00,,0,,',
+    ].join('\n');
+
+    const res = await importCsv(csv);
+
+    expect(res.body).toMatchObject({ total: 3, created: 1, failed: 2 });
+    expect(res.body.errors).toEqual([
+      expect.objectContaining({ row: 1, product_code: 'CHAIR-1', field: 'price' }),
+      expect.objectContaining({ row: 2, product_code: 'DESK-1', field: 'categories' }),
+    ]);
+  });
+
+  it('validates a dry run without saving', async () => {
+    const res = await importCsv(`${header}\nSTOOL-1,Stool,A stool,9.99,,0,,\n`, {
+      dry_run: 'true',
+    });
+
+    expect(res.body).toMatchObject({ dry_run: true, created: 1 });
+    expect(await Product.count({ where: { product_code: 'STOOL-1' } })).toBe(0);
+  });
+
+  it('imports json', async () => {
+    const res = await api
+      .post('/admin/catalog/import')
+      .set('USER-KEY', token)
+      .send({
+        products: [{ product_code: 'RUG-1', name: 'Rug', description: 'A rug', price: '50.00' }],
+      });
+
+    expect(res.body).toMatchObject({ created: 1, failed: 0 });
+  });
+
+  it('imports and exports the stock and variants of a product', async () => {
+    const shirt = {
+      product_code: 'SHIRT-1',
+      name: 'Shirt',
+      description: 'A shirt',
+      price: '20.00',
+      attributes: ['Color:Red'],
+      stock: [{ attributes: [], quantity: 2 }, { attributes: ['Color:Red'], quantity: 4 }],
+      variants: [{ sku: 'SHIRT-1-RED', attributes: ['Color:Red'], price: '22.00' }],
+    };
+    const importJson = products =>
+      api
+        .post('/admin/catalog/import')
+        .set('USER-KEY', token)
+        .send({ products });
+
+    expect((await importJson([shirt])).body).toMatchObject({ created: 1, failed: 0 });
+
+    const exported = await api.get('/admin/catalog/export').set('USER-KEY', token);
+    const record = JSON.parse(exported.text).products.find(
+      product => product.product_code === 'SHIRT-1'
+    );
+    expect(record.stock).toEqual(shirt.stock);
+    expect(record.variants).toEqual([
+      expect.objectContaining({ sku: 'SHIRT-1-RED', attributes: ['Color:Red'], price: '22.00' }),
+    ]);
+
+    // removing the colour of the variant without removing the variant is refused
+    const { stock, variants, ...fields } = shirt;
+    const dropped = await importJson([{ ...fields, attributes: [] }]);
+    expect(dropped.body).toMatchObject({ updated: 0, failed: 1 });
+    expect(dropped.body.errors).toEqual([
+      expect.objectContaining({ product_code: 'SHIRT-1', field: 'attributes' }),
+    ]);
+    expect(await ProductVariant.count({ where: { sku: 'SHIRT-1-RED' } })).toBe(1);
+  });
+
+  it('exports the catalog in the format it imports', async () => {
+    const res = await api
+      .get('/admin/catalog/export')
+      .set('USER-KEY', token)
+      .query({ format: 'csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toContain('catalog.csv');
+    const lamp = parseCsv(res.text).find(record => record.product_code === 'LAMP-1');
+    expect(lamp).toMatchObject({
+      description: 'A lamp, bright',
+      price: '25.00',
+      categories: 'Lighting',
+      attributes: 'Color:Red',
+    });
+
+    const invalid = await api
+      .get('/admin/catalog/export')
+      .set('USER-KEY', token)
+      .query({ format: 'xml' });
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,64 @@
+import { parseCsv, toCsv } from '../helpers/csv.helper';
+import { parseCatalog, serializeCatalog } from '../helpers/catalogTransfer.helper';
+
+describe('csv helper', () => {
+  it('parses quoted fields with commas, quotes and line breaks', () => {
+    const text = '\uFEFFname,description\r\n"Lamp, desk","A ""bright""\nlamp"\r\n\r\nChair,\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      { name: 'Lamp, desk', description: 'A "bright"\nlamp' },
+      { name: 'Chair', description: '' },
+    ]);
+  });
+
+  it('writes records that parse back to the same values', () => {
+    const records = [
+      { name: 'Lamp, desk', description: 'A "bright"\nlamp', price: 10 },
+      { name: ' padded ', description: null, price: 0 },
+    ];
+
+    const text = toCsv(records, ['name', 'description', 'price']);
+
+    expect(text.split('\r\n')[0]).toBe('name,description,price');
+    expect(parseCsv(text)).toEqual([
+      { name: 'Lamp, desk', description: 'A "bright"\nlamp', price: '10' },
+      { name: ' padded ', description: '', price: '0' },
+    ]);
+  });
+
+  it('parses an empty file', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+});
+
+describe('catalog files', () => {
+  const record = {
+    product_code: 'LAMP-1',
+    name: 'Lamp',
+    description: 'A lamp',
+    price: '10.00',
+    discounted_price: '0.00',
+    image: null,
+    image_2: null,
+    thumbnail: null,
+    display: 0,
+    categories: ['Lighting', 'Home'],
+    attributes: ['Color:Red'],
+  };
+
+  it('writes the lists of a csv record with a pipe', () => {
+    const [parsed] = parseCatalog(serializeCatalog([record], 'csv'), 'csv');
+
+    expect(parsed).toMatchObject({
+      product_code: 'LAMP-1',
+      categories: 'Lighting|Home',
+      attributes: 'Color:Red',
+    });
+  });
+
+  it('reads a json list or an object with a products list', () => {
+    expect(parseCatalog(serializeCatalog([record], 'json'), 'json')).toEqual([record]);
+    expect(parseCatalog([record], 'json')).toEqual([record]);
+    expect(() => parseCatalog('{"items": []}', 'json')).toThrow('list of products');
+  });
+});
@@ -0,0 +1,62 @@
+import { Sequelize } from '../database/models';
+import {
+  decodeCursor,
+  getCursorPage,
+  getCursorQuery,
+  isCursorRequest,
+} from '../helpers/cursor.helper';
+
+const { Op } = Sequelize;
+
+describe('cursor helper', () => {
+  const records = ids => ids.map(id => ({ id }));
+  const options = { idField: 'id', limit: 2 };
+
+  it('detects cursor requests', () => {
+    expect(isCursorRequest({ pagination: 'cursor' })).toBe(true);
+    expect(isCursorRequest({ cursor: 'abc' })).toBe(true);
+    expect(isCursorRequest({ page: '2' })).toBe(false);
+  });
+
+  it('starts at the first page without cursor and rejects invalid cursors', () => {
+    expect(decodeCursor(undefined)).toEqual({ id: null, page: 1, direction: 'next' });
+    expect(decodeCursor('not a cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('{"i":"1","p":1,"d":"next"}').toString('base64'))).toBeNull();
+    expect(decodeCursor(Buffer.from('{"i":1,"p":0,"d":"next"}').toString('base64'))).toBeNull();
+    expect(decodeCursor(Buffer.from('{"i":1,"p":1,"d":"up"}').toString('base64'))).toBeNull();
+  });
+
+  it('fetches one extra record after the cursor in the listing order', () => {
+    expect(getCursorQuery(decodeCursor(), { ...options, order: 'ASC' })).toEqual({
+      where: {},
+      order: [['id', 'ASC']],
+      limit: 3,
+    });
+    expect(
+      getCursorQuery({ id: 7, page: 2, direction: 'next' }, { ...options, order: 'DESC' })
+    ).toEqual({ where: { id: { [Op.lt]: 7 } }, order: [['id', 'DESC']], limit: 3 });
+    expect(
+      getCursorQuery({ id: 7, page: 2, direction: 'prev' }, { ...options, order: 'ASC' })
+    ).toEqual({ where: { id: { [Op.lt]: 7 } }, order: [['id', 'DESC']], limit: 3 });
+  });
+
+  it('pages forward and back with url safe cursors that round trip', () => {
+    const first = getCursorPage(records([1, 2, 3]), decodeCursor(), options);
+    expect(first.rows).toEqual(records([1, 2]));
+    expect(first.currentPage).toBe(1);
+    expect(first.cursors.prev).toBeNull();
+    expect(first.cursors.next).toMatch(/^[\w-]+$/);
+    expect(decodeCursor(first.cursors.next)).toEqual({ id: 2, page: 2, direction: 'next' });
+
+    const second = getCursorPage(records([3]), decodeCursor(first.cursors.next), options);
+    expect(second.rows).toEqual(records([3]));
+    expect(second.cursors.next).toBeNull();
+    expect(decodeCursor(second.cursors.prev)).toEqual({ id: 3, page: 1, direction: 'prev' });
+
+    // prev pages are fetched in reverse order and returned in listing order
+    const back = getCursorPage(records([2, 1]), decodeCursor(second.cursors.prev), options);
+    expect(back.rows).toEqual(records([1, 2]));
+    expect(back.cursors.prev).toBeNull();
+    expect(decodeCursor(back.cursors.next)).toEqual({ id: 2, page: 2, direction: 'next' });
+  });
+});
@@ -0,0 +1,116 @@
+import { Product } from '../database/models';
+import {
+  api,
+  closeApp,
+  createCustomer,
+  createProduct,
+  createTaxAndShipping,
+  placeOrder,
+  resetDatabase,
+} from './helpers';
+
+describe('cursor pagination', () => {
+  const ids = (response, field) => response.body.rows.map(row => row[field]);
+
+  beforeAll(resetDatabase);
+
+  afterAll(closeApp);
+
+  describe('products', () => {
+    let productIds;
+
+    const list = query => api.get('/products').query({ limit: 2, ...query });
+
+    beforeAll(async () => {
+      const products = await Promise.all([1, 2, 3, 4, 5].map(() => createProduct()));
+      productIds = products.map(product => product.product_id).sort((a, b) => a - b);
+    });
+
+    it('pages forward and back on the product id', async () => {
+      const first = await list({ pagination: 'cursor' });
+      expect(first.status).toBe(200);
+      expect(ids(first, 'product_id')).toEqual(productIds.slice(0, 2));
+      expect(first.body.cursors.prev).toBeNull();
+      expect(first.body.paginationMeta).toMatchObject({ currentPage: 1, totalRecords: 5 });
+
+      const second = await list({ cursor: first.body.cursors.next });
+      expect(ids(second, 'product_id')).toEqual(productIds.slice(2, 4));
+      expect(second.body.paginationMeta.currentPage).toBe(2);
+
+      const third = await list({ cursor: second.body.cursors.next });
+      expect(ids(third, 'product_id')).toEqual(productIds.slice(4));
+      expect(third.body.cursors.next).toBeNull();
+
+      const back = await list({ cursor: third.body.cursors.prev });
+      expect(ids(back, 'product_id')).toEqual(productIds.slice(2, 4));
+    });
+
+    it('keeps pages consistent when a product of an earlier page is removed', async () => {
+      const first = await list({ pagination: 'cursor' });
+      await Product.destroy({ where: { product_id: productIds[0] } });
+
+      const second = await list({ cursor: first.body.cursors.next });
+      expect(ids(second, 'product_id')).toEqual(productIds.slice(2, 4));
+    });
+
+    it('rejects invalid cursors and cursors combined with sort_by', async () => {
+      const invalid = await list({ cursor: 'nope' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toMatchObject({ code: 'PRO_03', field: 'cursor' });
+
+      const sorted = await list({ pagination: 'cursor', sort_by: 'price' });
+      expect(sorted.status).toBe(400);
+      expect(sorted.body.error).toMatchObject({ code: 'PRO_03', field: 'sort_by' });
+    });
+  });
+
+  describe('orders', () => {
+    let token;
+    let orderIds;
+
+    const list = query =>
+      api
+        .get('/orders/inCustomer')
+        .set('USER-KEY', token)
+        .query({ limit: 2, ...query });
+
+    beforeAll(async () => {
+      ({ token } = await createCustomer());
+      const selection = await createTaxAndShipping();
+      const product = await createProduct({ price: '5.00' });
+      orderIds = [];
+      await [1, 2, 3].reduce(
+        (previous, quantity) =>
+          previous.then(async () => {
+            const response = await placeOrder(
+              token,
+              [{ product_id: product.product_id, quantity }],
+              selection
+            );
+            orderIds.push(response.body.orderId);
+          }),
+        Promise.resolve()
+      );
+    });
+
+    it('pages the newest orders first', async () => {
+      const newest = [...orderIds].reverse();
+
+      const first = await list({ pagination: 'cursor' });
+      expect(first.status).toBe(200);
+      expect(ids(first, 'order_id')).toEqual(newest.slice(0, 2));
+
+      const second = await list({ cursor: first.body.cursors.next });
+      expect(ids(second, 'order_id')).toEqual(newest.slice(2));
+      expect(second.body.cursors.next).toBeNull();
+      expect(second.body.paginationMeta).toMatchObject({ currentPage: 2, totalRecords: 3 });
+    });
+
+    it('rejects an invalid cursor with ORD_09', async () => {
+      const response = await list({ cursor: 'nope' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatchObject({ code: 'ORD_09', field: 'cursor' });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import Stripe from 'stripe';
+import FakeStripe from '../services/payment/fakeStripe';
+
+describe('fake stripe client', () => {
+  let stripe;
+
+  beforeEach(() => {
+    stripe = new FakeStripe();
+  });
+
+  it('creates a charge once per idempotency key', async () => {
+    const params = { amount: 1000, currency: 'usd', source: 'tok_visa' };
+
+    const [first, second] = await Promise.all([
+      stripe.charges.create(params, { idempotency_key: 'order-1-charge' }),
+      stripe.charges.create(params, { idempotency_key: 'order-1-charge' }),
+    ]);
+    const other = await stripe.charges.create(params);
+
+    expect(second).toBe(first);
+    expect(other.id).not.toBe(first.id);
+    expect(Object.keys(stripe.store.charges)).toHaveLength(2);
+  });
+
+  it('declines the tok_chargeDeclined card', async () => {
+    await expect(
+      stripe.charges.create({ amount: 1000, source: 'tok_chargeDeclined' })
+    ).rejects.toMatchObject({ type: 'StripeCardError', code: 'card_declined' });
+  });
+
+  it('refunds a charge up to its amount', async () => {
+    const charge = await stripe.charges.create({ amount: 1000, source: 'tok_visa' });
+
+    await stripe.refunds.create({ charge: charge.id, amount: 400 });
+    expect(charge).toMatchObject({ amount_refunded: 400, refunded: false });
+
+    await expect(stripe.refunds.create({ charge: charge.id, amount: 700 })).rejects.toMatchObject({
+      type: 'StripeInvalidRequestError',
+    });
+
+    const refund = await stripe.refunds.create({ charge: charge.id });
+    expect(refund.amount).toBe(600);
+    expect(charge.refunded).toBe(true);
+  });
+
+  it('verifies webhook signatures like stripe', () => {
+    const payload = JSON.stringify({ type: 'charge.succeeded', data: { object: {} } });
+    const header = Stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_test' });
+
+    expect(stripe.webhooks.constructEvent(payload, header, 'whsec_test').type).toBe(
+      'charge.succeeded'
+    );
+    expect(() => stripe.webhooks.constructEvent(payload, header, 'whsec_other')).toThrow();
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Test helpers start the app against the test database and create the records the specs need
+ *
+ * - api - supertest agent of the app
+ * - closeApp - stop the server and close the database connection once a spec is done
+ * - resetDatabase - drop and recreate every table and empty the response cache
+ * - createCustomer - create a customer with an access token
+ * - createProduct - create a product
+ * - addAttributeValue - create an attribute value of a product
+ * - createTaxAndShipping - create a tax and a shipping type
+ * - placeOrder - add lines to a cart and order it
+ * - getOutbox - get the messages sent with the memory mail transport
+ */
+import supertest from 'supertest';
+import app, { server } from '..';
+import {
+  Attribute,
+  AttributeValue,
+  Customer,
+  Product,
+  ProductAttribute,
+  Shipping,
+  ShippingRegion,
+  Tax,
+  sequelize,
+} from '../database/models';
+import { generateAccessToken } from '../helpers/token.helper';
+import { setCacheStore } from '../services/cache';
+import MemoryStore from '../services/cache/memory.store';
+import { getTransport } from '../services/mail';
+
+export const PASSWORD = 'secret-password';
+
+export const api = supertest(app);
+
+let sequence = 0;
+
+/**
+ * get a number that is unique in the test run, used to build unique emails and codes
+ *
+ * @returns {number} next number
+ */
+const nextId = () => {
+  sequence += 1;
+  return sequence;
+};
+
+/**
+ * stop the server and close the database connection once a spec is done
+ *
+ * @returns {Promise} resolves when both are closed
+ */
+export const closeApp = () =>
+  Promise.all([new Promise(resolve => server.close(resolve)), sequelize.close()]);
+
+/**
+ * drop and recreate every table and empty the response cache
+ *
+ * @returns {Promise} resolves when the database is empty
+ */
+export const resetDatabase = async () => {
+  await sequelize.sync({ force: true });
+  setCacheStore(new MemoryStore());
+  getTransport().clear();
+};
+
+/**
+ * create a customer with an access token
+ *
+ * @param {object} fields customer fields, e.g. role
+ * @returns {Promise} resolves with the customer and the value of its USER-KEY header
+ */
+export const createCustomer = async (fields = {}) => {
+  const id = nextId();
+  const customer = await Customer.create({
+    name: `Customer ${id}`,
+    email: `customer${id}@example.com`,
+    password: PASSWORD,
+    ...fields,
+  });
+  return { customer, token: `Bearer ${generateAccessToken(customer)}` };
+};
+
+/**
+ * create a product
+ *
+ * @param {object} fields product fields, e.g. price
+ * @returns {Promise} resolves with the product
+ */
+export const createProduct = (fields = {}) => {
+  const id = nextId();
+  return Product.create({
+    name: `Product ${id}`,
+    description: `Description of product ${id}`,
+    price: '10.00',
+    discounted_price: '0.00',
+    ...fields,
+  });
+};
+
+/**
+ * create an attribute value of a product, the attribute is created the first time it is named
+ *
+ * @param {object} product product model instance
+ * @param {string} name attribute name e.g. 'Size'
+ * @param {string} value attribute value e.g. 'XL'
+ * @returns {Promise} resolves with the attribute value
+ */
+export const addAttributeValue = async (product, name, value) => {
+  const [attribute] = await Attribute.findOrCreate({ where: { name } });
+  const attributeValue = await AttributeValue.create({
+    attribute_id: attribute.attribute_id,
+    value,
+  });
+  await ProductAttribute.create({
+    product_id: product.product_id,
+    attribute_value_id: attributeValue.attribute_value_id,
+  });
+  return attributeValue;
+};
+
+/**
+ * create a tax and a shipping type
+ *
+ * @param {object} options taxPercentage and shippingCost
+ * @returns {Promise} resolves with the tax and the shipping
+ */
+export const createTaxAndShipping = async ({
+  taxPercentage = '10.00',
+  shippingCost = '5.00',
+} = {}) => {
+  const tax = await Tax.create({ tax_type: 'Sales tax', tax_percentage: taxPercentage });
+  const region = await ShippingRegion.create({ shipping_region: 'Region' });
+  const shipping = await Shipping.create({
+    shipping_type: 'Standard',
+    shipping_cost: shippingCost,
+    shipping_region_id: region.shipping_region_id,
+  });
+  return { tax, shipping };
+};
+
+/**
+ * add lines to a cart and order it
+ *
+ * @param {string} token USER-KEY header of the customer
+ * @param {array} lines cart lines, each with a product_id and a quantity
+ * @param {object} selection tax and shipping model instances
+ * @returns {Promise} resolves with the response of the order creation
+ */
+export const placeOrder = async (token, lines, { tax, shipping }) => {
+  const cartId = `cart-${nextId()}`;
+  // lines are added one after the other so that they keep their order in the cart
+  await lines.reduce(
+    (previous, line) =>
+      previous.then(() => api.post('/shoppingcart/add').send({ cart_id: cartId, ...line })),
+    Promise.resolve()
+  );
+  return api
+    .post('/orders')
+    .set('USER-KEY', token)
+    .send({ cart_id: cartId, shipping_id: shipping.shipping_id, tax_id: tax.tax_id });
+};
+
+/**
+ * get the messages sent with the memory mail transport
+ *
+ * @returns {array} sent messages, oldest first
+ */
+export const getOutbox = () => getTransport().outbox;
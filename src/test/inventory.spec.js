@@ -0,0 +1,147 @@
+import { ProductStock } from '../database/models';
+import {
+  addAttributeValue,
+  api,
+  closeApp,
+  createCustomer,
+  createProduct,
+  createTaxAndShipping,
+  placeOrder,
+  resetDatabase,
+} from './helpers';
+
+describe('inventory', () => {
+  let adminToken;
+  let selection;
+  let product;
+  let medium;
+
+  const setStock = (productId, body) =>
+    api
+      .put(`/admin/products/${productId}/stock`)
+      .set('USER-KEY', adminToken)
+      .send(body);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ token: adminToken } = await createCustomer({ role: 'catalog_manager' }));
+    selection = await createTaxAndShipping();
+    product = await createProduct();
+    medium = await addAttributeValue(product, 'Size', 'M');
+    await addAttributeValue(product, 'Color', 'Red');
+  });
+
+  afterAll(closeApp);
+
+  it('sets the stock of a product and of a combination of its attribute values', async () => {
+    await setStock(product.product_id, { quantity: 5 });
+    const res = await setStock(product.product_id, {
+      quantity: 1,
+      attribute_value_ids: [medium.attribute_value_id],
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(stock => [stock.attribute_value_ids, stock.quantity]).sort()).toEqual([
+      ['', 5],
+      [String(medium.attribute_value_id), 1],
+    ]);
+  });
+
+  it('checks a cart line against the stock of its combination', async () => {
+    const tooMany = await api
+      .post('/shoppingcart/add')
+      .send({ cart_id: 'sizes', product_id: product.product_id, attributes: 'M', quantity: 2 });
+    expect(tooMany.status).toBe(409);
+    expect(tooMany.body.error.code).toBe('STK_01');
+
+    // a combination without its own stock uses the stock of the product
+    const red = await api
+      .post('/shoppingcart/add')
+      .send({ cart_id: 'sizes', product_id: product.product_id, attributes: 'Red', quantity: 2 });
+    expect(red.status).toBe(201);
+  });
+
+  it('checks a saved item against the stock when it moves back to the cart', async () => {
+    const saved = await createProduct();
+    await setStock(saved.product_id, { quantity: 2 });
+    const { body: cart } = await api
+      .post('/shoppingcart/add')
+      .send({ cart_id: 'later', product_id: saved.product_id, quantity: 2 });
+    await api.get(`/shoppingcart/saveForLater/${cart[0].item_id}`);
+    await setStock(saved.product_id, { quantity: 1 });
+
+    const moved = await api.get(`/shoppingcart/moveToCart/${cart[0].item_id}`);
+
+    expect(moved.status).toBe(409);
+    expect(moved.body.error.code).toBe('STK_01');
+    expect((await api.get('/shoppingcart/getSaved/later')).body).toHaveLength(1);
+  });
+
+  it('reserves the last items for one of two concurrent checkouts', async () => {
+    const lastItems = await createProduct();
+    await setStock(lastItems.product_id, { quantity: 2 });
+    const [{ token: first }, { token: second }] = await Promise.all([
+      createCustomer(),
+      createCustomer(),
+    ]);
+
+    const responses = await Promise.all(
+      [first, second].map(token =>
+        placeOrder(token, [{ product_id: lastItems.product_id, quantity: 2 }], selection)
+      )
+    );
+
+    expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+    const stock = await ProductStock.findOne({ where: { product_id: lastItems.product_id } });
+    expect(stock.quantity).toBe(0);
+  });
+
+  it('releases the stock of a cancelled order', async () => {
+    const released = await createProduct();
+    await setStock(released.product_id, { quantity: 3 });
+    const { token } = await createCustomer();
+    const { body } = await placeOrder(
+      token,
+      [{ product_id: released.product_id, quantity: 3 }],
+      selection
+    );
+
+    await api.post(`/orders/${body.orderId}/cancel`).set('USER-KEY', token);
+
+    const stock = await ProductStock.findOne({ where: { product_id: released.product_id } });
+    expect(stock.quantity).toBe(3);
+  });
+
+  it('validates the stock', async () => {
+    const negative = await setStock(product.product_id, { quantity: -1 });
+    expect(negative.status).toBe(400);
+    expect(negative.body.error.code).toBe('CAT_01');
+
+    const invalidIds = await setStock(product.product_id, {
+      quantity: 1,
+      attribute_value_ids: ['M'],
+    });
+    expect(invalidIds.status).toBe(400);
+    expect(invalidIds.body.error.field).toBe('attribute_value_ids');
+
+    const other = await createProduct();
+    const foreign = await setStock(other.product_id, {
+      quantity: 1,
+      attribute_value_ids: [medium.attribute_value_id],
+    });
+    expect(foreign.status).toBe(404);
+    expect(foreign.body.error.code).toBe('CAT_02');
+  });
+
+  it('lets only catalog managers set the stock', async () => {
+    const { token } = await createCustomer();
+
+    const res = await api
+      .put(`/admin/products/${product.product_id}/stock`)
+      .set('USER-KEY', token)
+      .send({ quantity: 100 });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('AUT_07');
+  });
+});
@@ -0,0 +1,38 @@
+import { escapeHtml, getTransport, sendMail, setTransport } from '../services/mail';
+import MemoryTransport from '../services/mail/memory.transport';
+
+describe('mail service', () => {
+  it('uses the memory transport in tests', async () => {
+    const transport = getTransport();
+    expect(transport).toBeInstanceOf(MemoryTransport);
+
+    await sendMail({ to: 'eve@example.com', subject: 'Hello', text: 'Hello' });
+
+    expect(transport.outbox).toEqual([
+      expect.objectContaining({
+        to: 'eve@example.com',
+        subject: 'Hello',
+        from: expect.any(String),
+      }),
+    ]);
+    transport.clear();
+    expect(transport.outbox).toEqual([]);
+  });
+
+  it('sends with a transport set by setTransport', async () => {
+    const previous = getTransport();
+    const send = jest.fn(() => Promise.resolve());
+    setTransport({ send });
+
+    await sendMail({ to: 'eve@example.com', subject: 'Hello', text: 'Hello' });
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'eve@example.com' }));
+    setTransport(previous);
+  });
+
+  it('escapes html special characters', () => {
+    expect(escapeHtml(`<a href="x">Tom & Jerry's</a>`)).toBe(
+      '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;'
+    );
+  });
+});
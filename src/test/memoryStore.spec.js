@@ -0,0 +1,42 @@
+import MemoryStore from '../services/cache/memory.store';
+
+describe('memory cache store', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('evicts the least recently used entries once full', async () => {
+    const store = new MemoryStore({ maxEntries: 2 });
+    await store.set('a', '1');
+    await store.set('b', '2');
+    await store.get('a');
+    await store.set('c', '3');
+
+    expect(await store.get('a')).toBe('1');
+    expect(await store.get('b')).toBeNull();
+    expect(await store.get('c')).toBe('3');
+  });
+
+  it('expires entries after their ttl', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const store = new MemoryStore();
+    await store.set('short', 'value', 5);
+    await store.set('kept', 'value');
+
+    now.mockReturnValue(5999);
+    expect(await store.get('short')).toBe('value');
+
+    now.mockReturnValue(6000);
+    expect(await store.get('short')).toBeNull();
+    expect(await store.get('kept')).toBe('value');
+  });
+
+  it('increments counters from zero', async () => {
+    const store = new MemoryStore();
+
+    expect(await store.incr('counter')).toBe(1);
+    expect(await store.incr('counter')).toBe(2);
+    expect(await store.get('counter')).toBe('2');
+
+    store.clear();
+    expect(await store.get('counter')).toBeNull();
+  });
+});
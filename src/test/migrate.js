@@ -0,0 +1,18 @@
+/**
+ * Command run before the tests that creates the tables of every model in the test database,
+ * existing tables are dropped
+ *
+ * usage: npm run pretest
+ */
+import '@babel/polyfill';
+import log from 'fancy-log';
+import { sequelize } from '../database/models';
+
+sequelize
+  .sync({ force: true })
+  .then(() => log('Test database is ready'))
+  .catch(error => {
+    log.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
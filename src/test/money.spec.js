@@ -0,0 +1,26 @@
+import { fromCents, percentageOf, toCents } from '../helpers/money.helper';
+
+describe('money helper', () => {
+  it('converts decimal amounts to cents', () => {
+    expect(toCents('19.99')).toBe(1999);
+    expect(toCents(0.1)).toBe(10);
+    expect(toCents('5')).toBe(500);
+    expect(toCents('2.345')).toBe(235);
+    expect(toCents('-0.50')).toBe(-50);
+    expect(toCents(null)).toBe(0);
+  });
+
+  it('converts cents to decimal strings', () => {
+    expect(fromCents(1999)).toBe('19.99');
+    expect(fromCents(5)).toBe('0.05');
+    expect(fromCents(-250)).toBe('-2.50');
+    expect(fromCents(0)).toBe('0.00');
+  });
+
+  it('rounds percentages half up to the cent', () => {
+    expect(percentageOf(2599, '8.50')).toBe(221);
+    expect(percentageOf(1000, '10.00')).toBe(100);
+    expect(percentageOf(5, '10.00')).toBe(1);
+    expect(percentageOf(4, '10.00')).toBe(0);
+  });
+});
@@ -0,0 +1,94 @@
+import { OrderDetail, ShoppingCart } from '../database/models';
+import {
+  api,
+  closeApp,
+  createCustomer,
+  createProduct,
+  createTaxAndShipping,
+  placeOrder,
+  resetDatabase,
+} from './helpers';
+
+describe('order creation', () => {
+  let token;
+  let selection;
+  let product;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ token } = await createCustomer());
+    selection = await createTaxAndShipping({ taxPercentage: '10.00', shippingCost: '5.00' });
+    product = await createProduct({ price: '20.00', discounted_price: '15.00' });
+  });
+
+  afterAll(closeApp);
+
+  it('orders the lines of a cart and empties it', async () => {
+    const res = await placeOrder(
+      token,
+      [{ product_id: product.product_id, quantity: 2 }],
+      selection
+    );
+
+    expect(res.status).toBe(201);
+    const summary = await api.get(`/orders/${res.body.orderId}`).set('USER-KEY', token);
+    expect(summary.body).toMatchObject({ total_amount: '38.00', status: 0 });
+    expect(summary.body.orderItems).toEqual([
+      expect.objectContaining({
+        product_id: product.product_id,
+        product_name: product.name,
+        quantity: 2,
+        unit_cost: '15.00',
+        subtotal: '30.00',
+      }),
+    ]);
+    expect(await ShoppingCart.count({ where: { buy_now: true } })).toBe(0);
+  });
+
+  it('keeps the ordered prices when the product changes', async () => {
+    const { body } = await placeOrder(token, [{ product_id: product.product_id }], selection);
+
+    await product.update({ name: 'Renamed', discounted_price: '1.00' });
+
+    const [item] = await OrderDetail.findAll({ where: { order_id: body.orderId } });
+    expect(item.product_name).not.toBe('Renamed');
+    expect(item.unit_cost).toBe('15.00');
+    await product.update({ discounted_price: '15.00' });
+  });
+
+  it('does not order an empty cart', async () => {
+    const res = await api
+      .post('/orders')
+      .set('USER-KEY', token)
+      .send({
+        cart_id: 'empty',
+        shipping_id: selection.shipping.shipping_id,
+        tax_id: selection.tax.tax_id,
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('ORD_02');
+  });
+
+  it('validates the checkout selection', async () => {
+    const invalid = await api
+      .post('/orders')
+      .set('USER-KEY', token)
+      .send({ cart_id: 'cart', shipping_id: 'one', tax_id: selection.tax.tax_id });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatchObject({ code: 'ORD_01', field: 'shipping_id' });
+
+    const missing = await api
+      .post('/orders')
+      .set('USER-KEY', token)
+      .send({ cart_id: 'cart', shipping_id: selection.shipping.shipping_id, tax_id: 999999 });
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.field).toBe('tax_id');
+  });
+
+  it('requires authentication', async () => {
+    const res = await api.post('/orders').send({ cart_id: 'cart' });
+
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,154 @@
+import { Order } from '../database/models';
+import { ORDER_STATUS } from '../helpers/orderStatus.helper';
+import {
+  api,
+  closeApp,
+  createCustomer,
+  createProduct,
+  createTaxAndShipping,
+  placeOrder,
+  resetDatabase,
+} from './helpers';
+
+describe('order administration', () => {
+  let staff;
+  let staffToken;
+  let customer;
+  let pending;
+  let paid;
+
+  const staffRequest = (method, url) => api[method](url).set('USER-KEY', staffToken);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ customer: staff, token: staffToken } = await createCustomer({
+      name: 'Sam Support',
+      role: 'support',
+    }));
+    const { customer: buyer, token } = await createCustomer();
+    customer = buyer;
+    const selection = await createTaxAndShipping({ taxPercentage: '0.00', shippingCost: '0.00' });
+    const product = await createProduct({ price: '10.00' });
+    const [first, second] = [
+      await placeOrder(token, [{ product_id: product.product_id }], selection),
+      await placeOrder(token, [{ product_id: product.product_id, quantity: 5 }], selection),
+    ];
+    pending = await Order.findByPk(first.body.orderId);
+    paid = await Order.findByPk(second.body.orderId);
+    await paid.update({ status: ORDER_STATUS.PAID });
+  });
+
+  afterAll(closeApp);
+
+  it('lists and filters the orders of every customer', async () => {
+    const all = await staffRequest('get', '/admin/orders');
+    expect(all.status).toBe(200);
+    expect(all.body.paginationMeta.totalRecords).toBe(2);
+    expect(all.body.rows[0].Customer.email).toBe(customer.email);
+
+    const byStatus = await staffRequest('get', '/admin/orders').query({ status: 'paid' });
+    expect(byStatus.body.rows.map(order => order.order_id)).toEqual([paid.order_id]);
+
+    const byTotal = await staffRequest('get', '/admin/orders').query({
+      min_total: '20.00',
+      sort_by: 'total_amount',
+      order: 'asc',
+    });
+    expect(byTotal.body.rows.map(order => order.order_id)).toEqual([paid.order_id]);
+  });
+
+  it('includes the whole day of a to date without a time', async () => {
+    await pending.update({ created_on: new Date('2026-03-10T15:00:00Z') });
+
+    const sameDay = await staffRequest('get', '/admin/orders').query({
+      from: '2026-03-10',
+      to: '2026-03-10',
+    });
+    expect(sameDay.body.rows.map(order => order.order_id)).toEqual([pending.order_id]);
+
+    const beforeNoon = await staffRequest('get', '/admin/orders').query({
+      from: '2026-03-10',
+      to: '2026-03-10T12:00:00Z',
+    });
+    expect(beforeNoon.body.rows).toEqual([]);
+  });
+
+  it('validates the listing query', async () => {
+    const queries = [{ status: 'lost' }, { page: 0 }, { limit: 500 }, { sort_by: 'comments' }];
+    const responses = await Promise.all(
+      queries.map(query => staffRequest('get', '/admin/orders').query(query))
+    );
+
+    responses.forEach((res, index) => {
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatchObject({
+        code: 'ORD_07',
+        field: Object.keys(queries[index])[0],
+      });
+    });
+  });
+
+  it('advances a paid order and ships it', async () => {
+    const processing = await staffRequest('put', `/admin/orders/${paid.order_id}/status`).send({
+      status: 'processing',
+    });
+    expect(processing.status).toBe(200);
+    expect(processing.body.status_label).toBe('processing');
+
+    const shipped = await staffRequest('post', `/admin/orders/${paid.order_id}/shipment`).send({
+      carrier: 'UPS',
+      tracking_reference: '1Z999',
+    });
+    expect(shipped.status).toBe(200);
+    expect(shipped.body).toMatchObject({ status_label: 'shipped', carrier: 'UPS' });
+    expect(shipped.body.timeline.map(entry => entry.actor)).toContain(`staff:${staff.customer_id}`);
+
+    const corrected = await staffRequest('post', `/admin/orders/${paid.order_id}/shipment`).send({
+      carrier: 'UPS',
+      tracking_reference: '1Z998',
+    });
+    expect(corrected.body).toMatchObject({ status_label: 'shipped', tracking_reference: '1Z998' });
+  });
+
+  it('rejects status changes outside the lifecycle', async () => {
+    const skipped = await staffRequest('put', `/admin/orders/${pending.order_id}/status`).send({
+      status: 'delivered',
+    });
+    expect(skipped.status).toBe(409);
+    expect(skipped.body.error.code).toBe('ORD_08');
+
+    const shipped = await staffRequest('put', `/admin/orders/${pending.order_id}/status`).send({
+      status: 'shipped',
+    });
+    expect(shipped.status).toBe(400);
+    expect(shipped.body.error.code).toBe('ORD_07');
+  });
+
+  it('adds internal comments to an order', async () => {
+    const created = await staffRequest('post', `/admin/orders/${pending.order_id}/comments`).send({
+      comment: ' Customer called about the delivery date ',
+    });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({
+      comment: 'Customer called about the delivery date',
+      author_name: 'Sam Support',
+    });
+
+    const detail = await staffRequest('get', `/admin/orders/${pending.order_id}`);
+    expect(detail.body.comments).toHaveLength(1);
+    expect(detail.body.orderItems).toHaveLength(1);
+
+    const empty = await staffRequest('post', `/admin/orders/${pending.order_id}/comments`).send({
+      comment: ' ',
+    });
+    expect(empty.status).toBe(400);
+  });
+
+  it('keeps customers out of the console', async () => {
+    const { token } = await createCustomer({ role: 'catalog_manager' });
+
+    const res = await api.get('/admin/orders').set('USER-KEY', token);
+
+    expect(res.status).toBe(403);
+  });
+});
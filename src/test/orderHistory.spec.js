@@ -0,0 +1,95 @@
+import {
+  api,
+  closeApp,
+  createCustomer,
+  createProduct,
+  createTaxAndShipping,
+  placeOrder,
+  resetDatabase,
+} from './helpers';
+
+describe('order history', () => {
+  let token;
+  let orderIds;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ token } = await createCustomer());
+    const selection = await createTaxAndShipping();
+    const product = await createProduct();
+    orderIds = [];
+    await [1, 2, 3].reduce(
+      (previous, quantity) =>
+        previous.then(async () => {
+          const { body } = await placeOrder(
+            token,
+            [{ product_id: product.product_id, quantity }],
+            selection
+          );
+          orderIds.push(body.orderId);
+        }),
+      Promise.resolve()
+    );
+  });
+
+  afterAll(closeApp);
+
+  it('lists the orders of the customer, newest first', async () => {
+    const res = await api
+      .get('/orders/inCustomer')
+      .set('USER-KEY', token)
+      .query({ limit: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.paginationMeta).toEqual({
+      currentPage: 1,
+      currentPageSize: 2,
+      totalPages: 2,
+      totalRecords: 3,
+    });
+    expect(res.body.rows.map(order => order.order_id)).toEqual([orderIds[2], orderIds[1]]);
+    expect(res.body.rows[0].status_label).toBe('pending');
+  });
+
+  it('validates the page and limit', async () => {
+    const page = await api
+      .get('/orders/inCustomer')
+      .set('USER-KEY', token)
+      .query({ page: 0 });
+    expect(page.status).toBe(400);
+    expect(page.body.error).toMatchObject({ code: 'ORD_10', field: 'page' });
+
+    const limit = await api
+      .get('/orders/inCustomer')
+      .set('USER-KEY', token)
+      .query({ limit: 101 });
+    expect(limit.status).toBe(400);
+    expect(limit.body.error).toMatchObject({ code: 'ORD_10', field: 'limit' });
+  });
+
+  it('gets an order with its timeline', async () => {
+    const summary = await api.get(`/orders/${orderIds[0]}`).set('USER-KEY', token);
+    expect(summary.status).toBe(200);
+    expect(summary.body.orderItems).toHaveLength(1);
+    expect(summary.body.timeline).toHaveLength(1);
+
+    const short = await api.get(`/orders/shortDetail/${orderIds[0]}`).set('USER-KEY', token);
+    expect(short.status).toBe(200);
+    expect(short.body.orderItems).toBeUndefined();
+    expect(short.body.timeline).toHaveLength(1);
+  });
+
+  it('does not show the orders of another customer', async () => {
+    const { token: otherToken } = await createCustomer();
+
+    const list = await api.get('/orders/inCustomer').set('USER-KEY', otherToken);
+    expect(list.body.rows).toEqual([]);
+
+    const summary = await api.get(`/orders/${orderIds[0]}`).set('USER-KEY', otherToken);
+    expect(summary.status).toBe(404);
+    expect(summary.body.error.code).toBe('ORD_03');
+
+    const short = await api.get(`/orders/shortDetail/${orderIds[0]}`).set('USER-KEY', otherToken);
+    expect(short.status).toBe(404);
+  });
+});
@@ -0,0 +1,97 @@
+import { OrderHistory } from '../database/models';
+import {
+  ORDER_STATUS,
+  canTransition,
+  formatTimeline,
+  getStatusLabel,
+  getStatusValue,
+  transitionOrder,
+} from '../helpers/orderStatus.helper';
+
+jest.mock('../database/models', () => ({ OrderHistory: { create: jest.fn() } }));
+
+/**
+ * build a stand-in for an order model instance
+ *
+ * @param {number} status current status
+ * @returns {object} order with a mocked update method
+ */
+const buildOrder = status => {
+  const order = { order_id: 7, status };
+  order.update = jest.fn(async fields => Object.assign(order, fields));
+  return order;
+};
+
+describe('order status helper', () => {
+  beforeEach(() => OrderHistory.create.mockReset());
+
+  it('converts statuses to labels and back', () => {
+    expect(getStatusLabel(ORDER_STATUS.SHIPPED)).toBe('shipped');
+    expect(getStatusValue('refunded')).toBe(ORDER_STATUS.REFUNDED);
+    expect(getStatusValue('lost')).toBeUndefined();
+  });
+
+  it('allows only the transitions of the order lifecycle', () => {
+    expect(canTransition(ORDER_STATUS.PENDING, ORDER_STATUS.PAID)).toBe(true);
+    expect(canTransition(ORDER_STATUS.PAID, ORDER_STATUS.PROCESSING)).toBe(true);
+    expect(canTransition(ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED)).toBe(true);
+    expect(canTransition(ORDER_STATUS.PENDING, ORDER_STATUS.SHIPPED)).toBe(false);
+    expect(canTransition(ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED)).toBe(false);
+    expect(canTransition(ORDER_STATUS.REFUNDED, ORDER_STATUS.PAID)).toBe(false);
+  });
+
+  it('moves an order to a new status and records the transition', async () => {
+    const order = buildOrder(ORDER_STATUS.PROCESSING);
+
+    await transitionOrder(order, ORDER_STATUS.SHIPPED, {
+      actor: 'admin:1',
+      reason: 'Shipped with UPS',
+      changes: { carrier: 'UPS' },
+    });
+
+    expect(order.update).toHaveBeenCalledWith(
+      { carrier: 'UPS', status: ORDER_STATUS.SHIPPED, shipped_on: expect.any(Date) },
+      { transaction: undefined }
+    );
+    expect(OrderHistory.create).toHaveBeenCalledWith(
+      {
+        order_id: 7,
+        from_status: ORDER_STATUS.PROCESSING,
+        to_status: ORDER_STATUS.SHIPPED,
+        actor: 'admin:1',
+        reason: 'Shipped with UPS',
+      },
+      { transaction: undefined }
+    );
+  });
+
+  it('rejects a transition that is not allowed', async () => {
+    const order = buildOrder(ORDER_STATUS.DELIVERED);
+
+    await expect(transitionOrder(order, ORDER_STATUS.PENDING)).rejects.toMatchObject({
+      status: 409,
+      message: 'Order with id 7 can not go from delivered to pending',
+    });
+    expect(order.update).not.toHaveBeenCalled();
+    expect(OrderHistory.create).not.toHaveBeenCalled();
+  });
+
+  it('shapes the timeline oldest first', () => {
+    const created = new Date('2026-01-01T10:00:00Z');
+    const timeline = formatTimeline([
+      { order_history_id: 2, from_status: 0, to_status: 1, actor: 'stripe', created_on: created },
+      {
+        order_history_id: 1,
+        from_status: null,
+        to_status: 0,
+        actor: 'customer:1',
+        created_on: created,
+      },
+    ]);
+
+    expect(timeline.map(entry => [entry.from_status, entry.status])).toEqual([
+      [null, 'pending'],
+      ['pending', 'paid'],
+    ]);
+  });
+});
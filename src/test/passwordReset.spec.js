@@ -0,0 +1,109 @@
+import { PasswordReset } from '../database/models';
+import { getTransport, setTransport } from '../services/mail';
+import { PASSWORD, api, closeApp, createCustomer, getOutbox, resetDatabase } from './helpers';
+
+/**
+ * get the reset token emailed in the last message of the outbox
+ *
+ * @returns {string} reset token
+ */
+const getEmailedToken = () => {
+  const [, token] = getOutbox()[getOutbox().length - 1].text.match(/token=([a-f0-9]+)/);
+  return token;
+};
+
+const forgot = email => api.post('/customers/password/forgot').send({ email });
+
+const reset = (token, password) => api.post('/customers/password/reset').send({ token, password });
+
+describe('password reset', () => {
+  let customer;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ customer } = await createCustomer({ name: '<b>Eve</b>' }));
+  });
+
+  beforeEach(() => getTransport().clear());
+
+  afterAll(closeApp);
+
+  it('emails a reset link with the escaped name of the customer', async () => {
+    const res = await forgot(customer.email);
+
+    expect(res.status).toBe(200);
+    expect(getOutbox()).toHaveLength(1);
+    const [message] = getOutbox();
+    expect(message.to).toBe(customer.email);
+    expect(message.html).toContain('&lt;b&gt;Eve&lt;/b&gt;');
+    expect(message.html).not.toContain('<b>Eve</b>');
+  });
+
+  it('gives the same response for an unregistered email without sending a message', async () => {
+    const res = await forgot('nobody@example.com');
+
+    expect(res.status).toBe(200);
+    expect(getOutbox()).toHaveLength(0);
+  });
+
+  it('still responds when the email can not be sent', async () => {
+    const memory = getTransport();
+    setTransport({ send: () => Promise.reject(new Error('mail server is down')) });
+
+    const res = await forgot(customer.email);
+
+    setTransport(memory);
+    expect(res.status).toBe(200);
+  });
+
+  it('resets the password once with the emailed token', async () => {
+    await forgot(customer.email);
+    const token = getEmailedToken();
+    const { body: session } = await api
+      .post('/customers/login')
+      .send({ email: customer.email, password: PASSWORD });
+
+    const res = await reset(token, 'new-password');
+
+    expect(res.status).toBe(200);
+    const login = await api
+      .post('/customers/login')
+      .send({ email: customer.email, password: 'new-password' });
+    expect(login.status).toBe(200);
+    const refresh = await api
+      .post('/customers/token/refresh')
+      .send({ refresh_token: session.refreshToken });
+    expect(refresh.status).toBe(401);
+    expect((await reset(token, 'another-password')).body.error.code).toBe('USR_11');
+  });
+
+  it('invalidates a token when a new one is requested', async () => {
+    await forgot(customer.email);
+    const first = getEmailedToken();
+    await forgot(customer.email);
+
+    expect((await reset(first, 'new-password')).body.error.code).toBe('USR_11');
+    expect((await reset(getEmailedToken(), 'new-password')).status).toBe(200);
+  });
+
+  it('rejects an expired token', async () => {
+    await forgot(customer.email);
+    await PasswordReset.update(
+      { expires_on: new Date(Date.now() - 1000) },
+      { where: { customer_id: customer.customer_id } }
+    );
+
+    const res = await reset(getEmailedToken(), 'new-password');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('USR_11');
+  });
+
+  it('rejects a token once its customer has been deleted', async () => {
+    const { customer: deleted } = await createCustomer();
+    await forgot(deleted.email);
+    await deleted.destroy();
+
+    expect((await reset(getEmailedToken(), 'new-password')).body.error.code).toBe('USR_11');
+  });
+});
@@ -0,0 +1,239 @@
+import Stripe from 'stripe';
+import { Order, ProductStock } from '../database/models';
+import { ORDER_STATUS } from '../helpers/orderStatus.helper';
+import { getStripeClient, setStripeClient } from '../services/payment';
+import {
+  api,
+  closeApp,
+  createCustomer,
+  createProduct,
+  createTaxAndShipping,
+  getOutbox,
+  placeOrder,
+  resetDatabase,
+} from './helpers';
+
+/**
+ * send a stripe event to the webhook endpoint, signed with the webhook secret
+ *
+ * @param {string} type event type e.g. charge.succeeded
+ * @param {object} object object of the event e.g. a charge
+ * @returns {Promise} resolves with the response
+ */
+const sendWebhook = (type, object) => {
+  const payload = JSON.stringify({ id: `evt_${type}`, type, data: { object } });
+  return api
+    .post('/stripe/webhooks')
+    .set('Content-Type', 'application/json')
+    .set(
+      'Stripe-Signature',
+      Stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret: process.env.STRIPE_WEBHOOK_SECRET,
+      })
+    )
+    .send(payload);
+};
+
+describe('stripe payments', () => {
+  let customer;
+  let token;
+  let selection;
+  let product;
+
+  /**
+   * place an order of the product
+   *
+   * @returns {Promise} resolves with the order model instance
+   */
+  const orderProduct = async () => {
+    const { body } = await placeOrder(token, [{ product_id: product.product_id }], selection);
+    return Order.findByPk(body.orderId);
+  };
+
+  const pay = (order, stripeToken = 'tok_visa') =>
+    api
+      .post('/stripe/charge')
+      .set('USER-KEY', token)
+      .send({ order_id: order.order_id, stripeToken, email: customer.email });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ customer, token } = await createCustomer());
+    selection = await createTaxAndShipping({ taxPercentage: '0.00', shippingCost: '5.00' });
+    product = await createProduct({ price: '20.00' });
+    await ProductStock.create({ product_id: product.product_id, quantity: 100 });
+  });
+
+  afterAll(closeApp);
+
+  it('charges an order, marks it paid and emails a confirmation', async () => {
+    const order = await orderProduct();
+
+    const res = await pay(order);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ amount: 2500, metadata: { order_id: order.order_id } });
+    await order.reload();
+    expect(order.status).toBe(ORDER_STATUS.PAID);
+    expect(order.auth_code).toBe(res.body.id);
+    expect(getOutbox().map(message => message.subject)).toContain(
+      `Order ${order.order_id} confirmed`
+    );
+
+    const again = await pay(order);
+    expect(again.status).toBe(409);
+    expect(again.body.error.code).toBe('PAY_02');
+  });
+
+  it('charges an order once when it is paid twice at the same time', async () => {
+    const order = await orderProduct();
+
+    const responses = await Promise.all([pay(order), pay(order)]);
+
+    // a request is refused when the other one has already marked the order paid
+    const statuses = responses.map(res => res.status);
+    expect(statuses).toContain(200);
+    statuses.forEach(status => expect([200, 409]).toContain(status));
+    const charges = Object.values(getStripeClient().store.charges).filter(
+      charge => charge.metadata.order_id === order.order_id
+    );
+    expect(charges).toHaveLength(1);
+  });
+
+  it('keeps an order whose card is declined pending so that it can be paid again', async () => {
+    const order = await orderProduct();
+    const stock = await ProductStock.findOne({ where: { product_id: product.product_id } });
+
+    const declined = await pay(order, 'tok_chargeDeclined');
+
+    expect(declined.status).toBe(402);
+    expect(declined.body.error.code).toBe('PAY_03');
+    await order.reload();
+    expect(order.status).toBe(ORDER_STATUS.PENDING);
+    expect(order.comments).toContain('Payment failed');
+    expect((await stock.reload()).quantity).toBe(stock.quantity);
+
+    const retried = await pay(order);
+    expect(retried.status).toBe(200);
+    expect((await order.reload()).status).toBe(ORDER_STATUS.PAID);
+  });
+
+  it('refunds the charge of an order cancelled while it was being paid', async () => {
+    const order = await orderProduct();
+    const client = getStripeClient();
+    setStripeClient({
+      ...client,
+      charges: {
+        create: async (...args) => {
+          const charge = await client.charges.create(...args);
+          await Order.update(
+            { status: ORDER_STATUS.CANCELLED },
+            { where: { order_id: order.order_id } }
+          );
+          return charge;
+        },
+      },
+    });
+
+    const res = await pay(order);
+
+    setStripeClient(client);
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('PAY_02');
+    const charge = Object.values(client.store.charges).find(
+      ({ metadata }) => metadata.order_id === order.order_id
+    );
+    expect(charge.refunded).toBe(true);
+  });
+
+  it('rejects a payment that does not validate', async () => {
+    const res = await api
+      .post('/stripe/charge')
+      .set('USER-KEY', token)
+      .send({ order_id: 'one', stripeToken: 'tok_visa', email: customer.email });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('PAY_01');
+  });
+
+  describe('webhooks', () => {
+    it('rejects an event without a valid signature', async () => {
+      const res = await api
+        .post('/stripe/webhooks')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', 't=1,v1=forged')
+        .send(JSON.stringify({ type: 'charge.succeeded' }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('PAY_04');
+    });
+
+    it('marks an order paid when its charge succeeds', async () => {
+      const order = await orderProduct();
+      const charge = await getStripeClient().charges.create({
+        amount: 2500,
+        source: 'tok_visa',
+        metadata: { order_id: order.order_id },
+      });
+
+      const res = await sendWebhook('charge.succeeded', charge);
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ received: true, handled: true });
+      await order.reload();
+      expect(order.status).toBe(ORDER_STATUS.PAID);
+      expect(order.auth_code).toBe(charge.id);
+
+      // stripe delivers events at least once
+      expect((await sendWebhook('charge.succeeded', charge)).status).toBe(200);
+      expect((await order.reload()).status).toBe(ORDER_STATUS.PAID);
+    });
+
+    it('accepts the webhook of an order already paid by the payment request', async () => {
+      const order = await orderProduct();
+      const { body: charge } = await pay(order);
+
+      const res = await sendWebhook('charge.succeeded', charge);
+
+      expect(res.status).toBe(200);
+      expect((await order.reload()).status).toBe(ORDER_STATUS.PAID);
+    });
+
+    it('records a failed charge on a pending order', async () => {
+      const order = await orderProduct();
+
+      await sendWebhook('charge.failed', {
+        id: 'ch_failed',
+        failure_message: 'Insufficient funds',
+        metadata: { order_id: order.order_id },
+      });
+
+      await order.reload();
+      expect(order.status).toBe(ORDER_STATUS.PENDING);
+      expect(order.comments).toBe('Payment failed: Insufficient funds');
+    });
+
+    it('records refunds and disputes in the order comments', async () => {
+      const order = await orderProduct();
+      const { body: charge } = await pay(order);
+
+      await sendWebhook('charge.dispute.created', { charge: charge.id, reason: 'fraudulent' });
+      await sendWebhook('charge.refunded', {
+        ...charge,
+        amount_refunded: charge.amount,
+        refunded: true,
+      });
+
+      await order.reload();
+      expect(order.status).toBe(ORDER_STATUS.REFUNDED);
+      expect(order.comments).toBe('Payment disputed: fraudulent; Refunded 25.00 of 25.00');
+    });
+
+    it('acknowledges events it does not handle', async () => {
+      const res = await sendWebhook('customer.created', { id: 'cus_1' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ received: true, handled: false });
+    });
+  });
+});
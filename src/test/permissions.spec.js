@@ -0,0 +1,21 @@
+import { PERMISSIONS, ROLES, hasPermission, isValidRole } from '../helpers/permissions.helper';
+
+describe('permissions helper', () => {
+  it('knows the roles', () => {
+    expect(isValidRole(ROLES.SUPPORT)).toBe(true);
+    expect(isValidRole('owner')).toBe(false);
+    expect(isValidRole('constructor')).toBe(false);
+  });
+
+  it('grants each role its permissions', () => {
+    Object.values(PERMISSIONS).forEach(permission =>
+      expect(hasPermission(ROLES.ADMIN, permission)).toBe(true)
+    );
+    expect(hasPermission(ROLES.CATALOG_MANAGER, PERMISSIONS.MANAGE_CATALOG)).toBe(true);
+    expect(hasPermission(ROLES.CATALOG_MANAGER, PERMISSIONS.MANAGE_ORDERS)).toBe(false);
+    expect(hasPermission(ROLES.SUPPORT, PERMISSIONS.MANAGE_ORDERS)).toBe(true);
+    expect(hasPermission(ROLES.SUPPORT, PERMISSIONS.MANAGE_ROLES)).toBe(false);
+    expect(hasPermission(ROLES.CUSTOMER, PERMISSIONS.MODERATE_REVIEWS)).toBe(false);
+    expect(hasPermission(undefined, PERMISSIONS.MANAGE_CATALOG)).toBe(false);
+  });
+});
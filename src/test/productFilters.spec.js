@@ -0,0 +1,83 @@
+import {
+  buildFilterConditions,
+  buildProductOrder,
+  parseProductFilters,
+} from '../helpers/productQuery.helper';
+
+describe('product filters', () => {
+  const attributes = [{ attribute_id: 1, name: 'Color' }, { attribute_id: 2, name: 'Size' }];
+  const parse = query => parseProductFilters(query, { attributes, reservedKeys: ['page'] });
+
+  it('parses the filter and sort parameters', () => {
+    const { filters } = parse({
+      department_id: '2',
+      category_id: '7',
+      min_price: '10',
+      max_price: '25.50',
+      on_sale: 'true',
+      display: '1,3',
+      sort_by: 'price',
+      order: 'desc',
+    });
+
+    expect(filters).toEqual({
+      attributes: [],
+      departmentId: 2,
+      categoryId: 7,
+      minPrice: '10',
+      maxPrice: '25.50',
+      onSale: true,
+      display: ['1', '3'],
+      sortBy: 'price',
+      order: 'DESC',
+    });
+  });
+
+  it('reads attribute filters by name without case and merges repeated parameters', () => {
+    const { filters } = parse({ color: ['Red, Blue', 'Green'], SIZE: 'XL' });
+
+    expect(filters.attributes).toEqual([
+      { attributeId: 1, values: ['Red', 'Blue', 'Green'] },
+      { attributeId: 2, values: ['XL'] },
+    ]);
+  });
+
+  it('ignores parameters that are neither filters nor attributes', () => {
+    const result = parse({ page: '2', utm_source: 'mail', _: '1561' });
+
+    expect(result.error).toBeUndefined();
+    expect(result.filters.attributes).toEqual([]);
+  });
+
+  it.each([
+    [{ department_id: 'shoes' }, 'department_id'],
+    [{ min_price: '-1' }, 'min_price'],
+    [{ max_price: '10.999' }, 'max_price'],
+    [{ min_price: '30', max_price: '20' }, 'min_price'],
+    [{ on_sale: 'yes' }, 'on_sale'],
+    [{ display: '4' }, 'display'],
+    [{ sort_by: 'rating' }, 'sort_by'],
+    [{ order: 'up' }, 'order'],
+    [{ color: ' , ' }, 'color'],
+  ])('rejects %j on %s', (query, field) => {
+    expect(parse(query).error).toMatchObject({ field });
+  });
+
+  it('builds conditions on the effective price and attribute values', () => {
+    const { filters } = parse({ min_price: '10', on_sale: 'true', color: 'Red' });
+    const sql = buildFilterConditions(filters, 'p').join(' AND ');
+
+    expect(sql).toContain(">= '10'");
+    expect(sql).toContain('p.discounted_price > 0');
+    expect(sql).toContain("'Red'");
+  });
+
+  it('sorts by product id unless another sort is asked for', () => {
+    expect(buildProductOrder({})).toEqual([['product_id', 'ASC']]);
+    expect(buildProductOrder({ sortBy: 'name', order: 'DESC' })).toEqual([
+      ['name', 'DESC'],
+      ['product_id', 'ASC'],
+    ]);
+    expect(buildProductOrder({ sortBy: 'newest' })).toEqual([['product_id', 'DESC']]);
+  });
+});
@@ -0,0 +1,104 @@
+import { Category, Department, ProductCategory } from '../database/models';
+import { addAttributeValue, api, closeApp, createProduct, resetDatabase } from './helpers';
+
+describe('product listing filters', () => {
+  let clothing;
+  let shirts;
+  let hat;
+  let shirt;
+  let mug;
+
+  const list = (query, url = '/products') => api.get(url).query(query);
+  const ids = response => response.body.rows.map(row => row.product_id);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    clothing = await Department.create({ name: 'Clothing' });
+    shirts = await Category.create({ name: 'Shirts', department_id: clothing.department_id });
+    const hats = await Category.create({ name: 'Hats', department_id: clothing.department_id });
+
+    hat = await createProduct({ name: 'Hat', price: '12.00', display: 1 });
+    shirt = await createProduct({ name: 'Shirt', price: '30.00', discounted_price: '18.00' });
+    mug = await createProduct({ name: 'Mug', price: '8.00', display: 2 });
+    await ProductCategory.bulkCreate([
+      { product_id: hat.product_id, category_id: hats.category_id },
+      { product_id: shirt.product_id, category_id: shirts.category_id },
+    ]);
+    await addAttributeValue(hat, 'Color', 'Red');
+    await addAttributeValue(shirt, 'Color', 'Blue');
+    await addAttributeValue(shirt, 'Size', 'XL');
+  });
+
+  afterAll(closeApp);
+
+  it('lists every product by id without filters', async () => {
+    const response = await list({});
+
+    expect(response.status).toBe(200);
+    expect(ids(response)).toEqual([hat.product_id, shirt.product_id, mug.product_id]);
+  });
+
+  it('filters on department and category', async () => {
+    expect(ids(await list({ department_id: clothing.department_id }))).toEqual([
+      hat.product_id,
+      shirt.product_id,
+    ]);
+    expect(ids(await list({ category_id: shirts.category_id }))).toEqual([shirt.product_id]);
+  });
+
+  it('filters on the price the product sells at', async () => {
+    expect(ids(await list({ min_price: '10', max_price: '20' }))).toEqual([
+      hat.product_id,
+      shirt.product_id,
+    ]);
+    expect(ids(await list({ on_sale: 'true' }))).toEqual([shirt.product_id]);
+  });
+
+  it('filters on display flags and attribute values', async () => {
+    expect(ids(await list({ display: '1,2' }))).toEqual([hat.product_id, mug.product_id]);
+    expect(ids(await list({ color: 'red,blue' }))).toEqual([hat.product_id, shirt.product_id]);
+    expect(ids(await list({ color: 'Blue', size: 'XL' }))).toEqual([shirt.product_id]);
+    expect(ids(await list({ color: 'Red', size: 'XL' }))).toEqual([]);
+  });
+
+  it('ignores query parameters that name no attribute', async () => {
+    const response = await list({ utm_source: 'newsletter' });
+
+    expect(response.status).toBe(200);
+    expect(ids(response)).toHaveLength(3);
+  });
+
+  it('sorts on price, name and newest', async () => {
+    expect(ids(await list({ sort_by: 'price' }))).toEqual([
+      mug.product_id,
+      hat.product_id,
+      shirt.product_id,
+    ]);
+    expect(ids(await list({ sort_by: 'name', order: 'desc' }))).toEqual([
+      shirt.product_id,
+      mug.product_id,
+      hat.product_id,
+    ]);
+    expect(ids(await list({ sort_by: 'newest' }))).toEqual([
+      mug.product_id,
+      shirt.product_id,
+      hat.product_id,
+    ]);
+  });
+
+  it('applies the filters to the category and department listings', async () => {
+    const response = await list(
+      { max_price: '15' },
+      `/products/inDepartment/${clothing.department_id}`
+    );
+
+    expect(ids(response)).toEqual([hat.product_id]);
+  });
+
+  it('rejects invalid filters with PRO_03', async () => {
+    const response = await list({ min_price: '50', max_price: '10' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({ code: 'PRO_03', field: 'min_price' });
+  });
+});
@@ -0,0 +1,86 @@
+import { RefreshToken } from '../database/models';
+import { PASSWORD, api, closeApp, createCustomer, resetDatabase } from './helpers';
+
+/**
+ * log a customer in
+ *
+ * @param {object} customer customer model instance
+ * @returns {Promise} resolves with the auth payload
+ */
+const login = async customer => {
+  const res = await api
+    .post('/customers/login')
+    .send({ email: customer.email, password: PASSWORD });
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+const refresh = token => api.post('/customers/token/refresh').send({ refresh_token: token });
+
+describe('refresh tokens', () => {
+  let customer;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ customer } = await createCustomer());
+  });
+
+  afterAll(closeApp);
+
+  it('rotates a refresh token', async () => {
+    const { refreshToken } = await login(customer);
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toMatch(/^Bearer /);
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+    expect((await refresh(res.body.refreshToken)).status).toBe(200);
+  });
+
+  it('revokes the whole family when a rotated token is reused', async () => {
+    const { refreshToken } = await login(customer);
+    const { body: rotated } = await refresh(refreshToken);
+
+    const reuse = await refresh(refreshToken);
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.error.code).toBe('AUT_04');
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+  });
+
+  it('rotates a token only once when it is presented twice at the same time', async () => {
+    const { refreshToken } = await login(customer);
+
+    const responses = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+
+    expect(responses.filter(res => res.status === 200).length).toBeLessThanOrEqual(1);
+  });
+
+  it('rejects an expired refresh token', async () => {
+    const { refreshToken } = await login(customer);
+    await RefreshToken.update(
+      { expires_on: new Date(Date.now() - 1000) },
+      { where: { customer_id: customer.customer_id, revoked_on: null } }
+    );
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('AUT_05');
+  });
+
+  it('rejects an unknown refresh token and a missing one', async () => {
+    expect((await refresh('unknown')).body.error.code).toBe('AUT_04');
+    expect((await refresh()).body.error.code).toBe('USR_02');
+  });
+
+  it('revokes the session on logout', async () => {
+    const { refreshToken } = await login(customer);
+
+    const res = await api.post('/customers/logout').send({ refresh_token: refreshToken });
+
+    expect(res.status).toBe(200);
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+});
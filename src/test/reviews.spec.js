@@ -0,0 +1,155 @@
+import { Order } from '../database/models';
+import { ORDER_STATUS } from '../helpers/orderStatus.helper';
+import {
+  api,
+  closeApp,
+  createCustomer,
+  createProduct,
+  createTaxAndShipping,
+  placeOrder,
+  resetDatabase,
+} from './helpers';
+
+describe('product reviews', () => {
+  let product;
+  let moderatorToken;
+
+  const review = (token, fields, productId = product.product_id) =>
+    api
+      .post(`/products/${productId}/reviews`)
+      .set('USER-KEY', token)
+      .send({ review: 'Fits well', rating: 5, ...fields });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ token: moderatorToken } = await createCustomer({ role: 'support' }));
+  });
+
+  beforeEach(async () => {
+    product = await createProduct();
+  });
+
+  afterAll(closeApp);
+
+  it('adds a review with the name of its author', async () => {
+    const { token } = await createCustomer({ name: 'Ada' });
+
+    const res = await review(token, { rating: 4 });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ product_id: product.product_id, name: 'Ada', rating: 4 });
+    expect(res.body.email).toBeUndefined();
+  });
+
+  it('accepts one review per customer and product', async () => {
+    const { token } = await createCustomer();
+    await review(token);
+
+    const res = await review(token, { review: 'Changed my mind' });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatchObject({ code: 'REV_04', field: 'product_id' });
+  });
+
+  it('validates the review, the rating and the product', async () => {
+    const { token } = await createCustomer();
+
+    const rating = await review(token, { rating: 6 });
+    expect(rating.status).toBe(400);
+    expect(rating.body.error).toMatchObject({ code: 'REV_01', field: 'rating' });
+
+    const missing = await review(token, {}, 999);
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('PRO_01');
+
+    const anonymous = await api.post(`/products/${product.product_id}/reviews`).send({});
+    expect(anonymous.status).toBe(401);
+  });
+
+  it('pages the reviews of a product, newest first', async () => {
+    const authors = await Promise.all([1, 2, 3].map(() => createCustomer()));
+    await authors.reduce(
+      (previous, { token }, index) =>
+        previous.then(() => review(token, { review: `Review ${index}` })),
+      Promise.resolve()
+    );
+
+    const res = await api.get(`/products/${product.product_id}/reviews?limit=2&page=2`);
+    expect(res.status).toBe(200);
+    expect(res.body.rows.map(row => row.review)).toEqual(['Review 0']);
+    expect(res.body.paginationMeta).toMatchObject({ currentPage: 2, totalRecords: 3 });
+
+    const invalid = await api.get(`/products/${product.product_id}/reviews?limit=500`);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatchObject({ code: 'REV_01', field: 'limit' });
+  });
+
+  it('shows the rating of visible reviews on the product and hides moderated reviews', async () => {
+    const [first, second] = await Promise.all([createCustomer(), createCustomer()]);
+    await review(first.token, { rating: 5 });
+    const { body: hidden } = await review(second.token, { rating: 1 });
+
+    const moderated = await api
+      .put(`/admin/reviews/${hidden.review_id}`)
+      .set('USER-KEY', moderatorToken)
+      .send({ hidden: true, flagged: true });
+    expect(moderated.status).toBe(200);
+    expect(moderated.body).toMatchObject({ hidden: true, flagged: true });
+
+    const { body } = await api.get(`/products/${product.product_id}`);
+    expect(Number(body.average_rating)).toBe(5);
+    expect(Number(body.review_count)).toBe(1);
+
+    const reviews = await api.get(`/products/${product.product_id}/reviews`);
+    expect(reviews.body.rows).toHaveLength(1);
+
+    const flagged = await api
+      .get('/admin/reviews')
+      .query({ product_id: product.product_id, flagged: 'true' })
+      .set('USER-KEY', moderatorToken);
+    expect(flagged.body.rows.map(row => row.review_id)).toEqual([hidden.review_id]);
+  });
+
+  it('lets only moderators moderate reviews', async () => {
+    const { token } = await createCustomer();
+
+    const list = await api.get('/admin/reviews').set('USER-KEY', token);
+    expect(list.status).toBe(403);
+
+    const missing = await api
+      .put('/admin/reviews/999')
+      .set('USER-KEY', moderatorToken)
+      .send({ hidden: true });
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('REV_02');
+  });
+
+  describe('with REVIEWS_REQUIRE_PURCHASE', () => {
+    beforeAll(() => {
+      process.env.REVIEWS_REQUIRE_PURCHASE = 'true';
+    });
+
+    afterAll(() => {
+      delete process.env.REVIEWS_REQUIRE_PURCHASE;
+    });
+
+    it('lets only customers with a delivered order of the product review it', async () => {
+      const { token } = await createCustomer();
+
+      const before = await review(token);
+      expect(before.status).toBe(403);
+      expect(before.body.error.code).toBe('REV_03');
+
+      const ordered = await placeOrder(
+        token,
+        [{ product_id: product.product_id, quantity: 1 }],
+        await createTaxAndShipping()
+      );
+      await Order.update(
+        { status: ORDER_STATUS.DELIVERED },
+        { where: { order_id: ordered.body.orderId } }
+      );
+
+      expect((await review(token)).status).toBe(201);
+    });
+  });
+});
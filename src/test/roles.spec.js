@@ -0,0 +1,95 @@
+import { ShippingRegion } from '../database/models';
+import { api, closeApp, createCustomer, resetDatabase } from './helpers';
+
+describe('roles', () => {
+  let admin;
+  let adminToken;
+  let region;
+
+  const setRole = (customerId, role, token = adminToken) =>
+    api
+      .put(`/admin/customers/${customerId}/role`)
+      .set('USER-KEY', token)
+      .send({ role });
+
+  const createShipping = (token, fields) =>
+    api
+      .post('/admin/shipping')
+      .set('USER-KEY', token)
+      .send({
+        shipping_type: 'Express',
+        shipping_cost: '15.00',
+        shipping_region_id: region.shipping_region_id,
+        ...fields,
+      });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ customer: admin, token: adminToken } = await createCustomer({ role: 'admin' }));
+    region = await ShippingRegion.create({ shipping_region: 'Europe' });
+  });
+
+  afterAll(closeApp);
+
+  it('lets an admin manage the settings', async () => {
+    const res = await createShipping(adminToken);
+
+    expect(res.status).toBe(201);
+    expect(res.body.shipping_type).toBe('Express');
+  });
+
+  it('validates the shipping types and taxes', async () => {
+    const negative = await createShipping(adminToken, { shipping_cost: '-5.00' });
+    expect(negative.status).toBe(400);
+    expect(negative.body.error).toMatchObject({ code: 'SHP_01', field: 'shipping_cost' });
+
+    const missingRegion = await createShipping(adminToken, { shipping_region_id: 999 });
+    expect(missingRegion.status).toBe(404);
+    expect(missingRegion.body.error).toMatchObject({ code: 'SHP_02', field: 'shipping_region_id' });
+
+    const tax = await api
+      .put('/admin/tax/999')
+      .set('USER-KEY', adminToken)
+      .send({ tax_percentage: '5.00' });
+    expect(tax.status).toBe(404);
+    expect(tax.body.error).toMatchObject({ code: 'TAX_02', field: 'tax_id' });
+  });
+
+  it('applies a role change to the next request', async () => {
+    const { customer, token } = await createCustomer();
+    expect((await createShipping(token)).status).toBe(403);
+
+    const res = await setRole(customer.customer_id, 'admin');
+
+    expect(res.status).toBe(200);
+    expect(res.body.customer.role).toBe('admin');
+    expect(res.body.customer.password).toBeUndefined();
+    expect((await createShipping(token)).status).toBe(201);
+  });
+
+  it('keeps other roles out of the settings and roles', async () => {
+    const { customer, token } = await createCustomer({ role: 'support' });
+
+    const shipping = await createShipping(token);
+    expect(shipping.status).toBe(403);
+    expect(shipping.body.error).toMatchObject({ code: 'AUT_07', field: 'settings:manage' });
+
+    expect((await setRole(customer.customer_id, 'admin', token)).status).toBe(403);
+  });
+
+  it('validates the role change', async () => {
+    const { customer } = await createCustomer();
+
+    const unknown = await setRole(customer.customer_id, 'owner');
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error.code).toBe('USR_15');
+
+    const own = await setRole(admin.customer_id, 'customer');
+    expect(own.status).toBe(409);
+    expect(own.body.error.code).toBe('USR_16');
+
+    const missing = await setRole(999999, 'support');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('USR_05');
+  });
+});
@@ -0,0 +1,60 @@
+import { api, closeApp, createProduct, resetDatabase } from './helpers';
+
+describe('save for later', () => {
+  let product;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    product = await createProduct();
+  });
+
+  afterAll(closeApp);
+
+  it('moves a line between the cart and the saved items', async () => {
+    const { body: cart } = await api
+      .post('/shoppingcart/add')
+      .send({ cart_id: 'saved', product_id: product.product_id });
+
+    const saved = await api.get(`/shoppingcart/saveForLater/${cart[0].item_id}`);
+    expect(saved.status).toBe(200);
+    expect(saved.body).toHaveLength(1);
+    expect((await api.get('/shoppingcart/saved')).body).toEqual([]);
+    expect((await api.get('/shoppingcart/getSaved/saved')).body).toHaveLength(1);
+
+    const moved = await api.get(`/shoppingcart/moveToCart/${cart[0].item_id}`);
+    expect(moved.status).toBe(200);
+    expect(moved.body).toHaveLength(1);
+    expect((await api.get('/shoppingcart/getSaved/saved')).body).toEqual([]);
+  });
+
+  it('merges a moved line into the same line of the target list', async () => {
+    const { body: cart } = await api
+      .post('/shoppingcart/add')
+      .send({ cart_id: 'merged', product_id: product.product_id, quantity: 2 });
+    await api.get(`/shoppingcart/saveForLater/${cart[0].item_id}`);
+    await api.post('/shoppingcart/add').send({ cart_id: 'merged', product_id: product.product_id });
+
+    const moved = await api.get(`/shoppingcart/moveToCart/${cart[0].item_id}`);
+
+    expect(moved.body).toHaveLength(1);
+    expect(moved.body[0].quantity).toBe(3);
+  });
+
+  it('keeps saved items when the cart is emptied', async () => {
+    const { body: cart } = await api
+      .post('/shoppingcart/add')
+      .send({ cart_id: 'kept', product_id: product.product_id });
+    await api.get(`/shoppingcart/saveForLater/${cart[0].item_id}`);
+
+    await api.delete('/shoppingcart/empty/kept');
+
+    expect((await api.get('/shoppingcart/getSaved/kept')).body).toHaveLength(1);
+  });
+
+  it('does not move a line that does not exist', async () => {
+    const res = await api.get('/shoppingcart/saveForLater/999999');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('CRT_02');
+  });
+});
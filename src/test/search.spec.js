@@ -0,0 +1,90 @@
+import { Category, Department, ProductCategory } from '../database/models';
+import { addAttributeValue, api, closeApp, createProduct, resetDatabase } from './helpers';
+
+describe('product search', () => {
+  let shirt;
+  let plainShirt;
+  let mug;
+
+  const search = query => api.get('/products/search').query(query);
+  const ids = response => response.body.rows.map(row => row.product_id);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    const department = await Department.create({ name: 'Clothing' });
+    const category = await Category.create({
+      name: 'Shirts',
+      department_id: department.department_id,
+    });
+
+    // the red shirt has red in its name, the plain shirt only in its description
+    plainShirt = await createProduct({
+      name: 'Plain shirt',
+      description: 'A cotton shirt, also sold in red',
+      price: '15.00',
+    });
+    shirt = await createProduct({
+      name: 'Red shirt',
+      description: 'A cotton shirt',
+      price: '20.00',
+    });
+    mug = await createProduct({ name: 'Red mug', description: 'A ceramic mug', price: '8.00' });
+    await ProductCategory.bulkCreate(
+      [plainShirt, shirt].map(({ product_id: productId }) => ({
+        product_id: productId,
+        category_id: category.category_id,
+      }))
+    );
+    await addAttributeValue(shirt, 'Color', 'Red');
+  });
+
+  afterAll(closeApp);
+
+  it('finds products with any of the words, name matches first', async () => {
+    const response = await search({ query_string: 'red' });
+
+    expect(response.status).toBe(200);
+    expect(ids(response)).toEqual([shirt.product_id, mug.product_id, plainShirt.product_id]);
+    expect(response.body.paginationMeta.totalRecords).toBe(3);
+  });
+
+  it('requires every word with all_words', async () => {
+    const any = await search({ query_string: 'red cotton' });
+    expect(ids(any)).toHaveLength(3);
+
+    const all = await search({ query_string: 'red cotton', all_words: 'on' });
+    expect(ids(all)).toEqual([shirt.product_id, plainShirt.product_id]);
+  });
+
+  it('matches words as they are typed, punctuation ignored', async () => {
+    const response = await search({ query_string: '"MUG"!' });
+
+    expect(ids(response)).toEqual([mug.product_id]);
+  });
+
+  it('applies the listing filters and sorting to the results', async () => {
+    const response = await search({ query_string: 'red', max_price: '16.00', sort_by: 'price' });
+
+    expect(ids(response)).toEqual([mug.product_id, plainShirt.product_id]);
+  });
+
+  it('counts the matching products per facet', async () => {
+    const { body } = await search({ query_string: 'shirt' });
+
+    expect(body.facets.departments).toEqual([
+      expect.objectContaining({ name: 'Clothing', count: 2 }),
+    ]);
+    expect(body.facets.categories).toEqual([expect.objectContaining({ name: 'Shirts', count: 2 })]);
+    expect(body.facets.price_bands.find(band => band.min === 10).count).toBe(2);
+    expect(body.facets.attributes).toEqual([
+      expect.objectContaining({ attribute_name: 'Color', attribute_value: 'Red', count: 1 }),
+    ]);
+  });
+
+  it('rejects a query string without words', async () => {
+    const response = await search({ query_string: ' *+ ' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({ code: 'PRO_02', field: 'query_string' });
+  });
+});
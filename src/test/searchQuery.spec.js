@@ -0,0 +1,68 @@
+import {
+  buildRelevance,
+  buildSearchCondition,
+  parseSearchTerms,
+} from '../helpers/productQuery.helper';
+
+describe('product search sql', () => {
+  it('splits a query string into unique lower case terms', () => {
+    expect(parseSearchTerms('Red  T-shirt +red* "cotton"')).toEqual([
+      'red',
+      't',
+      'shirt',
+      'cotton',
+    ]);
+    expect(parseSearchTerms('  ')).toEqual([]);
+    expect(parseSearchTerms(undefined)).toEqual([]);
+  });
+
+  describe('in the test environment', () => {
+    it('matches terms with escaped LIKE conditions', () => {
+      const condition = buildSearchCondition(['red', "o'neil"]);
+
+      expect(condition).toBe(
+        "((Product.name LIKE '%red%' OR Product.description LIKE '%red%') OR " +
+          "(Product.name LIKE '%o\\'neil%' OR Product.description LIKE '%o\\'neil%'))"
+      );
+      expect(condition).not.toContain('MATCH');
+    });
+
+    it('requires every term with allWords', () => {
+      expect(buildSearchCondition(['red', 'shirt'], { allWords: true, alias: 'p' })).toBe(
+        "((p.name LIKE '%red%' OR p.description LIKE '%red%') AND " +
+          "(p.name LIKE '%shirt%' OR p.description LIKE '%shirt%'))"
+      );
+    });
+
+    it('ranks name matches above description matches', () => {
+      expect(buildRelevance(['red'])).toBe(
+        "(Product.name LIKE '%red%') * 2 + (Product.description LIKE '%red%')"
+      );
+    });
+  });
+
+  describe('with the full-text index', () => {
+    let helper;
+
+    beforeAll(() => {
+      // the search mode is read when the helper is loaded
+      process.env.PRODUCT_SEARCH_MODE = 'fulltext';
+      jest.resetModules();
+      // eslint-disable-next-line global-require
+      helper = require('../helpers/productQuery.helper');
+    });
+
+    afterAll(() => {
+      delete process.env.PRODUCT_SEARCH_MODE;
+    });
+
+    it('matches long terms with the index and short terms with LIKE', () => {
+      const condition = helper.buildSearchCondition(['shirt', 'xl'], { allWords: true });
+
+      expect(condition).toBe(
+        "(MATCH(Product.name, Product.description) AGAINST ('+shirt*' IN BOOLEAN MODE) AND " +
+          "(Product.name LIKE '%xl%' OR Product.description LIKE '%xl%'))"
+      );
+    });
+  });
+});
@@ -0,0 +1,26 @@
+import '@babel/polyfill';
+
+/**
+ * environment of the test run, set before any module reads it and so before .env is loaded.
+ * Variables set in the shell are kept. The response cache stays in process memory so that
+ * tests never need redis.
+ */
+const defaults = {
+  JWT_KEY: 'test-jwt-key',
+  JWT_EXPIRES_IN: '1h',
+  STRIPE_WEBHOOK_SECRET: 'whsec_test',
+  MAIL_TRANSPORT: 'memory',
+  PASSWORD_RESET_URL: 'http://localhost:3000/reset-password',
+  FACEBOOK_APP_ID: 'test-facebook-app',
+  FACEBOOK_APP_SECRET: 'test-facebook-secret',
+  GOOGLE_CLIENT_ID: 'test-google-client',
+};
+
+Object.keys(defaults).forEach(name => {
+  if (!process.env[name]) {
+    process.env[name] = defaults[name];
+  }
+});
+
+// an empty value is not overridden by dotenv
+process.env.REDIS_URL = '';
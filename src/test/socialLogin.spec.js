@@ -0,0 +1,106 @@
+import { CustomerIdentity } from '../database/models';
+import { setVerifier } from '../services/social';
+import { api, closeApp, createCustomer, resetDatabase } from './helpers';
+
+// access tokens of the stub verifier are the provider profiles they belong to
+const profiles = {
+  eve: { id: 'fb-1', name: 'Eve', email: 'eve@example.com', emailVerified: true },
+  unverified: { id: 'fb-2', name: 'Unverified', email: 'unverified@example.com' },
+  taken: { id: 'fb-3', name: 'Taken', email: 'taken@example.com', emailVerified: true },
+  race: { id: 'fb-4', name: 'Race', email: 'race@example.com', emailVerified: true },
+};
+
+const socialLogin = accessToken =>
+  api.post('/customers/social/facebook').send({ access_token: accessToken });
+
+describe('social login', () => {
+  beforeAll(async () => {
+    await resetDatabase();
+    setVerifier('facebook', async accessToken => {
+      if (!profiles[accessToken]) {
+        throw new Error('Invalid token');
+      }
+      return profiles[accessToken];
+    });
+  });
+
+  afterAll(closeApp);
+
+  it('signs up a customer with a verified email and logs it in afterwards', async () => {
+    const signUp = await socialLogin('eve');
+
+    expect(signUp.status).toBe(201);
+    expect(signUp.body.customer.email).toBe('eve@example.com');
+    expect(signUp.body.accessToken).toMatch(/^Bearer /);
+
+    const login = await socialLogin('eve');
+    expect(login.status).toBe(200);
+    expect(login.body.customer.customer_id).toBe(signUp.body.customer.customer_id);
+  });
+
+  it('rejects a token the provider does not verify', async () => {
+    const res = await socialLogin('forged');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('AUT_06');
+  });
+
+  it('rejects an unsupported provider', async () => {
+    const res = await api.post('/customers/social/myspace').send({ access_token: 'eve' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('USR_12');
+  });
+
+  it('rejects a sign up without a verified email', async () => {
+    const res = await socialLogin('unverified');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('USR_13');
+  });
+
+  it('does not link an existing account by email', async () => {
+    await createCustomer({ email: 'taken@example.com' });
+
+    const res = await socialLogin('taken');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('USR_17');
+    expect(await CustomerIdentity.count({ where: { provider_user_id: 'fb-3' } })).toBe(0);
+  });
+
+  it('links a provider to the logged in customer', async () => {
+    const { customer, token } = await createCustomer({ email: 'linked@example.com' });
+    profiles.linked = { id: 'fb-5', email: 'other@example.com', emailVerified: true };
+
+    const link = await api
+      .post('/customer/social/facebook')
+      .set('USER-KEY', token)
+      .send({ access_token: 'linked' });
+
+    expect(link.status).toBe(201);
+    const login = await socialLogin('linked');
+    expect(login.status).toBe(200);
+    expect(login.body.customer.customer_id).toBe(customer.customer_id);
+  });
+
+  it('does not link a provider account linked to another customer', async () => {
+    const { token } = await createCustomer();
+
+    const res = await api
+      .post('/customer/social/facebook')
+      .set('USER-KEY', token)
+      .send({ access_token: 'eve' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('USR_14');
+  });
+
+  it('logs in concurrent sign ups of the same provider account', async () => {
+    const responses = await Promise.all([socialLogin('race'), socialLogin('race')]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 201]);
+    expect(responses[0].body.customer.customer_id).toBe(responses[1].body.customer.customer_id);
+    expect(await CustomerIdentity.count({ where: { provider_user_id: 'fb-4' } })).toBe(1);
+  });
+});
@@ -0,0 +1,95 @@
+import getJson from '../services/social/request';
+import verifyFacebookToken from '../services/social/facebook.verifier';
+import verifyGoogleToken from '../services/social/google.verifier';
+
+jest.mock('../services/social/request');
+
+describe('facebook verifier', () => {
+  beforeEach(() => getJson.mockReset());
+
+  it('resolves with the profile of a token issued to the app', async () => {
+    getJson
+      .mockResolvedValueOnce({
+        data: { is_valid: true, app_id: process.env.FACEBOOK_APP_ID, user_id: '42' },
+      })
+      .mockResolvedValueOnce({ id: '42', name: 'Eve', email: 'eve@example.com' });
+
+    await expect(verifyFacebookToken('token')).resolves.toEqual({
+      id: '42',
+      name: 'Eve',
+      email: 'eve@example.com',
+      emailVerified: true,
+    });
+    expect(getJson.mock.calls[1][0]).toContain('appsecret_proof=');
+  });
+
+  it('rejects a token issued to another app', async () => {
+    getJson.mockResolvedValueOnce({ data: { is_valid: true, app_id: 'other-app', user_id: '42' } });
+
+    await expect(verifyFacebookToken('token')).rejects.toThrow('not issued to this app');
+    expect(getJson).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects an invalid token', async () => {
+    getJson.mockResolvedValueOnce({
+      data: { is_valid: false, app_id: process.env.FACEBOOK_APP_ID },
+    });
+
+    await expect(verifyFacebookToken('token')).rejects.toThrow('not issued to this app');
+  });
+
+  it('rejects a profile that is not the owner of the token', async () => {
+    getJson
+      .mockResolvedValueOnce({
+        data: { is_valid: true, app_id: process.env.FACEBOOK_APP_ID, user_id: '42' },
+      })
+      .mockResolvedValueOnce({ id: '43', name: 'Mallory' });
+
+    await expect(verifyFacebookToken('token')).rejects.toThrow('does not belong to the profile');
+  });
+});
+
+describe('google verifier', () => {
+  beforeEach(() => getJson.mockReset());
+
+  it('resolves with the profile of a token issued to the client', async () => {
+    getJson
+      .mockResolvedValueOnce({ aud: process.env.GOOGLE_CLIENT_ID, sub: '7' })
+      .mockResolvedValueOnce({
+        sub: '7',
+        name: 'Eve',
+        email: 'eve@example.com',
+        email_verified: true,
+      });
+
+    await expect(verifyGoogleToken('token')).resolves.toEqual({
+      id: '7',
+      name: 'Eve',
+      email: 'eve@example.com',
+      emailVerified: true,
+    });
+  });
+
+  it('accepts a token whose authorized party is the client', async () => {
+    getJson
+      .mockResolvedValueOnce({ aud: 'other-client', azp: process.env.GOOGLE_CLIENT_ID, sub: '7' })
+      .mockResolvedValueOnce({ sub: '7', email: 'eve@example.com', email_verified: false });
+
+    await expect(verifyGoogleToken('token')).resolves.toMatchObject({ emailVerified: false });
+  });
+
+  it('rejects a token issued to another client', async () => {
+    getJson.mockResolvedValueOnce({ aud: 'other-client', azp: 'other-client', sub: '7' });
+
+    await expect(verifyGoogleToken('token')).rejects.toThrow('not issued to this client');
+    expect(getJson).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a profile that is not the owner of the token', async () => {
+    getJson
+      .mockResolvedValueOnce({ aud: process.env.GOOGLE_CLIENT_ID, sub: '7' })
+      .mockResolvedValueOnce({ sub: '8' });
+
+    await expect(verifyGoogleToken('token')).rejects.toThrow('does not belong to the profile');
+  });
+});
@@ -0,0 +1,168 @@
+import { OrderDetail, ProductStock } from '../database/models';
+import { toAttributeKey } from '../helpers/variant.helper';
+import {
+  addAttributeValue,
+  api,
+  closeApp,
+  createCustomer,
+  createProduct,
+  createTaxAndShipping,
+  placeOrder,
+  resetDatabase,
+} from './helpers';
+
+describe('product variants', () => {
+  let adminToken;
+  let product;
+  let xl;
+  let red;
+  let blue;
+  let variant;
+
+  const addToCart = line => api.post('/shoppingcart/add').send(line);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ({ token: adminToken } = await createCustomer({ role: 'catalog_manager' }));
+    product = await createProduct({ price: '20.00' });
+    xl = await addAttributeValue(product, 'Size', 'XL');
+    red = await addAttributeValue(product, 'Color', 'Red');
+    blue = await addAttributeValue(product, 'Color', 'Blue');
+  });
+
+  afterAll(closeApp);
+
+  it('creates a variant from a combination with its price and stock', async () => {
+    const res = await api
+      .post(`/admin/products/${product.product_id}/variants`)
+      .set('USER-KEY', adminToken)
+      .send({
+        sku: 'SHIRT-XL-RED',
+        price: '25.00',
+        quantity: 3,
+        attribute_value_ids: [red.attribute_value_id, xl.attribute_value_id],
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ sku: 'SHIRT-XL-RED', price: '25.00', quantity: 3 });
+    expect(res.body.attributes.map(attribute => attribute.attribute_value)).toEqual(['XL', 'Red']);
+    variant = res.body;
+
+    const listed = await api.get(`/products/${product.product_id}/variants`);
+    expect(listed.body.map(row => row.sku)).toEqual(['SHIRT-XL-RED']);
+  });
+
+  it('rejects a second variant of the same combination or two values of an attribute', async () => {
+    const create = attributeValueIds =>
+      api
+        .post(`/admin/products/${product.product_id}/variants`)
+        .set('USER-KEY', adminToken)
+        .send({ sku: 'OTHER', attribute_value_ids: attributeValueIds });
+
+    const duplicate = await create([xl.attribute_value_id, red.attribute_value_id]);
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.error).toMatchObject({ code: 'CAT_01', field: 'attribute_value_ids' });
+
+    const colours = await create([red.attribute_value_id, blue.attribute_value_id]);
+    expect(colours.status).toBe(400);
+  });
+
+  it('adds a variant to the cart at its own price', async () => {
+    const res = await addToCart({
+      cart_id: 'sku',
+      product_variant_id: variant.product_variant_id,
+      quantity: 2,
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body[0]).toMatchObject({
+      product_id: product.product_id,
+      product_variant_id: variant.product_variant_id,
+      sku: 'SHIRT-XL-RED',
+      attributes: 'XL, Red',
+      price: '25.00',
+      subtotal: '50.00',
+    });
+  });
+
+  it('matches an attributes string to the variant of its combination', async () => {
+    await addToCart({ cart_id: 'legacy', product_variant_id: variant.product_variant_id });
+    const res = await addToCart({
+      cart_id: 'legacy',
+      product_id: product.product_id,
+      attributes: 'red, xl',
+    });
+
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0]).toMatchObject({
+      product_variant_id: variant.product_variant_id,
+      quantity: 2,
+    });
+  });
+
+  it('rejects a product sold in variants without a complete variant', async () => {
+    const incomplete = await addToCart({
+      cart_id: 'no-variant',
+      product_id: product.product_id,
+      attributes: 'XL',
+    });
+    expect(incomplete.status).toBe(400);
+    expect(incomplete.body.error).toMatchObject({ code: 'CRT_01', field: 'product_variant_id' });
+
+    const bare = await addToCart({ cart_id: 'no-variant', product_id: product.product_id });
+    expect(bare.status).toBe(400);
+  });
+
+  it('answers 404 for a variant of another product', async () => {
+    const other = await createProduct();
+    const res = await addToCart({
+      cart_id: 'other',
+      product_id: other.product_id,
+      product_variant_id: variant.product_variant_id,
+    });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatchObject({ code: 'PRO_01', field: 'product_variant_id' });
+  });
+
+  it('records the sku on the order and takes the stock of its combination', async () => {
+    const { token } = await createCustomer();
+    const selection = await createTaxAndShipping();
+
+    const res = await placeOrder(
+      token,
+      [{ product_variant_id: variant.product_variant_id, quantity: 2 }],
+      selection
+    );
+    expect(res.status).toBe(201);
+
+    const [line] = await OrderDetail.findAll({ where: { order_id: res.body.orderId } });
+    expect(line.get({ plain: true })).toMatchObject({
+      product_variant_id: variant.product_variant_id,
+      sku: 'SHIRT-XL-RED',
+      unit_cost: '25.00',
+    });
+    const stock = await ProductStock.findOne({
+      where: {
+        product_id: product.product_id,
+        attribute_value_ids: toAttributeKey([xl.attribute_value_id, red.attribute_value_id]),
+      },
+    });
+    expect(stock.quantity).toBe(1);
+  });
+
+  it('moves the stock of a variant to its new combination', async () => {
+    const res = await api
+      .put(`/admin/products/${product.product_id}/variants/${variant.product_variant_id}`)
+      .set('USER-KEY', adminToken)
+      .send({ attribute_value_ids: [xl.attribute_value_id, blue.attribute_value_id] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.attributes.map(attribute => attribute.attribute_value)).toEqual(['XL', 'Blue']);
+    expect(res.body.quantity).toBe(1);
+    const stock = await ProductStock.findAll({ where: { product_id: product.product_id } });
+    expect(stock.map(row => [row.attribute_value_ids, row.quantity])).toEqual([
+      [toAttributeKey([xl.attribute_value_id, blue.attribute_value_id]), 1],
+    ]);
+  });
+});